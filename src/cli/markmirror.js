@@ -0,0 +1,223 @@
+#!/usr/bin/env node
+// MarkMirror command line interface
+// Converts Markdown files to HTML with the app's parser and export styles.
+//
+// Usage: markmirror convert [files...] [--out <dir>] [--embed-styles] [--no-extensions] [--plugin <module>] [--watch]
+//
+// Files may be glob patterns (docs/*.md, docs/**/*.md). Without files, or with "-", Markdown is read
+// from stdin and HTML written to stdout. Converted files go to --out, keeping their paths relative to
+// the pattern's directory, or next to the sources when --out is not given.
+//
+// Math is typeset with KaTeX and the HTML sanitized as in the app; Mermaid diagrams need a browser
+// and stay code blocks, with a warning.
+
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, existsSync, watchFile } from 'fs';
+import { dirname, join, relative, basename, resolve, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { convertMarkdown, hasMermaid } from '../utils/markdownExport.js';
+import { loadPluginModules } from '../utils/markdownPlugins.js';
+
+const usage = `Usage: markmirror convert [files...] [--out <dir>] [--embed-styles] [--no-extensions] [--plugin <module>] [--watch]
+
+  files            Markdown files or glob patterns; "-" or none reads stdin and writes stdout
+  --out <dir>      Output directory (default: next to each source file)
+  --embed-styles   Write full HTML documents with the export styles, as the app does
+  --no-extensions  Disable footnotes, definition lists and abbreviations
+  --plugin <file>  Parser plugin module (default export); may be repeated
+  --watch          Convert files again when they change
+
+Mermaid diagrams are not rendered: they stay \`\`\`mermaid code blocks.`;
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const args = { command: argv[0], files: [], out: null, embedStyles: false, extensions: true, plugins: [], watch: false };
+
+    for (let i = 1; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--out':
+            case '-o':
+                args.out = argv[++i];
+                if (!args.out) fail('--out needs a directory');
+                break;
+            case '--embed-styles':
+                args.embedStyles = true;
+                break;
+            case '--no-extensions':
+                args.extensions = false;
+                break;
+            case '--plugin':
+                if (!argv[i + 1]) fail('--plugin needs a module');
+                args.plugins.push(argv[++i]);
+                break;
+            case '--watch':
+            case '-w':
+                args.watch = true;
+                break;
+            case '--help':
+            case '-h':
+                console.log(usage);
+                process.exit(0);
+                break;
+            default:
+                if (argv[i].startsWith('-') && argv[i] !== '-') fail(`Unknown argument: ${argv[i]}`);
+                args.files.push(argv[i]);
+        }
+    }
+
+    if (args.command !== 'convert') {
+        fail(args.command ? `Unknown command: ${args.command}` : 'No command given');
+    }
+    return args;
+}
+
+// Print an error with the usage and exit
+function fail(message) {
+    console.error(`${message}\n\n${usage}`);
+    process.exit(2);
+}
+
+// Regular expression for a glob pattern: ** matches any directories, * and ? stay within one
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (pattern.startsWith('**/', i)) {
+            source += '(?:.*/)?';
+            i += 2;
+        } else if (pattern.startsWith('**', i)) {
+            source += '.*';
+            i += 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// All files below a directory, as paths relative to it with "/" separators
+function listFiles(dir, prefix = '') {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        if (entry.name.startsWith('.') || entry.name === 'node_modules') return [];
+
+        const path = prefix + entry.name;
+        return entry.isDirectory() ? listFiles(join(dir, entry.name), `${path}/`) : [path];
+    });
+}
+
+// Expand a file argument to [{ file, base }]; `base` is the directory output paths are relative to
+function expandInput(input) {
+    const pattern = input.split(sep).join('/');
+    if (!/[*?]/.test(pattern)) {
+        return [{ file: input, base: dirname(input) }];
+    }
+
+    // The part before the first wildcard segment is a plain directory
+    const segments = pattern.split('/');
+    const wildcard = segments.findIndex(segment => /[*?]/.test(segment));
+    const base = segments.slice(0, wildcard).join('/') || '.';
+    if (!existsSync(base) || !statSync(base).isDirectory()) return [];
+
+    const re = globToRegExp(segments.slice(wildcard).join('/'));
+    return listFiles(base)
+        .filter(path => re.test(path))
+        .sort()
+        .map(path => ({ file: join(base, path), base }));
+}
+
+// Output path of a converted file
+function outputPath({ file, base }, out) {
+    const name = (out ? relative(base, file) : basename(file)).replace(/\.(md|markdown|txt)$/i, '');
+    return join(out || dirname(file), `${name}.html`);
+}
+
+// Convert one file; returns false when it could not be read or written
+function convertFile(input, args) {
+    const target = outputPath(input, args.out);
+
+    try {
+        const markdown = readFileSync(input.file, 'utf8');
+        const html = convertMarkdown(markdown, { embedStyles: args.embedStyles, parserOptions: getParserOptions(args) });
+        mkdirSync(dirname(target), { recursive: true });
+        writeFileSync(target, html);
+        console.error(`✓ ${input.file} → ${target}`);
+        warnMermaid(input.file, html);
+        return true;
+    } catch (error) {
+        console.error(`✗ ${input.file}: ${error.message}`);
+        return false;
+    }
+}
+
+// Mermaid diagrams are rendered only in the browser; say so instead of silently exporting their source
+function warnMermaid(name, html) {
+    if (hasMermaid(html)) {
+        console.error(`! ${name}: Mermaid diagrams are kept as code blocks, export from the app to embed them as SVG`);
+    }
+}
+
+// Parser options; the app's "Markdown extensions" setting
+function getParserOptions(args) {
+    return args.extensions ? {} : { footnotes: false, definitionLists: false, abbreviations: false };
+}
+
+// Read all of stdin
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    try {
+        await loadPluginModules(args.plugins.map(plugin => pathToFileURL(resolve(plugin)).href));
+    } catch (error) {
+        console.error(`✗ Plugin could not be loaded: ${error.message}`);
+        process.exit(1);
+    }
+
+    // stdin → stdout
+    if (args.files.length === 0 || (args.files.length === 1 && args.files[0] === '-')) {
+        if (args.watch) fail('--watch needs files');
+
+        const markdown = await readStdin();
+        const html = convertMarkdown(markdown, { embedStyles: args.embedStyles, parserOptions: getParserOptions(args) });
+        process.stdout.write(html);
+        warnMermaid('stdin', html);
+        return;
+    }
+
+    const inputs = args.files.flatMap(expandInput);
+    if (inputs.length === 0) {
+        console.error('No files match');
+        process.exit(1);
+    }
+
+    const failed = inputs.filter(input => !convertFile(input, args)).length;
+
+    if (args.watch) {
+        // Polling survives editors that save by replacing the file
+        inputs.forEach(input => {
+            watchFile(input.file, { interval: 300 }, (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) {
+                    convertFile(input, args);
+                }
+            });
+        });
+        console.error(`Watching ${inputs.length} file(s), Ctrl+C to stop`);
+        return;
+    }
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+main();
@@ -9,18 +9,74 @@ import { Analytics } from '../utils/analytics.js';
 import { AnalyticsPanel } from '../ui/analyticsPanel.js';
 import { PWAManager } from '../utils/pwa.js';
 import { SearchReplace } from '../ui/searchReplace.js';
+import { DocumentsPanel } from '../ui/documentsPanel.js';
+import { HistoryPanel } from '../ui/historyPanel.js';
+import { OutlinePanel } from '../ui/outlinePanel.js';
+import { ProblemsPanel } from '../ui/problemsPanel.js';
+import { MarkdownLinter, LINT_RULES, getFixChanges } from '../utils/markdownLint.js';
+import { MarkdownFormatter } from '../utils/markdownFormat.js';
+import { TableEditorPanel } from '../ui/tableEditorPanel.js';
+import { FormatToolbar } from '../ui/formatToolbar.js';
+import { RevisionHistory } from '../utils/history.js';
+import { splitFrontMatter, updateFrontMatter } from '../utils/frontMatter.js';
+import { findTable } from '../utils/markdownTable.js';
+import { runFormatCommand, getActiveCommands } from '../utils/markdownCommands.js';
+import { onPluginsChange } from '../utils/markdownPlugins.js';
+import { ParserClient } from '../utils/parserClient.js';
 
 class MarkMirrorApp {
   constructor() {
     this.editor = null;
     this.preview = null;
     this.searchReplace = null;
-    this.storage = new Storage();
+    this.storage = new Storage({
+      onQuotaExceeded: () => this.handleQuotaExceeded(),
+    });
+    this.lastQuotaWarning = 0;
     this.fileHandler = new FileHandler();
     this.analytics = new Analytics();
     this.analyticsPanel = new AnalyticsPanel(this.analytics);
     this.pwaManager = new PWAManager();
-    this.settings = this.storage.loadSettings();
+    this.documentsPanel = new DocumentsPanel(this.storage, {
+      onOpen: id => this.openDocument(id),
+      onCreate: () => this.createDocument(),
+      onRename: id => this.renameDocument(id),
+      onDuplicate: id => this.duplicateDocument(id),
+      onDelete: id => this.deleteDocument(id),
+    });
+    this.history = new RevisionHistory(this.storage);
+    this.historyPanel = new HistoryPanel(this.history, {
+      getDocumentId: () => this.activeDocumentId,
+      getContent: () => (this.editor ? this.editor.getContent() : ''),
+      onRestore: snapshot => this.restoreSnapshot(snapshot),
+      onSnapshot: () => this.createSnapshot('manual'),
+    });
+    this.outlinePanel = new OutlinePanel({
+      onSelect: heading => this.goToHeading(heading),
+    });
+    this.problemsPanel = new ProblemsPanel({
+      onSelect: problem => this.selectProblem(problem),
+      onFix: problem => this.applyLintFix(problem),
+      onFixAll: () => this.applyAllLintFixes(),
+    });
+    this.linter = null;
+    this.lintClient = null; // Parser worker that lints off the UI thread
+    this.lintTimer = null;
+    this.lintIdleCallback = null;
+    this.formatter = null; // Created by the first Format document
+    this.lintedContent = null; // Content the shown problems belong to
+    this.problems = [];
+    this.tableEditorPanel = new TableEditorPanel({
+      onApply: (from, to, text) => this.editor.replaceRange(from, to, text),
+    });
+    this.formatToolbar = new FormatToolbar({
+      onCommand: id => this.runFormatCommand(id),
+    });
+    this.cursorTimer = null;
+    this.isSyncingEditor = false;
+    this.editorSyncTimer = null;
+    this.activeDocumentId = null;
+    this.settings = this.storage.getDefaultSettings();
     this.autoSaveTimer = null;
     this.currentTheme = this.settings.theme;
     this.lastContent = '';
@@ -40,10 +96,17 @@ class MarkMirrorApp {
         });
       }
 
+      // Open storage (IndexedDB) before reading settings and documents
+      await this.storage.init();
+      this.settings = this.storage.loadSettings();
+      this.currentTheme = this.settings.theme;
+
       // Initialize components
       this.initializeTheme();
       await this.initializeEditor();
       this.initializePreview();
+      this.initializeLinter();
+      this.setupPlugins();
       this.initializeUI();
       this.initializeSearchReplace();
       this.initializeEditorActions();
@@ -91,6 +154,10 @@ class MarkMirrorApp {
   applyTheme(theme) {
     document.documentElement.setAttribute('data-theme', theme);
 
+    if (this.preview) {
+      this.preview.updateTheme(theme);
+    }
+
     // Update theme toggle button
     const themeToggle = document.getElementById('theme-toggle');
     if (themeToggle) {
@@ -120,6 +187,7 @@ class MarkMirrorApp {
         autoComplete: this.settings.autoComplete,
         onChange: content => this.handleContentChange(content),
         onScroll: scrollInfo => this.handleEditorScroll(scrollInfo),
+        onCursorChange: cursor => this.handleCursorChange(cursor),
       });
       console.log('CodeMirror editor initialized');
     } catch (error) {
@@ -130,9 +198,52 @@ class MarkMirrorApp {
         autoComplete: this.settings.autoComplete,
         onChange: content => this.handleContentChange(content),
         onScroll: scrollInfo => this.handleEditorScroll(scrollInfo),
+        onCursorChange: cursor => this.handleCursorChange(cursor),
       });
       console.log('Simple editor initialized');
     }
+
+    this.tableEditorPanel.attachTrigger(container);
+    this.formatToolbar.attach(container.parentElement, container);
+  }
+
+  // Offer the table editor while the cursor is inside a table, follow the cursor in the outline
+  // and highlight the formatting around it
+  handleCursorChange(cursor) {
+    clearTimeout(this.cursorTimer);
+    this.cursorTimer = setTimeout(() => {
+      const content = this.editor.getContent();
+      const line = content.slice(0, cursor).split('\n').length - 1;
+      const lineText = content.split('\n')[line] || '';
+      this.outlinePanel.setCurrentLine(line);
+      this.tableEditorPanel.setTarget(lineText.includes('|') ? findTable(content, line) : null);
+      this.updateFormatToolbar();
+    }, 150);
+  }
+
+  // Highlight the toolbar buttons of the constructs around the selection
+  updateFormatToolbar() {
+    if (!this.editor) return;
+
+    const { from, to } = this.editor.getSelectionRange();
+    this.formatToolbar.setActive(getActiveCommands({ text: this.editor.getContent(), from, to }));
+  }
+
+  // Apply a formatting toolbar command to the selection
+  runFormatCommand(id) {
+    if (!this.editor) return;
+
+    const { from, to } = this.editor.getSelectionRange();
+    const edit = runFormatCommand(id, { text: this.editor.getContent(), from, to });
+    if (edit) {
+      this.editor.applyEdit(edit);
+    }
+    this.editor.focus();
+    this.updateFormatToolbar();
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage(`format_${id}`);
+    }
   }
 
   // Initialize the preview panel
@@ -151,6 +262,51 @@ class MarkMirrorApp {
       zoom: this.settings.previewZoom,
       useExternalParser: this.settings.useExternalParser,
       showMarkdownHighlight: this.settings.markdownHighlight,
+      parserOptions: this.getParserOptions(),
+      theme: this.currentTheme,
+      onTaskToggle: (line, checked) => this.toggleTask(line, checked),
+      onFrontMatterChange: changes => this.updateFrontMatter(changes),
+      onScroll: line => this.handlePreviewScroll(line),
+      onNavigate: (startLine, endLine) => this.revealSource(startLine, endLine),
+      onOutline: headings => this.outlinePanel.setHeadings(headings),
+    });
+  }
+
+  // Initialize the Markdown linter and its problem list below the editor
+  initializeLinter() {
+    this.linter = new MarkdownLinter({
+      rules: this.settings.lintRules,
+      parserOptions: this.getParserOptions(),
+      documents: this.getDocumentTitles(),
+    });
+    // Linting a long document takes hundreds of milliseconds, too long for the UI thread
+    this.lintClient = new ParserClient();
+
+    const editorPanel = document.querySelector('.editor-panel');
+    if (editorPanel) {
+      this.problemsPanel.attach(editorPanel);
+    }
+  }
+
+  // Options of the built-in parser that depend on settings
+  getParserOptions() {
+    const extensions = this.settings.markdownExtensions !== false;
+    return {
+      footnotes: extensions,
+      definitionLists: extensions,
+      abbreviations: extensions,
+    };
+  }
+
+  // Plugins added with registerPlugin() after start-up apply to the preview and the linter right away
+  setupPlugins() {
+    onPluginsChange(() => {
+      this.preview?.setParserOptions(this.getParserOptions());
+      this.lintClient?.setOptions({});
+      if (this.linter) {
+        this.linter.setOptions({ parserOptions: this.getParserOptions() });
+        this.runLint();
+      }
     });
   }
 
@@ -159,6 +315,9 @@ class MarkMirrorApp {
     this.setupFileControls();
     this.setupSettingsPanel();
     this.setupAnalyticsPanel();
+    this.setupDocumentsPanel();
+    this.setupHistoryPanel();
+    this.setupOutlinePanel();
     this.setupMobileTabs();
     this.setupHelpModal();
     this.setupKeyboardShortcuts();
@@ -167,7 +326,9 @@ class MarkMirrorApp {
   // Initialize search and replace functionality
   initializeSearchReplace() {
     if (this.editor) {
-      this.searchReplace = new SearchReplace(this.editor);
+      this.searchReplace = new SearchReplace(this.editor, {
+        onBeforeReplaceAll: () => this.createSnapshot('replaceAll'),
+      });
 
       // Make search available globally for EditorActions integration
       window.EditorSearch = this.searchReplace;
@@ -286,12 +447,22 @@ class MarkMirrorApp {
       console.log('Text copied via EditorActions:', e.detail.wasSelection ? 'selection' : 'all content');
     });
 
+    // Keep a snapshot before EditorActions wipes the content
+    editorContainer.addEventListener('editoractions:beforeclear', () => {
+      this.createSnapshot('clear');
+    });
+
     // Listen for clear events
     editorContainer.addEventListener('editoractions:cleared', (e) => {
       console.log('Content cleared via EditorActions:', e.detail.type);
       // Trigger content change handling
       this.handleContentChange(this.editor.getContent());
     });
+
+    // Format the document from the action bar
+    editorContainer.addEventListener('editoractions:format', () => {
+      this.formatDocument();
+    });
   }
 
   // Manual action bar creation as fallback
@@ -331,6 +502,12 @@ class MarkMirrorApp {
         </svg>
         <span>Clear</span>
       </button>
+      <button type="button" class="action-btn format-btn" aria-label="Format document" title="Format document (Shift+Alt+F)" tabindex="0">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+          <path d="M3,3H21V5H3V3M3,7H15V9H3V7M3,11H21V13H3V11M3,15H15V17H3V15M3,19H21V21H3V19Z"/>
+        </svg>
+        <span>Format</span>
+      </button>
     `;
 
     // Append to editor container at the end (not absolutely positioned)
@@ -347,6 +524,7 @@ class MarkMirrorApp {
     const pasteBtn = actionBar.querySelector('.paste-btn');
     const copyBtn = actionBar.querySelector('.copy-btn');
     const clearBtn = actionBar.querySelector('.clear-btn');
+    const formatBtn = actionBar.querySelector('.format-btn');
 
     if (pasteBtn) {
       pasteBtn.addEventListener('click', () => this.handleManualPaste());
@@ -359,6 +537,10 @@ class MarkMirrorApp {
     if (clearBtn) {
       clearBtn.addEventListener('click', () => this.handleManualClear());
     }
+
+    if (formatBtn) {
+      formatBtn.addEventListener('click', () => this.formatDocument());
+    }
   }
 
   // Manual action handlers
@@ -467,6 +649,7 @@ class MarkMirrorApp {
     if (!hasSelection) {
       // Clear all content with confirmation
       if (confirm('Are you sure you want to clear all content?')) {
+        this.createSnapshot('clear');
         if (this.editor.view) {
           this.editor.view.dispatch({
             changes: { from: 0, to: this.editor.view.state.doc.length, insert: '' }
@@ -674,6 +857,78 @@ class MarkMirrorApp {
       });
     }
 
+    // Markdown extensions toggle
+    const markdownExtensionsToggle = document.getElementById('markdown-extensions-toggle');
+    if (markdownExtensionsToggle) {
+      markdownExtensionsToggle.checked = this.settings.markdownExtensions !== false;
+      markdownExtensionsToggle.addEventListener('change', e => {
+        const oldValue = this.settings.markdownExtensions;
+        this.settings.markdownExtensions = e.target.checked;
+        this.saveSettings();
+        if (this.preview) {
+          this.preview.setParserOptions(this.getParserOptions());
+        }
+        if (this.linter) {
+          this.linter.setOptions({ parserOptions: this.getParserOptions() });
+          this.runLint();
+        }
+
+        // Track setting change
+        if (this.analytics) {
+          this.analytics.trackSettingChange('markdownExtensions', oldValue, e.target.checked);
+        }
+      });
+    }
+
+    // Linter toggle and rules
+    const lintToggle = document.getElementById('lint-toggle');
+    if (lintToggle) {
+      lintToggle.checked = this.settings.lint !== false;
+      lintToggle.addEventListener('change', e => {
+        this.settings.lint = e.target.checked;
+        this.saveSettings();
+        this.runLint();
+      });
+    }
+
+    const lintRules = document.getElementById('lint-rules');
+    if (lintRules) {
+      lintRules.innerHTML = LINT_RULES.map(rule => `
+        <label title="${rule.name}">
+          <input type="checkbox" data-rule="${rule.id}" />
+          ${rule.id} — ${rule.description}
+        </label>
+      `).join('');
+      this.updateLintRuleToggles();
+
+      lintRules.addEventListener('change', e => {
+        const ruleId = e.target.dataset.rule;
+        if (!ruleId) return;
+
+        this.settings.lintRules = { ...this.settings.lintRules, [ruleId]: e.target.checked };
+        this.saveSettings();
+        if (this.linter) {
+          this.linter.setOptions({ rules: this.settings.lintRules });
+          this.runLint();
+        }
+      });
+    }
+
+    // Document formatting style
+    const formatOptions = document.getElementById('format-options');
+    if (formatOptions) {
+      this.updateFormatOptions();
+      formatOptions.addEventListener('change', e => {
+        const option = e.target.dataset.formatOption;
+        if (!option) return;
+
+        const value = option === 'width' ? Math.max(20, parseInt(e.target.value) || 80) : e.target.value;
+        this.settings.format = { ...this.settings.format, [option]: value };
+        this.saveSettings();
+        this.updateFormatOptions();
+      });
+    }
+
     // Action bar visible toggle
     const actionBarToggle = document.querySelector('input[name="actionBarVisible"]');
     if (actionBarToggle) {
@@ -740,6 +995,93 @@ class MarkMirrorApp {
     }
   }
 
+  // Setup documents panel
+  setupDocumentsPanel() {
+    const documentsToggle = document.getElementById('documents-toggle');
+
+    if (documentsToggle) {
+      documentsToggle.addEventListener('click', () => {
+        this.documentsPanel.toggle();
+        if (this.analytics) {
+          this.analytics.trackFunctionUsage('documents_open');
+        }
+      });
+    }
+  }
+
+  // Setup revision history panel
+  setupHistoryPanel() {
+    const historyToggle = document.getElementById('history-toggle');
+
+    if (historyToggle) {
+      historyToggle.addEventListener('click', () => {
+        this.historyPanel.toggle();
+        if (this.analytics) {
+          this.analytics.trackFunctionUsage('history_open');
+        }
+      });
+    }
+  }
+
+  // Setup outline panel
+  setupOutlinePanel() {
+    const outlineToggle = document.getElementById('outline-toggle');
+
+    if (outlineToggle) {
+      outlineToggle.addEventListener('click', () => {
+        this.outlinePanel.toggle();
+        if (this.outlinePanel.isVisible && this.editor) {
+          this.outlinePanel.setCurrentLine(this.editor.getTopLine());
+        }
+        if (this.analytics) {
+          this.analytics.trackFunctionUsage('outline_open');
+        }
+      });
+    }
+  }
+
+  // Show a heading of the outline at the top of the editor and the preview
+  goToHeading(heading) {
+    if (!this.editor) return;
+
+    const lines = this.editor.getContent().split('\n');
+    const offset = lines.slice(0, heading.line).reduce((position, text) => position + text.length + 1, 0);
+
+    // Both panes are scrolled here, scroll sync would move them again
+    this.isSyncingEditor = true;
+    this.editor.scrollToLine(heading.line);
+    this.editor.setCursor(offset);
+    if (this.preview) {
+      this.preview.scrollToLine(heading.line);
+    }
+    this.outlinePanel.setCurrentLine(heading.line);
+    clearTimeout(this.editorSyncTimer);
+    this.editorSyncTimer = setTimeout(() => {
+      this.isSyncingEditor = false;
+    }, 100);
+  }
+
+  // Store a revision snapshot of the active document
+  createSnapshot(reason = 'auto') {
+    if (!this.editor || !this.activeDocumentId) return null;
+    return this.history.snapshot(this.activeDocumentId, this.editor.getContent(), reason);
+  }
+
+  // Restore a revision snapshot, keeping the current text in history
+  restoreSnapshot(snapshot) {
+    if (!this.editor) return;
+
+    this.createSnapshot('restore');
+    // setContent notifies handleContentChange through the editor's onChange
+    this.editor.setContent(snapshot.content);
+    this.saveContent();
+    this.showMessage('Версия восстановлена');
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage('history_restore');
+    }
+  }
+
   // Handle content changes
   handleContentChange(content) {
     // Track content changes for analytics
@@ -760,16 +1102,256 @@ class MarkMirrorApp {
       this.preview.updatePreview(content);
     }
 
+    this.scheduleLint();
+
     // Trigger auto-save
     this.scheduleAutoSave();
   }
 
+  // Lint the document after a pause in typing
+  scheduleLint() {
+    clearTimeout(this.lintTimer);
+    this.lintTimer = setTimeout(() => this.runLint(), 300);
+  }
+
+  // Titles of the workspace documents, which relative .md links are checked against
+  getDocumentTitles() {
+    return this.storage ? this.storage.listDocuments().map(doc => doc.title) : null;
+  }
+
+  // Lint the editor content in the parser worker, or on the UI thread when the browser is idle,
+  // and show the problems in the editor and the problem list
+  runLint() {
+    clearTimeout(this.lintTimer);
+    this.cancelIdleLint();
+    if (!this.editor || !this.linter) return;
+
+    const content = this.editor.getContent();
+    if (this.settings.lint === false || !this.lintClient?.available) {
+      this.scheduleIdleLint();
+      return;
+    }
+
+    this.linter.setOptions({ documents: this.getDocumentTitles() });
+    this.lintClient.lint(content, this.linter.options).then(problems => {
+      // Newer content is linted by a later request
+      if (problems && content === this.editor.getContent()) {
+        this.showProblems(content, problems);
+      }
+    }).catch(error => {
+      console.warn('Lint failed in the worker:', error);
+      this.scheduleIdleLint();
+    });
+  }
+
+  // Lint on the UI thread when the browser is idle
+  scheduleIdleLint() {
+    if (typeof requestIdleCallback !== 'function') {
+      this.lintNow();
+      return;
+    }
+    this.lintIdleCallback = requestIdleCallback(() => {
+      this.lintIdleCallback = null;
+      this.lintNow();
+    }, { timeout: 2000 });
+  }
+
+  cancelIdleLint() {
+    if (this.lintIdleCallback !== null) {
+      cancelIdleCallback(this.lintIdleCallback);
+      this.lintIdleCallback = null;
+    }
+  }
+
+  // Lint the editor content on the UI thread right away
+  lintNow() {
+    if (!this.editor || !this.linter) return;
+
+    const content = this.editor.getContent();
+    this.linter.setOptions({ documents: this.getDocumentTitles() });
+    this.showProblems(content, this.settings.lint !== false ? this.linter.lint(content) : []);
+  }
+
+  // Show the problems of a content in the editor and the problem list
+  showProblems(content, problems) {
+    this.problems = problems;
+    this.lintedContent = content;
+
+    this.problemsPanel.setProblems(this.problems);
+    if (this.editor.setDiagnostics) {
+      this.editor.setDiagnostics(this.problems, problem => this.applyLintFix(problem));
+    }
+  }
+
+  // Problems of the current content; offsets of older problems may point elsewhere
+  getCurrentProblems() {
+    if (this.editor && this.editor.getContent() !== this.lintedContent) {
+      this.lintNow();
+    }
+    return this.problems;
+  }
+
+  // Select the source of a problem in the editor
+  selectProblem(problem) {
+    if (!this.editor) return;
+
+    if (this.isMobileLayout()) {
+      this.showMobileTab('editor');
+    }
+    this.editor.focus();
+    this.editor.setSelection(problem.from, problem.to);
+  }
+
+  // Apply the quick-fix of a problem
+  applyLintFix(problem) {
+    // The document may have changed since the problem was found: use the same problem of the current text
+    const current = this.getCurrentProblems().find(item => (
+      item.rule === problem.rule && item.line === problem.line && item.message === problem.message
+    ));
+    if (!current || !current.fix) return;
+
+    this.editor.replaceRange(current.fix.from, current.fix.to, current.fix.text);
+    this.runLint();
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage('lint_fix', { rule: current.rule });
+    }
+  }
+
+  // Apply all quick-fixes as one edit, so they make a single change and undo step
+  applyAllLintFixes() {
+    this.editor.replaceRanges(getFixChanges(this.getCurrentProblems()));
+    this.runLint();
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage('lint_fix_all');
+    }
+  }
+
+  // Rewrite the document in the configured style: list markers, emphasis, numbering, tables, blank lines
+  formatDocument() {
+    if (!this.editor) return;
+
+    if (!this.formatter) {
+      this.formatter = new MarkdownFormatter();
+    }
+    this.formatter.setOptions({ ...this.settings.format, parserOptions: this.getParserOptions() });
+
+    const content = this.editor.getContent();
+    let formatted;
+    try {
+      formatted = this.formatter.format(content);
+    } catch (error) {
+      console.error('Failed to format document:', error);
+      this.showError('Не удалось отформатировать документ, не изменив его вид');
+      return;
+    }
+
+    if (formatted === content) {
+      this.showMessage('Документ уже отформатирован');
+      return;
+    }
+
+    // Replace only the changed part, so the cursor stays where it is when it was outside of it
+    let start = 0;
+    while (start < content.length && start < formatted.length && content[start] === formatted[start]) {
+      start++;
+    }
+    let end = 0;
+    while (end < content.length - start && end < formatted.length - start &&
+      content[content.length - 1 - end] === formatted[formatted.length - 1 - end]) {
+      end++;
+    }
+
+    this.createSnapshot('format');
+    this.editor.replaceRange(start, content.length - end, formatted.slice(start, formatted.length - end));
+    this.showMessage('Документ отформатирован');
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage('format_document');
+    }
+  }
+
   // Handle editor scroll
   handleEditorScroll(scrollInfo) {
-    // Sync scroll with preview if enabled
-    if (this.preview && this.settings.syncScroll && scrollInfo) {
-      this.preview.scrollToPosition(scrollInfo.percentage);
+    if (this.outlinePanel.isVisible && !this.isSyncingEditor) {
+      this.outlinePanel.setCurrentLine(this.editor.getTopLine());
+    }
+
+    // Sync scroll with preview if enabled, unless the preview is what scrolled the editor
+    if (!this.preview || !this.settings.syncScroll || !scrollInfo || this.isSyncingEditor) return;
+
+    if (scrollInfo.percentage >= 1) {
+      // The end of the document lines up even when the preview is taller
+      this.preview.scrollToPosition(1);
+    } else {
+      this.preview.scrollToLine(this.editor.getTopLine());
+    }
+  }
+
+  // Show the source line at the top of the scrolled preview pane at the top of the editor
+  handlePreviewScroll(line) {
+    this.outlinePanel.setCurrentLine(line);
+    if (!this.editor || !this.settings.syncScroll) return;
+
+    this.isSyncingEditor = true;
+    this.editor.scrollToLine(line);
+    clearTimeout(this.editorSyncTimer);
+    this.editorSyncTimer = setTimeout(() => {
+      this.isSyncingEditor = false;
+    }, 100);
+  }
+
+  // Select the source lines of a preview block in the editor
+  revealSource(startLine, endLine) {
+    if (!this.editor) return;
+
+    const lines = this.editor.getContent().split('\n');
+    const from = lines.slice(0, startLine).reduce((offset, text) => offset + text.length + 1, 0);
+    const to = from + lines.slice(startLine, endLine).join('\n').length;
+
+    // On small screens only one panel is shown at a time
+    if (this.isMobileLayout()) {
+      this.showMobileTab('editor');
     }
+
+    // The editor scrolls to the selection; keep the preview where the user clicked
+    this.isSyncingEditor = true;
+    this.editor.focus();
+    this.editor.setSelection(from, to);
+    clearTimeout(this.editorSyncTimer);
+    this.editorSyncTimer = setTimeout(() => {
+      this.isSyncingEditor = false;
+    }, 100);
+  }
+
+  // Write title/date/tags edited in the metadata card back to the front matter
+  updateFrontMatter(changes) {
+    if (!this.editor) return;
+
+    const content = this.editor.getContent();
+    const frontMatter = splitFrontMatter(content);
+    const oldLength = frontMatter ? frontMatter.length : 0;
+    const updated = updateFrontMatter(content, changes);
+
+    // Only the front matter changes, the body stays as it is
+    this.editor.replaceRange(0, oldLength, updated.slice(0, updated.length - (content.length - oldLength)));
+    this.showMessage('Метаданные обновлены');
+  }
+
+  // Toggle the "[ ]"/"[x]" marker of a task item on the given source line
+  toggleTask(line, checked) {
+    if (!this.editor) return false;
+
+    const lines = this.editor.getContent().split('\n');
+    // Optional blockquote markers, then one or more list markers, then the task box
+    const match = line < lines.length && lines[line].match(/^((?:[ \t]*>)*[ \t]*(?:(?:[-+*]|\d{1,9}[.)])[ \t]+)+\[)[ xX]\]/);
+    if (!match) return false;
+
+    const lineStart = lines.slice(0, line).reduce((offset, text) => offset + text.length + 1, 0);
+    const from = lineStart + match[1].length;
+    this.editor.replaceRange(from, from + 1, checked ? 'x' : ' ');
+    return true;
   }
 
   // Schedule auto-save
@@ -783,23 +1365,134 @@ class MarkMirrorApp {
     }, 1000); // Auto-save after 1 second of inactivity
   }
 
-  // Save content to localStorage
-  saveContent() {
-    if (this.editor) {
-      const content = this.editor.getContent();
-      this.storage.saveContent(content);
-    }
+  // Save content and view state of the active document; resolves to whether it was written.
+  // `beforeUnload` keeps a synchronous copy for when the page goes away before the write completes.
+  saveContent(beforeUnload = false) {
+    if (!this.editor || !this.activeDocumentId) return Promise.resolve(false);
+
+    const fields = {
+      content: this.editor.getContent(),
+      cursor: this.editor.getCursor(),
+      scrollTop: this.editor.getScrollInfo().top,
+    };
+    return beforeUnload
+      ? this.storage.saveDocumentBeforeUnload(this.activeDocumentId, fields)
+      : this.storage.saveDocument(this.activeDocumentId, fields);
   }
 
   // Load saved content
   loadSavedContent() {
-    const savedContent = this.storage.loadContent();
-    if (savedContent && this.editor) {
-      this.editor.setContent(savedContent);
-    } else if (this.editor) {
-      // Load default content for demonstration
-      const defaultContent = this.getDefaultContent();
-      this.editor.setContent(defaultContent);
+    // First run (or legacy single-document data) gets migrated into a document
+    const activeId = this.storage.ensureActiveDocument(this.getDefaultContent());
+    if (activeId) {
+      this.loadDocument(activeId);
+    }
+  }
+
+  // Load a stored document into the editor, restoring cursor and scroll position
+  loadDocument(id) {
+    const doc = this.storage.getDocument(id);
+    if (!doc || !this.editor) return;
+
+    if (this.autoSaveTimer) {
+      clearTimeout(this.autoSaveTimer);
+      this.autoSaveTimer = null;
+    }
+
+    this.activeDocumentId = id;
+    this.storage.setActiveDocumentId(id);
+    this.lastContent = doc.content;
+    this.editor.setContent(doc.content);
+    this.updateDocumentTitle(doc.title);
+
+    // Wait for the editor layout before restoring the view state
+    requestAnimationFrame(() => {
+      this.editor.setCursor(doc.cursor);
+      this.editor.scrollTo({ top: doc.scrollTop });
+    });
+  }
+
+  // Switch to another document, saving the current one first
+  openDocument(id) {
+    if (id === this.activeDocumentId) {
+      this.documentsPanel.hide();
+      return;
+    }
+
+    this.saveContent();
+    this.loadDocument(id);
+    this.documentsPanel.hide();
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage('document_switch');
+    }
+  }
+
+  // Create a new empty document and open it
+  createDocument(title = null, content = '') {
+    const meta = this.storage.createDocument(title, content);
+    this.saveContent();
+    this.loadDocument(meta.id);
+
+    if (this.analytics) {
+      this.analytics.trackFunctionUsage('document_create');
+    }
+    return meta;
+  }
+
+  // Rename a document
+  renameDocument(id) {
+    const doc = this.storage.getDocument(id);
+    if (!doc) return;
+
+    const title = prompt('Новое название документа:', doc.title);
+    if (title === null || !title.trim()) return;
+
+    this.storage.renameDocument(id, title.trim());
+    if (id === this.activeDocumentId) {
+      this.updateDocumentTitle(title.trim());
+    }
+  }
+
+  // Duplicate a document
+  duplicateDocument(id) {
+    if (id === this.activeDocumentId) {
+      this.saveContent();
+    }
+
+    const copy = this.storage.duplicateDocument(id);
+    if (copy) {
+      this.showMessage(`Создана копия "${copy.title}"`);
+    }
+  }
+
+  // Delete a document, opening another one (or a fresh one) if it was active
+  deleteDocument(id) {
+    const doc = this.storage.getDocument(id);
+    if (!doc) return;
+
+    if (!confirm(`Удалить документ "${doc.title}"? Это действие нельзя отменить.`)) {
+      return;
+    }
+
+    const wasActive = id === this.activeDocumentId;
+    this.storage.deleteDocument(id);
+
+    if (wasActive) {
+      const nextId = this.storage.ensureActiveDocument('');
+      this.activeDocumentId = null;
+      this.loadDocument(nextId);
+    }
+
+    this.showMessage(`Документ "${doc.title}" удалён`);
+  }
+
+  // Show active document title in the editor panel header
+  updateDocumentTitle(title) {
+    const titleEl = document.getElementById('document-title');
+    if (titleEl) {
+      titleEl.textContent = title;
+      titleEl.title = title;
     }
   }
 
@@ -1064,6 +1757,8 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
       return;
     }
 
+    this.createSnapshot('reset');
+
     try {
       // Clear localStorage
       localStorage.removeItem('markmirror.settings');
@@ -1079,7 +1774,11 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
         useExternalParser: false,
         embedStyles: true,
         previewZoom: 100,
-        markdownHighlight: true
+        markdownHighlight: true,
+        markdownExtensions: true,
+        lint: true,
+        lintRules: {},
+        format: { bullet: '-', emphasis: '*', wrap: 'preserve', width: 80 }
       };
 
       // Save default settings
@@ -1090,6 +1789,10 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
 
       // Reinitialize UI with default settings
       this.initializeSettingsUI();
+      if (this.linter) {
+        this.linter.setOptions({ rules: this.settings.lintRules, parserOptions: this.getParserOptions() });
+        this.runLint();
+      }
 
       // Reset EditorActions settings
       if (window.EditorActions) {
@@ -1116,6 +1819,21 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
     }
   }
 
+  // Check the rule toggles of enabled linter rules
+  updateLintRuleToggles() {
+    document.querySelectorAll('#lint-rules input[data-rule]').forEach(toggle => {
+      const rule = LINT_RULES.find(item => item.id === toggle.dataset.rule);
+      toggle.checked = this.settings.lintRules?.[rule.id] ?? rule.enabled;
+    });
+  }
+
+  // Show the formatting style in its settings controls
+  updateFormatOptions() {
+    document.querySelectorAll('#format-options [data-format-option]').forEach(control => {
+      control.value = this.settings.format[control.dataset.formatOption];
+    });
+  }
+
   // Initialize settings UI with current values
   initializeSettingsUI() {
     // Theme toggle
@@ -1162,6 +1880,20 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
       markdownHighlightToggle.checked = this.settings.markdownHighlight;
     }
 
+    // Markdown extensions toggle
+    const markdownExtensionsToggle = document.getElementById('markdown-extensions-toggle');
+    if (markdownExtensionsToggle) {
+      markdownExtensionsToggle.checked = this.settings.markdownExtensions !== false;
+    }
+
+    // Linter toggle and rules
+    const lintToggle = document.getElementById('lint-toggle');
+    if (lintToggle) {
+      lintToggle.checked = this.settings.lint !== false;
+    }
+    this.updateLintRuleToggles();
+    this.updateFormatOptions();
+
     // Action bar visible toggle
     const actionBarToggle = document.querySelector('input[name="actionBarVisible"]');
     if (actionBarToggle) {
@@ -1182,15 +1914,25 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
 
   // Setup auto-save
   setupAutoSave() {
-    // Save content when page is about to unload
-    window.addEventListener('beforeunload', () => {
-      this.saveContent();
+    // Save content when the page is hidden or unloaded (mobile browsers may not fire beforeunload)
+    window.addEventListener('pagehide', () => {
+      this.saveContent(true);
+    });
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.saveContent(true);
+      }
     });
 
     // Save content periodically
     setInterval(() => {
       this.saveContent();
     }, 30000); // Every 30 seconds
+
+    // Snapshot the active document periodically (unchanged content is skipped)
+    setInterval(() => {
+      this.createSnapshot('auto');
+    }, 300000); // Every 5 minutes
   }
 
   // Toggle theme
@@ -1228,9 +1970,12 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
 
       const content = await this.fileHandler.readFileAsText(file);
 
-      if (this.editor) {
-        this.editor.setContent(content);
-      }
+      // Keep the current document's text recoverable before switching away
+      this.createSnapshot('import');
+
+      // Imported files open as new documents instead of replacing the current one
+      const title = file.name.replace(/\.(md|txt)$/i, '');
+      this.createDocument(title, content);
 
       // Clear the file input
       event.target.value = '';
@@ -1277,15 +2022,15 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
     }
   }
 
-  // Export as HTML
-  exportHTML() {
+  // Export as HTML; waits for diagrams that are still rendering
+  async exportHTML() {
     if (!this.preview) return;
 
-    const htmlContent = this.preview.getHTMLContent();
     const filename = `markmirror-${new Date().toISOString().split('T')[0]}.html`;
 
     try {
-      this.fileHandler.exportHTML(htmlContent, filename, this.settings.embedStyles);
+      const htmlContent = await this.preview.getHTMLContent();
+      this.fileHandler.exportHTML(htmlContent, filename, this.settings.embedStyles, this.preview.getMetadata());
       this.showMessage('HTML файл экспортирован');
 
       // Track export
@@ -1302,7 +2047,8 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
 
   // Clear editor
   clearEditor() {
-    if (confirm('Вы уверены, что хотите очистить редактор? Все несохранённые изменения будут потеряны.')) {
+    if (confirm('Вы уверены, что хотите очистить редактор? Текущий текст будет сохранён в истории версий.')) {
+      this.createSnapshot('clear');
       if (this.editor) {
         this.editor.setContent('');
       }
@@ -1362,6 +2108,15 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
     this.showMessage(message, 'error');
   }
 
+  // Warn that changes could not be saved because storage is full
+  handleQuotaExceeded() {
+    const now = Date.now();
+    if (now - this.lastQuotaWarning < 10000) return;
+    this.lastQuotaWarning = now;
+
+    this.showError('Хранилище переполнено: изменения не сохранены. Удалите ненужные документы или экспортируйте их в файлы.');
+  }
+
   // Force scroll setup for debugging
   forceScrollSetup() {
     console.log('🔧 Force scroll setup...');
@@ -1391,28 +2146,35 @@ Nemo enim ipsam voluptatem quia voluptas sit aspernatur aut odit aut fugit, sed
 
   // Setup mobile tabs
   setupMobileTabs() {
-    const tabBtns = document.querySelectorAll('.tab-btn');
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.showMobileTab(btn.dataset.tab));
+    });
+  }
+
+  // Switch the mobile layout to the editor or preview panel
+  showMobileTab(tab) {
     const editorPanel = document.querySelector('.editor-panel');
     const previewPanel = document.querySelector('.preview-panel');
 
-    tabBtns.forEach(btn => {
-      btn.addEventListener('click', () => {
-        const tab = btn.dataset.tab;
-
-        // Update active tab
-        tabBtns.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-
-        // Show/hide panels
-        if (tab === 'editor') {
-          editorPanel?.classList.add('active');
-          previewPanel?.classList.remove('active');
-        } else if (tab === 'preview') {
-          editorPanel?.classList.remove('active');
-          previewPanel?.classList.add('active');
-        }
-      });
+    // Update active tab
+    document.querySelectorAll('.tab-btn').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.tab === tab);
     });
+
+    // Show/hide panels
+    if (tab === 'editor') {
+      editorPanel?.classList.add('active');
+      previewPanel?.classList.remove('active');
+    } else if (tab === 'preview') {
+      editorPanel?.classList.remove('active');
+      previewPanel?.classList.add('active');
+    }
+  }
+
+  // The mobile tab bar is shown on small screens only
+  isMobileLayout() {
+    const tabs = document.querySelector('.mobile-tabs');
+    return !!tabs && getComputedStyle(tabs).display !== 'none';
   }
 
   // Setup help modal
@@ -1616,6 +2378,12 @@ MarkMirror можно установить как обычное приложе
         this.exportHTML();
       }
 
+      // Shift + Alt + F: Format document (the key code, since Alt changes the character on macOS)
+      if (e.shiftKey && e.altKey && e.code === 'KeyF') {
+        e.preventDefault();
+        this.formatDocument();
+      }
+
       // F1: Help
       if (e.key === 'F1') {
         e.preventDefault();
@@ -1643,6 +2411,8 @@ MarkMirror можно установить как обычное приложе
           helpModal.classList.add('hidden');
         } else if (settingsPanel && !settingsPanel.classList.contains('hidden')) {
           settingsPanel.classList.add('hidden');
+        } else if (this.tableEditorPanel.isVisible) {
+          this.tableEditorPanel.hide();
         }
       }
     });
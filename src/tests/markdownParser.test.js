@@ -2,6 +2,14 @@
 // Simple test framework for browser environment
 
 import { MarkdownParser } from '../utils/markdownParser.js';
+import { MarkdownTable } from '../utils/markdownTable.js';
+import { MarkdownLinter, getFixChanges } from '../utils/markdownLint.js';
+import { runFormatCommand, getActiveCommands, continueList, indentLines } from '../utils/markdownCommands.js';
+import { MarkdownFormatter } from '../utils/markdownFormat.js';
+import { RevisionHistory, diffLines } from '../utils/history.js';
+import { Storage } from '../utils/storage.js';
+import { LocalStorageEngine } from '../utils/storageEngines.js';
+import { createMarkdownParser, registerPlugin, onPluginsChange, getPluginModules, pluginsSupportWorker } from '../utils/markdownPlugins.js';
 
 class TestRunner {
     constructor() {
@@ -97,6 +105,26 @@ runner.test('Links', () => {
     runner.assertContains(output, '<a href="https://example.com">Link text</a>');
 });
 
+// Test reference links, titles and autolinks
+runner.test('Links - References, Titles and Autolinks', () => {
+    const input = `[Docs][docs], [docs][] and [Docs] with [a title](/a "Title").
+
+Visit <https://example.com>, https://example.org/path. or www.example.net
+
+[DOCS]: https://docs.example.com "Documentation"`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<a href="https://docs.example.com" title="Documentation">Docs</a>, ' +
+        '<a href="https://docs.example.com" title="Documentation">docs</a> and ' +
+        '<a href="https://docs.example.com" title="Documentation">Docs</a>');
+    runner.assertContains(output, '<a href="/a" title="Title">a title</a>');
+    runner.assertContains(output, '<a href="https://example.com">https://example.com</a>');
+    runner.assertContains(output, '<a href="https://example.org/path">https://example.org/path</a>.');
+    runner.assertContains(output, '<a href="http://www.example.net">www.example.net</a>');
+    runner.assertEqual(output.includes('[DOCS]'), false, 'Definitions must not leak into the output');
+    runner.assertEqual(parser.parse('[missing][ref]'), '<p>[missing][ref]</p>\n', 'Undefined references stay text');
+});
+
 // Test images
 runner.test('Images', () => {
     const input = '![Alt text](image.jpg)';
@@ -152,7 +180,121 @@ runner.test('Blockquotes', () => {
     const input = '> This is a blockquote';
     const output = parser.parse(input);
     
-    runner.assertContains(output, '<blockquote>This is a blockquote</blockquote>');
+    runner.assertContains(output, '<blockquote>\n<p>This is a blockquote</p>\n</blockquote>');
+});
+
+// Test multi-paragraph blockquotes with lazy continuation
+runner.test('Blockquotes - Paragraphs and Lazy Continuation', () => {
+    const input = `> First line
+continued lazily
+>
+> Second paragraph`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<p>First line\ncontinued lazily</p>');
+    runner.assertContains(output, '<p>Second paragraph</p>');
+});
+
+// Test nested lists
+runner.test('Nested Lists', () => {
+    const input = `- Item 1
+  - Nested item
+- Item 2`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<li>Item 1\n<ul>\n<li>Nested item</li>\n</ul>\n</li>');
+    runner.assertContains(output, '<li>Item 2</li>');
+});
+
+// Test mixed nesting and ordered lists starting at N
+runner.test('Nested Lists - Mixed Types and Start Number', () => {
+    const input = `3. Third
+   - Bullet
+     1. Deep
+4. Fourth`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<ol start="3">\n<li>Third\n<ul>\n<li>Bullet\n<ol>\n<li>Deep</li>\n</ol>\n</li>\n</ul>\n</li>');
+    runner.assertContains(output, '<li>Fourth</li>\n</ol>');
+});
+
+// Test list items with several paragraphs and code blocks
+runner.test('List Items - Paragraphs and Code Blocks', () => {
+    const input = `1. First paragraph
+
+   Second paragraph
+
+   \`\`\`js
+   const x = 1;
+   \`\`\`
+2. Next item`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<ol>\n<li>\n<p>First paragraph</p>\n<p>Second paragraph</p>\n<pre><code class="language-js">const x = 1;\n</code></pre>\n</li>');
+    runner.assertContains(output, '<li>\n<p>Next item</p>\n</li>');
+});
+
+// Test inline and display math
+runner.test('Math - Inline and Display', () => {
+    const output = parser.parse(`Energy $E = mc^2$ costs $5 and $10
+
+$$
+\\int_0^1 x\\,dx
+$$`);
+
+    runner.assertContains(output, '<span class="math math-inline">E = mc^2</span> costs $5 and $10');
+    runner.assertContains(output, '<div class="math math-display">\\int_0^1 x\\,dx</div>');
+    runner.assertEqual(parser.parse('a_1 $x_1$ b_1').includes('<em>'), false, 'Underscores in math must not become emphasis');
+
+    const prices = parser.parse('Price is\n$$100 for two\n\n# Heading');
+    runner.assertContains(prices, '<p>Price is\n$$100 for two</p>', '"$$" text does not open a math block');
+    runner.assertContains(prices, '<h1>Heading</h1>');
+    runner.assertContains(parser.parse('$$x$$ trailing\n\nafter'), '<p><span class="math math-display">x</span> trailing</p>\n<p>after</p>');
+    runner.assertContains(parser.parse('text\n$$\nx\n$$'), '<p>text\n<span class="math math-display">x</span></p>', 'Math blocks do not interrupt paragraphs');
+    runner.assertContains(parser.parse('$$ x $$'), '<div class="math math-display">x</div>');
+});
+
+// Test YAML front matter
+runner.test('Front Matter', () => {
+    const input = `---
+title: "Post: part 1"
+tags:
+  - js
+  - markdown
+---
+# Heading`;
+    const output = parser.parse(input);
+
+    runner.assertEqual(output.includes('<hr>'), false, 'Front matter must not render as a rule');
+    runner.assertEqual(output.includes('title'), false, 'Front matter must not render as text');
+    runner.assertContains(output, '<h1>Heading</h1>');
+
+    const frontMatter = parser.getFrontMatter(input);
+    runner.assertEqual(frontMatter.data.title, 'Post: part 1');
+    runner.assertEqual(frontMatter.data.tags.join(','), 'js,markdown');
+    runner.assertEqual(parser.getFrontMatter('---\nText\n---'), null, 'Plain text between rules is not front matter');
+});
+
+// Test footnotes, definition lists and abbreviations
+runner.test('Extensions - Footnotes, Definition Lists, Abbreviations', () => {
+    const input = `See note[^1] about HTML.
+
+[^1]: The note.
+
+Term
+: Definition
+
+*[HTML]: Hyper Text Markup Language`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<sup class="footnote-ref"><a href="#fn-1" id="fnref-1">1</a></sup>');
+    runner.assertContains(output, '<li id="fn-1">\n<p>The note. <a href="#fnref-1" class="footnote-backref">');
+    runner.assertContains(output, '<dl>\n<dt>Term</dt>\n<dd>Definition</dd>\n</dl>');
+    runner.assertContains(output, '<abbr title="Hyper Text Markup Language">HTML</abbr>');
+
+    const plain = new MarkdownParser({ footnotes: false, definitionLists: false, abbreviations: false }).parse(input);
+    runner.assertEqual(plain.includes('footnote-ref') || plain.includes('<dl>') || plain.includes('<abbr'), false,
+        'Extensions can be switched off');
 });
 
 // Test fenced code blocks
@@ -187,6 +329,76 @@ runner.test('Tables', () => {
     runner.assertContains(output, '<td>Cell 2</td>');
 });
 
+// Test table alignment, empty cells and pipes inside cells
+runner.test('Tables - Alignment, Empty Cells and Escaped Pipes', () => {
+    const input = `| Left | Center | Right |
+|:-----|:------:|------:|
+| \`a|b\` | | x \\| y |
+| short |`;
+    const output = parser.parse(input);
+
+    runner.assertContains(output, '<th align="left">Left</th>\n<th align="center">Center</th>\n<th align="right">Right</th>');
+    runner.assertContains(output, '<td align="left"><code>a|b</code></td>\n<td align="center"></td>\n<td align="right">x | y</td>');
+    runner.assertContains(output, '<td align="left">short</td>\n<td align="center"></td>\n<td align="right"></td>');
+});
+
+runner.test('Tables - Editing Cells with Pipes', () => {
+    const table = new MarkdownTable({ header: ['a', 'b'], rows: [['', '']] });
+    table.setCell(0, 0, 'x||y');
+    table.setCell(0, 1, 'a \\| b `c|d`');
+    runner.assertEqual(table.rows[0][0], 'x\\|\\|y', 'Adjacent pipes are both escaped');
+    runner.assertEqual(table.rows[0][1], 'a \\| b `c|d`', 'Escaped pipes and code spans are kept');
+
+    const output = parser.parse(table.format());
+    runner.assertContains(output, '<td>x||y</td>');
+    runner.assertContains(output, '<td>a | b <code>c|d</code></td>');
+});
+
+runner.test('Table Model - Parse, Edit and Format', () => {
+    const table = MarkdownTable.parse('| Name | Qty |\n| :--- | --: |\n| b | 10 |\n| A | 9 |\n| c | 100 |');
+    runner.assertEqual(table.header.join(','), 'Name,Qty');
+    runner.assertEqual(table.align.join(','), 'left,right');
+    runner.assertEqual(table.rows.map(row => row.join(':')).join(','), 'b:10,A:9,c:100');
+
+    const formatted = table.format();
+    runner.assertEqual(formatted, '| Name | Qty |\n| :--- | --: |\n| b    |  10 |\n| A    |   9 |\n| c    | 100 |');
+    runner.assertEqual(MarkdownTable.parse(formatted).format(), formatted, 'Alignment survives a round trip');
+
+    table.sortBy(1);
+    runner.assertEqual(table.rows.map(row => row[1]).join(','), '9,10,100', 'Numbers sort numerically');
+    table.sortBy(0, true);
+    runner.assertEqual(table.rows.map(row => row[0]).join(','), 'c,b,A', 'Text sorts without case');
+
+    runner.assertEqual(table.insertRow(1), 1);
+    runner.assertEqual(table.rows[1].join(','), ',');
+    runner.assertEqual(table.removeRow(1), true);
+    runner.assertEqual(table.removeRow(5), false);
+    runner.assertEqual(table.rows.length, 3);
+
+    runner.assertEqual(table.insertColumn(1), 1);
+    runner.assertEqual(table.header.join(','), 'Name,,Qty');
+    runner.assertEqual(table.align.join(','), 'left,,right');
+    runner.assertEqual(table.rows[0].length, 3);
+    runner.assertEqual(table.removeColumn(0), true);
+    runner.assertEqual(table.header.join(','), ',Qty');
+    table.removeColumn(0);
+    runner.assertEqual(table.removeColumn(0), false, 'The last column is kept');
+
+    const quoted = MarkdownTable.parse('> | a |\n> | - |\n> | 1 |');
+    runner.assertEqual(quoted.format(), '> | a   |\n> | --- |\n> | 1   |', 'Block quote markers are kept');
+});
+
+runner.test('Table Model - Escaped Pipes', () => {
+    const table = MarkdownTable.parse('| a \\| b | c |\n| - | - |');
+    runner.assertEqual(table.header[0], 'a \\| b', 'Escaped pipes stay in their cell');
+
+    table.setCell(-1, 1, 'x|y');
+    runner.assertEqual(table.header[1], 'x\\|y');
+    table.setCell(-1, 1, 'x\\|y');
+    runner.assertEqual(table.header[1], 'x\\|y', 'Escaped pipes are not escaped again');
+    runner.assertContains(parser.parse(table.format()), '<th>a | b</th>\n<th>x|y</th>');
+});
+
 // Test horizontal rules
 runner.test('Horizontal Rules', () => {
     const input = '---';
@@ -243,6 +455,658 @@ runner.test('HTML Escaping', () => {
     runner.assertContains(output, '&lt;/script&gt;');
 });
 
+// Test AST with source line ranges
+runner.test('AST - Block Tokens and Line Ranges', () => {
+    const input = `# Title
+
+- Item
+  > Quote
+
+Text with **bold**`;
+    const ast = parser.tokenize(input);
+    const [heading, list, paragraph] = ast.children;
+
+    runner.assertEqual(ast.type, 'document');
+    runner.assertEqual(heading.type, 'heading');
+    runner.assertEqual(heading.map.join(','), '0,1');
+    runner.assertEqual(list.type, 'list');
+    runner.assertEqual(list.map.join(','), '2,4');
+    runner.assertEqual(list.children[0].children[1].type, 'blockquote');
+    runner.assertEqual(paragraph.map.join(','), '5,6');
+    runner.assertEqual(paragraph.children[1].type, 'strong');
+});
+
+// Test source line attributes used by scroll sync
+runner.test('Source Map - Block Line Numbers', () => {
+    const input = `# Title
+
+\`\`\`
+code
+\`\`\`
+
+- Item`;
+    const output = new MarkdownParser({ sourceMap: true }).parse(input);
+
+    runner.assertContains(output, '<h1 data-line="0">Title</h1>');
+    runner.assertContains(output, '<pre data-line="2"><code>');
+    runner.assertContains(output, '<ul data-line="6">\n<li data-line="6">Item</li>');
+    runner.assertEqual(parser.parse(input).includes('data-line'), false, 'Source lines are off by default');
+});
+
+runner.test('Incremental Rendering - Cached Blocks', () => {
+    const blockParser = new MarkdownParser({ sourceMap: true });
+    const input = `# Title
+
+Some *text*
+
+<details>
+
+Hidden
+
+</details>`;
+    const first = blockParser.renderBlocks(input);
+    runner.assertEqual(first.blocks.length, 3, 'Raw HTML keeps the blocks it wraps');
+    runner.assertEqual(first.blocks.map(block => block.html).join(''), blockParser.parse(input));
+
+    const second = blockParser.renderBlocks(`Intro\n\n${input}`);
+    runner.assertEqual(second.blocks[2].key, 'Some *text*');
+    runner.assertEqual(second.blocks[2].line, 4);
+    runner.assertContains(second.blocks[2].html, '<p data-line="4">Some <em>text</em></p>');
+    runner.assertEqual(second.blocks.map(block => block.html).join(''), blockParser.parse(`Intro\n\n${input}`));
+});
+
+runner.test('Plugins - Containers, Mentions and Wiki Links', () => {
+    const pluginParser = new MarkdownParser()
+        .use({
+            block: {
+                type: 'container',
+                isContainer: true,
+                start: (blockParser) => {
+                    const match = !blockParser.indented && blockParser.currentLine.slice(blockParser.nextNonspace).match(/^:::[ \t]*(\w+)[ \t]*$/);
+                    if (!match) return 0;
+
+                    blockParser.closeUnmatchedBlocks();
+                    blockParser.addChild('container').kind = match[1];
+                    blockParser.advanceOffset(blockParser.currentLine.length - blockParser.offset);
+                    return 1;
+                },
+                continue: (blockParser, container) => {
+                    if (/^:::[ \t]*$/.test(blockParser.currentLine.slice(blockParser.nextNonspace))) {
+                        blockParser.closeBlock(container);
+                        return 2;
+                    }
+                    return 0;
+                },
+                canContain: type => type !== 'list_item'
+            },
+            render: {
+                container: (node, renderer) => `<div class="${node.kind}">\n${renderer.renderBlocks(node.children)}</div>\n`
+            }
+        })
+        .use({
+            inline: [
+                {
+                    trigger: '@',
+                    parse: (inlineParser, children) => {
+                        if (/\w/.test(inlineParser.subject[inlineParser.pos - 1] || '')) return false;
+                        const name = inlineParser.match(/^@\w+/);
+                        if (!name) return false;
+                        children.push({ type: 'mention', name: name.slice(1) });
+                        return true;
+                    }
+                },
+                {
+                    trigger: '[',
+                    parse: (inlineParser, children) => {
+                        const link = inlineParser.match(/^\[\[[^\]\n]+\]\]/);
+                        if (!link) return false;
+                        children.push({ type: 'wiki_link', page: link.slice(2, -2) });
+                        return true;
+                    }
+                }
+            ],
+            render: {
+                mention: node => `<a href="/users/${node.name}">@${node.name}</a>`,
+                wiki_link: node => `<a href="/wiki/${encodeURIComponent(node.page)}">${node.page}</a>`
+            },
+            stats: { mention: 'links', wiki_link: 'links' }
+        });
+
+    const input = `::: warning
+Ask @alice about [[Release Notes]]
+
+- item
+:::
+
+Mail bob@example.com, [link](/x)`;
+    const output = pluginParser.parse(input);
+
+    runner.assertContains(output, '<div class="warning">\n<p>Ask <a href="/users/alice">@alice</a> about <a href="/wiki/Release%20Notes">Release Notes</a></p>\n<ul>\n<li>item</li>\n</ul>\n</div>');
+    runner.assertContains(output, '<a href="mailto:bob@example.com">bob@example.com</a>');
+    runner.assertContains(output, '<a href="/x">link</a>');
+    runner.assertEqual(pluginParser.countElements([pluginParser.tokenize(input)]).links, 4);
+    runner.assertContains(parser.parse('::: warning'), '<p>::: warning</p>', 'Other parsers are not affected');
+});
+
+runner.test('Plugins - Registered at Runtime', () => {
+    const highlight = {
+        inline: {
+            trigger: '=',
+            parse: (inlineParser, children) => {
+                const mark = inlineParser.match(/^==[^=\n]+==/);
+                if (!mark) return false;
+                children.push({ type: 'highlight', content: mark.slice(2, -2) });
+                return true;
+            }
+        },
+        render: { highlight: node => `<mark>${node.content}</mark>` },
+        stats: { highlight: 'inlineCode' }
+    };
+
+    let changes = 0;
+    const stopListening = onPluginsChange(() => changes++);
+    const unregister = registerPlugin(highlight, 'https://example.com/highlight.js');
+    try {
+        const pluginParser = createMarkdownParser();
+        runner.assertContains(pluginParser.parse('a ==b== c'), '<p>a <mark>b</mark> c</p>');
+        runner.assertEqual(pluginParser.countElements([pluginParser.tokenize('==b==')]).inlineCode, 1);
+        runner.assertContains(new MarkdownLinter().parser.parse('==b=='), '<mark>b</mark>', 'The linter reads the document with the plugin');
+        runner.assertEqual(getPluginModules().join(), 'https://example.com/highlight.js');
+        runner.assertEqual(pluginsSupportWorker(), true);
+
+        const removeLocal = registerPlugin({ render: {} });
+        runner.assertEqual(pluginsSupportWorker(), false, 'Plugins without a module url stay on the main thread');
+        removeLocal();
+    } finally {
+        unregister();
+        stopListening();
+    }
+
+    runner.assertEqual(changes, 4);
+    runner.assertContains(createMarkdownParser().parse('a ==b== c'), '<p>a ==b== c</p>', 'Removed plugins are not used');
+});
+
+runner.test('Heading IDs and Table of Contents', () => {
+    const tocParser = new MarkdownParser({ headingIds: true });
+    const input = `[TOC]
+
+# Hello, *World*!
+## Setup
+# Hello World
+# Привет, мир`;
+    const output = tocParser.parse(input);
+
+    runner.assertContains(output, '<h1 id="user-content-hello-world">Hello, <em>World</em>!</h1>');
+    runner.assertContains(output, '<h2 id="user-content-setup">Setup</h2>');
+    runner.assertContains(output, '<h1 id="user-content-hello-world-1">Hello World</h1>', 'Repeated slugs get a suffix');
+    runner.assertContains(output, '<h1 id="user-content-привет-мир">Привет, мир</h1>');
+    runner.assertContains(output, '<div class="toc">\n<ul>\n<li><a href="#user-content-hello-world">Hello, World!</a>\n<ul>\n<li><a href="#user-content-setup">Setup</a></li>\n</ul>\n</li>\n<li><a href="#user-content-hello-world-1">Hello World</a></li>');
+    runner.assertEqual(tocParser.tokenize(input).headings[1].id, 'setup', 'The outline keeps the bare slugs');
+    runner.assertEqual(tocParser.tokenize(input).headings[1].line, 3);
+    runner.assertContains(tocParser.parse('# Theme Toggle'), '<h1 id="user-content-theme-toggle">', 'Prefixed ids cannot match app elements');
+    runner.assertContains(parser.parse('# Title\n\n[TOC]'), '<h1>Title</h1>\n<p>[TOC]</p>', 'Off by default');
+});
+
+runner.test('AST - Source Form of Markup', () => {
+    const input = `  ***strong em** and _em_*
+
+~~~~ js
+code
+~~~~
+
+[x]: <a b> "T"`;
+    const [paragraph, code, definition] = parser.tokenize(input).children;
+    const em = paragraph.children[0];
+    const [strong, , inner] = em.children;
+
+    runner.assertEqual(`${em.markup}:${em.markupOffsets.join(',')}`, '*:0,23', 'Offsets in the trimmed content');
+    runner.assertEqual(`${strong.markup}:${strong.markupOffsets.join(',')}`, '**:1,12', 'Openers give their last characters');
+    runner.assertEqual(`${inner.markup}:${inner.markupOffsets.join(',')}`, '_:19,22');
+    runner.assertEqual(code.markup, '~~~~');
+    runner.assertEqual(definition.raw, '[x]: <a b> "T"');
+});
+
+runner.test('Limits - Deep Nesting and Unclosed Links', () => {
+    const quotes = parser.parse('>'.repeat(2000) + ' a');
+    runner.assertEqual(quotes.split('<blockquote>').length - 1, 100, 'Block quotes nest up to maxNesting');
+    runner.assertContains(quotes, '&gt;&gt;&gt; a</p>', 'Deeper markers stay text');
+
+    const lists = Array.from({ length: 1000 }, (_, i) => `${' '.repeat(i * 2)}- a`).join('\n');
+    runner.assertEqual(parser.parse(lists).split('<ul>').length - 1, 50, 'Lists count two levels (list and item)');
+
+    const emphasis = parser.parse(`${'*'.repeat(5000)}a${'*'.repeat(5000)}`);
+    runner.assertEqual(emphasis.split('<strong>').length - 1, 100);
+
+    const images = parser.parse(`${'!['.repeat(5000)}a${'](b)'.repeat(5000)}`);
+    runner.assertEqual(images.split('<img').length - 1, 1, 'Images nested past the limit stay text');
+
+    const start = Date.now();
+    const links = parser.parse('[a]('.repeat(6000));
+    runner.assertEqual(Date.now() - start < 1000, true, 'Unclosed link destinations are scanned in linear time');
+    runner.assertContains(links, '<p>[a]([a](');
+});
+
+// Problems of a rule as "line:startColumn-endColumn"
+function lintPositions(text, rule, options = {}) {
+    const lines = text.split('\n');
+    const lineStart = line => lines.slice(0, line).reduce((offset, item) => offset + item.length + 1, 0);
+    return new MarkdownLinter(options).lint(text)
+        .filter(problem => problem.rule === rule)
+        .map(problem => `${problem.line}:${problem.from - lineStart(problem.line)}-${problem.to - lineStart(problem.line)}`)
+        .join(' ');
+}
+
+// Text after applying all quick-fixes of a document as one edit
+function applyAllFixes(text, options = {}) {
+    return getFixChanges(new MarkdownLinter(options).lint(text))
+        .reduce((result, change) => result.slice(0, change.from) + change.insert + result.slice(change.to), text);
+}
+
+runner.test('Linter - Rule Positions', () => {
+    runner.assertEqual(lintPositions('# A\n\n### B\n', 'MD001'), '2:0-5');
+    runner.assertEqual(lintPositions('text   \nbreak  \n', 'MD009'), '0:4-7', 'Two trailing spaces are a line break');
+    runner.assertEqual(lintPositions('-\ta\n', 'MD010'), '0:1-2');
+    runner.assertEqual(lintPositions('a\n\n\n\nb\n', 'MD012'), '2:0-0');
+    runner.assertEqual(lintPositions('# A\n\n## B\n\n# A\n', 'MD024'), '4:0-3');
+    runner.assertEqual(lintPositions('see [x]() and [y](#)\n', 'MD042'), '0:6-9 0:16-20');
+    runner.assertEqual(lintPositions('x ![](a.png)\n', 'MD045'), '0:2-5');
+    runner.assertEqual(lintPositions('no newline', 'MD047'), '', 'MD047 is off by default');
+    runner.assertEqual(lintPositions('no newline', 'MD047', { rules: { MD047: true } }), '0:10-10');
+    runner.assertEqual(lintPositions('# Setup Step\n\n[go](#Setup-step) [bad](#nothing)\n', 'MD051'), '2:5-16 2:24-32');
+    runner.assertEqual(lintPositions('```\n# A\n### B\ttab   \n\n\n```\n', 'MD001') + lintPositions('```\n\ttab   \n\n\n```\n', 'MD010'), '', 'Code blocks are not checked');
+});
+
+runner.test('Linter - Quick-Fixes as One Edit', () => {
+    runner.assertEqual(applyAllFixes('# A\n\n### B\n'), '# A\n\n## B\n', 'MD001 lowers the heading level');
+    runner.assertEqual(applyAllFixes('text   \nbreak  \n'), 'text\nbreak  \n', 'MD009 removes trailing spaces');
+    runner.assertEqual(applyAllFixes('-\ta\n'), '-   a\n', 'MD010 expands tabs to the next tab stop');
+    runner.assertEqual(applyAllFixes('a\n\n\n\nb\n'), 'a\n\nb\n', 'MD012 keeps one blank line');
+    runner.assertEqual(applyAllFixes('no newline', { rules: { MD047: true } }), 'no newline\n', 'MD047 adds the final newline');
+    runner.assertEqual(applyAllFixes('# Setup Step\n\n[go](#Setup-step)\n'), '# Setup Step\n\n[go](#setup-step)\n', 'MD051 uses the heading slug');
+
+    const input = '# A\n\n### B\n\ntext   \n\n\n\n[go](#B)\n-\ta   \n';
+    runner.assertEqual(applyAllFixes(input), '# A\n\n## B\n\ntext\n\n[go](#b)\n-\ta\n', 'All fixes apply together; overlapping ones wait');
+    runner.assertEqual(applyAllFixes(applyAllFixes(input)), '# A\n\n## B\n\ntext\n\n[go](#b)\n-   a\n', 'The next run applies the rest');
+});
+
+runner.test('Linter - Relative Links to Documents', () => {
+    const input = 'See [guide](Setup%20Guide.md#install), [notes](./notes.md), [old](docs/Old%20Page.md) and [site](https://example.com/a.md)\n';
+    const problems = new MarkdownLinter({ documents: ['Setup Guide', 'Notes'] }).lint(input)
+        .filter(problem => problem.rule === 'MM001');
+
+    runner.assertEqual(problems.length, 1, 'Links to existing documents and absolute URLs pass');
+    runner.assertEqual(input.slice(problems[0].from, problems[0].to), 'docs/Old%20Page.md');
+    runner.assertContains(problems[0].message, '«Old Page»');
+    runner.assertEqual(new MarkdownLinter().lint(input).length, 0, 'Without a document list the check is skipped');
+});
+
+// Run a formatting command and return the resulting text and selection
+function runCommand(id, text, from, to = from) {
+    const edit = runFormatCommand(id, { text, from, to });
+    if (!edit) return null;
+    return { text: text.slice(0, edit.from) + edit.insert + text.slice(edit.to), selection: [edit.selection.from, edit.selection.to] };
+}
+
+runner.test('Format Commands - Inline Toggles', () => {
+    let result = runCommand('bold', 'say hello now', 6);
+    runner.assertEqual(result.text, 'say **hello** now', 'The word at the cursor is wrapped');
+    runner.assertEqual(result.selection.join(), '8,8', 'The cursor keeps its place in the word');
+
+    result = runCommand('bold', 'say **hello** now', 8);
+    runner.assertEqual(result.text, 'say hello now', 'Markers around the cursor are removed');
+    runner.assertEqual(result.selection.join(), '6,6');
+
+    result = runCommand('bold', 'say hello now', 4, 9);
+    runner.assertEqual(result.text, 'say **hello** now');
+    runner.assertEqual(result.selection.join(), '6,11', 'The selection stays on the wrapped text');
+
+    result = runCommand('bold', '- one\n- two', 0, 11);
+    runner.assertEqual(result.text, '- **one**\n- **two**', 'Lines are wrapped after their list markers');
+    runner.assertEqual(result.selection.join(), '0,19');
+
+    runner.assertEqual(runCommand('italic', 'a *b* c', 3, 4).text, 'a b c');
+    runner.assertEqual(runCommand('code', 'run npm now', 4, 7).text, 'run `npm` now');
+    runner.assertEqual(runCommand('code', 'run `npm` now', 6).text, 'run npm now');
+
+    result = runCommand('link', 'see docs', 4, 8);
+    runner.assertEqual(result.text, 'see [docs](https://)');
+    runner.assertEqual(result.selection.join(), '11,19', 'The address is selected to type over');
+
+    result = runCommand('link', 'see https://x.io', 4, 16);
+    runner.assertEqual(result.text, 'see [](https://x.io)', 'A selected address becomes the destination');
+    runner.assertEqual(result.selection.join(), '5,5');
+
+    runner.assertEqual(runCommand('link', 'see [docs](https://x.io)', 6).text, 'see docs');
+    runner.assertEqual(runCommand('image', '', 0).text, '![](https://)');
+    runner.assertEqual(runCommand('unknown', 'text', 0), null);
+});
+
+runner.test('Format Commands - Lines, Tables and Rules', () => {
+    let result = runCommand('h2', 'Title', 2);
+    runner.assertEqual(result.text, '## Title');
+    runner.assertEqual(result.selection.join(), '5,5', 'The cursor moves with the text');
+    runner.assertEqual(runCommand('h2', '## Title', 5).text, 'Title');
+    runner.assertEqual(runCommand('h1', '## Title', 5).text, '# Title', 'Another level replaces the heading marker');
+
+    result = runCommand('quote', 'a\nb', 0, 3);
+    runner.assertEqual(result.text, '> a\n> b');
+    runner.assertEqual(result.selection.join(), '0,7', 'Several lines stay selected as a whole');
+    runner.assertEqual(runCommand('quote', '> a\n> b', 0, 7).text, 'a\nb');
+
+    runner.assertEqual(runCommand('bullet', 'a\n\nb', 0, 4).text, '- a\n\n- b', 'Blank lines are skipped');
+    runner.assertEqual(runCommand('bullet', '- a\n- b', 0, 7).text, 'a\nb');
+    runner.assertEqual(runCommand('ordered', 'a\nb\nc', 0, 5).text, '1. a\n2. b\n3. c');
+    runner.assertEqual(runCommand('task', '- a', 3).text, '- [ ] a');
+    runner.assertEqual(runCommand('task', '- [x] a', 7).text, 'a');
+
+    runner.assertEqual(runCommand('table', 'a\tb\n1\t2', 0, 7).text, '| a   | b   |\n| --- | --- |\n| 1   | 2   |');
+    runner.assertEqual(runCommand('table', '| a | b |\n| - | - |\n| 1 | 2 |', 3).text, 'a\tb\n1\t2', 'A table turns back into lines');
+
+    const newTable = '| Столбец 1 | Столбец 2 |\n| --------- | --------- |\n|           |           |';
+    result = runCommand('table', 'a', 1);
+    runner.assertEqual(result.text, `a\n\n${newTable}`);
+    runner.assertEqual(result.selection.join(), '5,14', 'The first header cell is selected');
+    runner.assertEqual(runCommand('table', 'a\n\n\nb', 2, 4).text, `a\n\n${newTable}\n\nb`, 'Blank selected lines get a new table');
+    runner.assertEqual(runCommand('table', '\n', 0, 1).text, `${newTable}\n`);
+    runner.assertEqual(runCommand('table', '    ', 2, 3).text, newTable);
+
+    runner.assertEqual(runCommand('hr', 'a', 1).text, 'a\n\n---');
+    result = runCommand('hr', 'a\n\n---\n\nb', 4);
+    runner.assertEqual(result.text, 'a\n\nb', 'Blank lines around a removed rule collapse');
+    runner.assertEqual(result.selection.join(), '3,3');
+    runner.assertEqual(runCommand('hr', 'a\n\n---', 4).text, 'a');
+    runner.assertEqual(runCommand('hr', '---\n\nb', 1).text, 'b');
+});
+
+runner.test('Format Commands - Active Commands', () => {
+    const active = (text, from, to = from) => [...getActiveCommands({ text, from, to })].sort().join(',');
+
+    runner.assertEqual(active('**a** *b* ~~c~~', 2), 'bold');
+    runner.assertEqual(active('**a** *b* ~~c~~', 7), 'italic');
+    runner.assertEqual(active('**a** *b* ~~c~~', 12), 'strikethrough');
+    runner.assertEqual(active('> - [ ] `x`', 9), 'code,quote,task');
+    runner.assertEqual(active('### h', 4), 'h3');
+    runner.assertEqual(active('1. [l](u)', 5), 'link,ordered');
+    runner.assertEqual(active('- ![i](u)', 5), 'bullet,image');
+    runner.assertEqual(active('---', 1), 'hr');
+    runner.assertEqual(active('| a |\n| - |', 2), 'table');
+    runner.assertEqual(active('plain', 2), '');
+});
+
+runner.test('Formatter - Markers, Numbering and Tables', () => {
+    const format = (text, options) => new MarkdownFormatter(options).format(text);
+
+    runner.assertEqual(format('* a\n* b\n\n\n\n__x__ and _y_'), '- a\n- b\n\n**x** and *y*\n', 'Default markers and one blank line between blocks');
+    runner.assertEqual(format('- a\n- b', { bullet: '*' }), '* a\n* b\n');
+    runner.assertEqual(format('**x** and *y*', { emphasis: '_' }), '__x__ and _y_\n');
+    runner.assertEqual(format('* a\n+ b'), '- a\n\n* b\n', 'Adjacent lists keep distinct markers so they stay separate');
+
+    runner.assertEqual(format('1. a\n1. b\n7. c'), '1. a\n2. b\n3. c\n', 'Ordered items are renumbered');
+    runner.assertEqual(format('3. a\n3. b'), '3. a\n4. b\n', 'The start number is kept');
+
+    runner.assertEqual(
+        format('|a|b|\n|:-|-:|\n|long cell|1|'),
+        '| a         |   b |\n| :-------- | --: |\n| long cell |   1 |\n',
+        'Table columns are padded to their alignment'
+    );
+    runner.assertEqual(format('Title\n=====\n\nSub\n---'), '# Title\n\n## Sub\n', 'Setext headings become ATX headings');
+
+    const code = '```js\n*  x\n+ y\n\n\n```\n';
+    runner.assertEqual(format(code), code, 'Fenced code is not changed');
+});
+
+runner.test('Formatter - Wrapping and Idempotence', () => {
+    const text = 'one two three four five six seven eight nine ten';
+    runner.assertEqual(new MarkdownFormatter({ wrap: 'wrap', width: 20 }).format(text), 'one two three four\nfive six seven eight\nnine ten\n');
+    runner.assertEqual(new MarkdownFormatter({ wrap: 'unwrap' }).format('one two\nthree four\nfive'), 'one two three four five\n');
+    runner.assertEqual(new MarkdownFormatter().format('one two\nthree'), 'one two\nthree\n', 'Line breaks are preserved by default');
+
+    const documents = [
+        '# T\n\n* a\n  * b\n\n> quote *x*\n> more\n\n1) one\n1) two\n\n|a|\n|-|\n|b|\n\n---\n[l]: /url',
+        '- [ ] task\n- [x] done\n\nText with `code` and __strong__ and a long line that goes on and on past the width limit.'
+    ];
+    [{}, { wrap: 'wrap', width: 30 }, { wrap: 'unwrap', bullet: '+', emphasis: '_' }].forEach(options => {
+        const formatter = new MarkdownFormatter(options);
+        documents.forEach(doc => {
+            const once = formatter.format(doc);
+            runner.assertEqual(formatter.format(once), once, `Formatting twice changes nothing (${JSON.stringify(options)})`);
+        });
+    });
+});
+
+// Apply a list editing edit and return the resulting text and selection
+function applyListEdit(text, edit) {
+    if (!edit) return null;
+    return { text: text.slice(0, edit.from) + edit.insert + text.slice(edit.to), selection: [edit.selection.from, edit.selection.to] };
+}
+
+runner.test('List Editing - Continue Lists', () => {
+    const enter = (text, from, to = from) => applyListEdit(text, continueList({ text, from, to }));
+
+    let result = enter('- a', 3);
+    runner.assertEqual(result.text, '- a\n- ');
+    runner.assertEqual(result.selection.join(), '6,6', 'The cursor goes after the new marker');
+
+    result = enter('1. a\n2. b', 4);
+    runner.assertEqual(result.text, '1. a\n2. \n3. b', 'The next number is used and later items renumbered');
+    runner.assertEqual(result.selection.join(), '8,8');
+
+    runner.assertEqual(enter('- [x] done', 10).text, '- [x] done\n- [ ] ', 'A new task gets an unchecked box');
+    runner.assertEqual(enter('> * q', 5).text, '> * q\n> * ', 'Quote markers are kept');
+    runner.assertEqual(enter('- ab', 3).text, '- a\n- b', 'Text after the cursor moves to the new item');
+
+    result = enter('- a\n- ', 6);
+    runner.assertEqual(result.text, '- a\n', 'Enter on an empty item ends the list');
+    runner.assertEqual(result.selection.join(), '4,4');
+    runner.assertEqual(enter('1. a\n2. ', 8).text, '1. a\n');
+    runner.assertEqual(enter('> - ', 4).text, '>', 'The quote stays when the list ends');
+
+    runner.assertEqual(enter('plain', 5), null, 'Outside lists Enter is a plain newline');
+    runner.assertEqual(enter('- a', 1), null, 'Enter inside the marker is a plain newline');
+});
+
+runner.test('List Editing - Indent and Outdent', () => {
+    const tab = (text, from, to, outdent = false) => applyListEdit(text, indentLines({ text, from, to }, outdent));
+
+    let result = tab('- a\n- b', 5, 5);
+    runner.assertEqual(result.text, '- a\n  - b', 'An item nests under the previous one');
+    runner.assertEqual(result.selection.join(), '8,8');
+    runner.assertEqual(tab('- a\n  - b', 7, 7, true).text, '- a\n- b');
+
+    runner.assertEqual(tab('1. a\n2. b\n3. c', 7, 7).text, '1. a\n   1. b\n2. c', 'Nested and remaining items are renumbered');
+    runner.assertEqual(tab('1. a\n   1. b\n   2. c\n2. d', 9, 9, true).text, '1. a\n2. b\n   1. c\n3. d', 'Outdented items join the parent numbering');
+
+    result = tab('1. a\n2. b\n3. c', 5, 14);
+    runner.assertEqual(result.text, '1. a\n   1. b\n   2. c', 'Selected lines move together');
+    runner.assertEqual(result.selection.join(), '5,20', 'The moved lines stay selected');
+
+    result = tab('- a\n  - b\n  - c', 4, 15, true);
+    runner.assertEqual(result.text, '- a\n- b\n- c');
+    runner.assertEqual(result.selection.join(), '4,11');
+
+    runner.assertEqual(tab('text', 2, 2).text, 'te    xt', 'Outside lists Tab inserts spaces');
+    runner.assertEqual(tab('a\nb', 0, 3).text, '    a\n    b');
+    runner.assertEqual(tab('    a\n    b', 0, 11, true).text, 'a\nb');
+});
+
+runner.test('Revision History - Line Diff', () => {
+    const diff = (oldText, newText) => diffLines(oldText, newText)
+        .map(({ type, text }) => `${{ equal: ' ', add: '+', remove: '-' }[type]}${text}`).join('|');
+
+    runner.assertEqual(diff('a\nb', 'a\nb'), ' a| b', 'Equal texts');
+    runner.assertEqual(diff('a\nc', 'a\nb\nc'), ' a|+b| c', 'Inserted line');
+    runner.assertEqual(diff('a\nb\nc', 'a\nc'), ' a|-b| c', 'Deleted line');
+    runner.assertEqual(diff('a\nb\nc', 'a\nx\nc'), ' a|-b|+x| c', 'Changed line');
+    runner.assertEqual(diff('a\nb\nc\nd', 'b\nx\nd\ne'), '-a| b|-c|+x| d|+e', 'Changes between common lines');
+    runner.assertEqual(diff('', 'a\nb'), '-|+a|+b', 'Empty old text');
+    runner.assertEqual(diff('a\nb', ''), '-a|-b|+', 'Empty new text');
+    runner.assertEqual(diff('', ''), ' ', 'Both empty');
+});
+
+runner.test('Revision History - Snapshots, Pruning and Restore', () => {
+    const saved = new Map();
+    const storage = {
+        loadHistory: id => (saved.has(id) ? JSON.parse(saved.get(id)) : []),
+        saveHistory: (id, snapshots) => {
+            saved.set(id, JSON.stringify(snapshots));
+            return true;
+        }
+    };
+    const history = new RevisionHistory(storage, { limit: 3 });
+
+    const first = history.snapshot('doc', 'one', 'manual');
+    runner.assertEqual(first.reason, 'manual');
+    runner.assertEqual(history.snapshot('doc', 'one'), null, 'Unchanged content is not stored twice');
+    runner.assertEqual(history.snapshot(null, 'text'), null, 'Snapshots need a document');
+
+    ['two', 'three', 'four'].forEach(content => history.snapshot('doc', content));
+    runner.assertEqual(history.list('doc').map(snapshot => snapshot.content).join(), 'four,three,two', 'Only the newest snapshots are kept');
+    runner.assertEqual(history.get('doc', first.id), null, 'The oldest snapshot is pruned');
+    runner.assertEqual(history.list('other').length, 0, 'Documents have separate histories');
+
+    // Restoring stores the current text first, then the restored content becomes the latest revision
+    const target = history.list('doc')[1];
+    history.snapshot('doc', 'five', 'restore');
+    runner.assertEqual(history.list('doc')[0].reason, 'restore');
+    runner.assertEqual(history.get('doc', target.id).content, 'three', 'Snapshots are found by id');
+    history.snapshot('doc', history.get('doc', target.id).content);
+    runner.assertEqual(history.list('doc').map(snapshot => snapshot.content).join(), 'three,five,four');
+
+    history.remove('doc', history.list('doc')[0].id);
+    runner.assertEqual(history.list('doc').map(snapshot => snapshot.content).join(), 'five,four', 'Removed by id');
+});
+
+// In-memory stand-in for window.localStorage
+class MemoryLocalStorage {
+    constructor(entries = {}) {
+        this.entries = new Map(Object.entries(entries));
+    }
+
+    get length() {
+        return this.entries.size;
+    }
+
+    key(index) {
+        return [...this.entries.keys()][index] ?? null;
+    }
+
+    getItem(key) {
+        return this.entries.has(key) ? this.entries.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.entries.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.entries.delete(key);
+    }
+}
+
+// Run `fn` with globals replaced (own properties shadow the browser's window.localStorage and indexedDB)
+async function withGlobals(globals, fn) {
+    const saved = Object.keys(globals).map(name => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+    Object.keys(globals).forEach(name => {
+        Object.defineProperty(globalThis, name, { value: globals[name], configurable: true, writable: true });
+    });
+    try {
+        return await fn();
+    } finally {
+        saved.forEach(([name, descriptor]) => {
+            if (descriptor) {
+                Object.defineProperty(globalThis, name, descriptor);
+            } else {
+                delete globalThis[name];
+            }
+        });
+    }
+}
+
+// Engine keeping entries in a Map; `failWrites` makes every write reject
+function createMemoryEngine(failWrites = false) {
+    const entries = new Map();
+    const write = (callback) => async (...args) => {
+        if (failWrites) throw new Error('Write failed');
+        callback(...args);
+    };
+    return {
+        name: 'memory',
+        entries,
+        open: async () => {},
+        getAll: async () => new Map(entries),
+        get: async key => (entries.has(key) ? entries.get(key) : null),
+        set: write((key, value) => entries.set(key, value)),
+        remove: write(key => entries.delete(key))
+    };
+}
+
+runner.test('Storage - localStorage Fallback', async () => {
+    const local = new MemoryLocalStorage({ 'markmirror-settings': '{"theme":"dark"}', 'other-app': 'x' });
+
+    await withGlobals({ localStorage: local, indexedDB: undefined }, async () => {
+        const engine = new LocalStorageEngine();
+        await engine.open();
+        runner.assertEqual(local.getItem('__storage_test__'), null, 'The availability check cleans up');
+        await engine.set('markmirror-doc-1', 'text');
+        runner.assertEqual(await engine.get('markmirror-doc-1'), 'text');
+        runner.assertEqual([...(await engine.getAll()).keys()].join(), 'markmirror-settings,markmirror-doc-1', 'Only keys of the app are loaded');
+        await engine.remove('markmirror-doc-1');
+        runner.assertEqual(local.getItem('markmirror-doc-1'), null);
+
+        const storage = new Storage();
+        await storage.init();
+        runner.assertEqual(storage.engine.name, 'localStorage', 'Without IndexedDB the data stays in localStorage');
+        runner.assertEqual(storage.loadSettings().theme, 'dark');
+        runner.assertEqual(local.getItem('markmirror-migrated'), null, 'Nothing is migrated');
+
+        const meta = storage.createDocument('Notes', 'hello');
+        runner.assertEqual(await storage.setActiveDocumentId(meta.id), true, 'Writes resolve to their result');
+        runner.assertEqual(JSON.parse(local.getItem(`markmirror-doc-${meta.id}`)).content, 'hello');
+        runner.assertEqual(await storage.deleteDocument(meta.id), true);
+        runner.assertEqual(local.getItem('markmirror-active-document'), null, 'Deleting the active document clears it');
+    });
+});
+
+runner.test('Storage - Migration from localStorage', async () => {
+    const local = new MemoryLocalStorage({
+        'markmirror-documents': '[{"id":"a","title":"A","createdAt":1,"updatedAt":1}]',
+        'markmirror-doc-a': '{"content":"old"}',
+        'markmirror-analytics': 'kept by its module',
+        'other-app': 'x'
+    });
+
+    await withGlobals({ localStorage: local }, async () => {
+        const engine = createMemoryEngine();
+        engine.entries.set('markmirror-doc-a', '{"content":"new"}');
+        const storage = new Storage({ engine });
+        await storage.init();
+
+        runner.assertEqual(engine.entries.get('markmirror-documents'), '[{"id":"a","title":"A","createdAt":1,"updatedAt":1}]', 'Own keys are copied');
+        runner.assertEqual(storage.getDocument('a').content, 'new', 'Values already in the engine win');
+        runner.assertEqual(engine.entries.has('markmirror-migrated'), true);
+        runner.assertEqual([...local.entries.keys()].join(), 'markmirror-doc-a,markmirror-analytics,other-app', 'Migrated keys are removed, others kept');
+
+        local.setItem('markmirror-settings', '{}');
+        await new Storage({ engine }).init();
+        runner.assertEqual(engine.entries.has('markmirror-settings'), false, 'The migration runs once');
+    });
+
+    const errors = [];
+    const failing = new MemoryLocalStorage({ 'markmirror-settings': '{}' });
+    await withGlobals({ localStorage: failing }, async () => {
+        const storage = new Storage({ engine: createMemoryEngine(true), onError: error => errors.push(error) });
+        await storage.init();
+        runner.assertEqual(failing.getItem('markmirror-settings'), '{}', 'A failed migration keeps localStorage for the next start');
+        runner.assertEqual(errors.length, 1);
+
+        const meta = storage.createDocument('Draft');
+        runner.assertEqual(storage.listDocuments()[0].id, meta.id, 'Documents are created in the cache');
+        runner.assertEqual(await storage.saveDocumentIndex([]), false, 'Failed writes resolve to false');
+        runner.assertEqual(await storage.saveHistory(meta.id, []), false);
+        runner.assertEqual(await storage.deleteDocument(meta.id), false);
+    });
+});
+
 // Export for browser usage
 window.runMarkdownParserTests = () => runner.run();
 
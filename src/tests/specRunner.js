@@ -0,0 +1,199 @@
+// Headless CommonMark/GFM spec runner for MarkMirror Mobile
+// Runs the vendored spec examples through MarkdownParser.parse (and marked, when installed)
+// and reports pass/fail per spec section.
+//
+// Usage: node src/tests/specRunner.js [--suite commonmark|gfm] [--section "Tabs"] [--verbose] [--update-baseline]
+//
+// Examples listed in spec/baseline.json passed before; a run fails if any of them fails now.
+
+import { readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { MarkdownParser } from '../utils/markdownParser.js';
+
+const specDir = join(dirname(fileURLToPath(import.meta.url)), 'spec');
+const baselinePath = join(specDir, 'baseline.json');
+const suites = {
+    commonmark: 'commonmark.json',
+    gfm: 'gfm.json'
+};
+
+// Parser options per suite: bare URLs stay text in plain CommonMark
+const suiteOptions = {
+    commonmark: { autolinks: false },
+    gfm: {}
+};
+
+// Parse command line arguments
+function parseArgs(argv) {
+    const args = { suites: Object.keys(suites), section: null, verbose: false, updateBaseline: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--suite':
+                args.suites = [argv[++i]];
+                break;
+            case '--section':
+                args.section = argv[++i];
+                break;
+            case '--verbose':
+                args.verbose = true;
+                break;
+            case '--update-baseline':
+                args.updateBaseline = true;
+                break;
+            default:
+                console.error(`Unknown argument: ${argv[i]}`);
+                process.exit(2);
+        }
+    }
+
+    const unknown = args.suites.filter(name => !suites[name]);
+    if (unknown.length > 0) {
+        console.error(`Unknown suite: ${unknown.join(', ')}`);
+        process.exit(2);
+    }
+    return args;
+}
+
+// Normalize HTML so that insignificant differences do not count as failures
+export function normalizeHTML(html) {
+    const parts = html.replace(/\r\n?/g, '\n').split(/(<pre[\s\S]*?<\/pre>)/i);
+
+    return parts.map((part, index) => {
+        // Keep <pre> contents as they are, apart from tag normalization
+        const isPre = index % 2 === 1;
+        let result = part.replace(/<(\/?)([A-Za-z][A-Za-z0-9-]*)([^>]*?)\s*\/?>/g, (match, slash, tag, attrs) => {
+            const attributes = (attrs.match(/[^\s=]+(?:="[^"]*"|='[^']*'|=[^\s"'=<>`]+)?/g) || [])
+                .map(attr => attr.replace(/=""$/, '').replace(/^([^=]+)$/, '$1'))
+                .sort();
+            return `<${slash}${tag.toLowerCase()}${attributes.length ? ' ' + attributes.join(' ') : ''}>`;
+        });
+
+        result = result.replace(/&#39;|&#x27;/g, '\'').replace(/&quot;/g, '"');
+
+        if (!isPre) {
+            result = result.replace(/\s+/g, ' ').replace(/>\s+</g, '><').replace(/\s+</g, '<').replace(/>\s+/g, '>');
+        }
+        return result;
+    }).join('').trim();
+}
+
+// Load marked from node_modules if it is installed
+async function loadMarked() {
+    try {
+        const { marked } = await import('marked');
+        return markdown => marked.parse(markdown, { gfm: true });
+    } catch (error) {
+        return null;
+    }
+}
+
+// Run a renderer on a spec example, treating exceptions as failures
+function check(render, example) {
+    try {
+        return { passed: normalizeHTML(render(example.markdown)) === normalizeHTML(example.html) };
+    } catch (error) {
+        return { passed: false, error };
+    }
+}
+
+// Load the baseline of passing examples
+function loadBaseline() {
+    try {
+        return JSON.parse(readFileSync(baselinePath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const markedParse = await loadMarked();
+    const baseline = loadBaseline();
+    const regressions = [];
+    let totalPassed = 0;
+    let totalExamples = 0;
+
+    if (!markedParse) {
+        console.log('marked is not installed (npm install), skipping comparison\n');
+    }
+
+    for (const suiteName of args.suites) {
+        const examples = JSON.parse(readFileSync(join(specDir, suites[suiteName]), 'utf8'))
+            .filter(example => !args.section || example.section === args.section);
+        const sections = new Map();
+        const passing = [];
+        const parser = new MarkdownParser(suiteOptions[suiteName]);
+
+        examples.forEach(example => {
+            const ours = check(markdown => parser.parse(markdown), example);
+            const theirs = markedParse ? check(markedParse, example) : null;
+
+            if (!sections.has(example.section)) {
+                sections.set(example.section, { total: 0, passed: 0, marked: 0 });
+            }
+            const stats = sections.get(example.section);
+            stats.total++;
+            if (ours.passed) {
+                stats.passed++;
+                passing.push(example.example);
+            }
+            if (theirs && theirs.passed) stats.marked++;
+
+            if (!ours.passed && (baseline[suiteName] || []).includes(example.example)) {
+                regressions.push({ suiteName, example, ours });
+            }
+
+            if (!ours.passed && args.verbose) {
+                console.log(`✗ ${suiteName} #${example.example} (${example.section})`);
+                console.log('  Markdown:', JSON.stringify(example.markdown));
+                console.log('  Expected:', JSON.stringify(example.html));
+                console.log('  Actual:  ', ours.error ? `Error: ${ours.error.message}` : JSON.stringify(parser.parse(example.markdown)));
+            }
+        });
+
+        // Per-section report
+        console.log(`\n📘 ${suiteName}`);
+        console.log(`${'Section'.padEnd(44)} ${'MarkMirror'.padStart(12)} ${markedParse ? 'marked'.padStart(12) : ''}`);
+        sections.forEach((stats, section) => {
+            const ours = `${stats.passed}/${stats.total}`;
+            const theirs = markedParse ? `${stats.marked}/${stats.total}` : '';
+            const mark = stats.passed === stats.total ? '✅' : '  ';
+            console.log(`${mark} ${section.padEnd(41)} ${ours.padStart(12)} ${theirs.padStart(12)}`);
+        });
+
+        const suitePassed = [...sections.values()].reduce((sum, stats) => sum + stats.passed, 0);
+        const suiteMarked = [...sections.values()].reduce((sum, stats) => sum + stats.marked, 0);
+        console.log(`${'Total'.padEnd(44)} ${`${suitePassed}/${examples.length}`.padStart(12)} ${markedParse ? `${suiteMarked}/${examples.length}`.padStart(12) : ''}`);
+
+        totalPassed += suitePassed;
+        totalExamples += examples.length;
+
+        if (args.updateBaseline && !args.section) {
+            baseline[suiteName] = passing;
+        }
+    }
+
+    console.log(`\n📊 ${totalPassed}/${totalExamples} spec examples passed`);
+
+    if (args.updateBaseline) {
+        if (args.section) {
+            console.error('--update-baseline needs a full run (without --section)');
+            process.exit(2);
+        }
+        writeFileSync(baselinePath, JSON.stringify(baseline, null, 2) + '\n');
+        console.log(`Baseline updated: ${baselinePath}`);
+        return;
+    }
+
+    if (regressions.length > 0) {
+        console.error(`\n💥 ${regressions.length} regression(s) against the baseline:`);
+        regressions.forEach(({ suiteName, example, ours }) => {
+            console.error(`  ${suiteName} #${example.example} (${example.section})${ours.error ? `: ${ours.error.message}` : ''}`);
+        });
+        process.exit(1);
+    }
+}
+
+main();
@@ -0,0 +1,177 @@
+// Documents Panel UI for MarkMirror Mobile
+// Sidebar listing stored documents with create/rename/duplicate/delete actions
+
+export class DocumentsPanel {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = {
+            onOpen: null,
+            onCreate: null,
+            onRename: null,
+            onDuplicate: null,
+            onDelete: null,
+            ...options
+        };
+        this.isVisible = false;
+    }
+
+    // Create documents panel HTML
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'documents-panel';
+        panel.className = 'documents-panel hidden';
+
+        panel.innerHTML = `
+            <div class="documents-content">
+                <div class="documents-header">
+                    <h3>📄 Документы</h3>
+                    <div class="documents-controls">
+                        <button id="create-document" class="btn btn-small btn-secondary" title="Новый документ">➕ Новый</button>
+                        <button id="close-documents" class="btn btn-icon" title="Закрыть">✕</button>
+                    </div>
+                </div>
+                <ul id="documents-list" class="documents-list"></ul>
+            </div>
+        `;
+
+        return panel;
+    }
+
+    // Show documents panel
+    show() {
+        if (!document.getElementById('documents-panel')) {
+            const panel = this.createPanel();
+            document.body.appendChild(panel);
+            this.setupEventListeners();
+        }
+
+        const panel = document.getElementById('documents-panel');
+        panel.classList.remove('hidden');
+        this.isVisible = true;
+
+        this.render();
+    }
+
+    // Hide documents panel
+    hide() {
+        const panel = document.getElementById('documents-panel');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+        this.isVisible = false;
+    }
+
+    // Toggle documents panel
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        const panel = document.getElementById('documents-panel');
+
+        panel.querySelector('#close-documents').addEventListener('click', () => {
+            this.hide();
+        });
+
+        panel.querySelector('#create-document').addEventListener('click', () => {
+            this.invoke('onCreate');
+        });
+
+        // Delegate clicks on list items and their action buttons
+        panel.querySelector('#documents-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.document-item');
+            if (!item) return;
+
+            const id = item.dataset.id;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            switch (action) {
+                case 'rename':
+                    this.invoke('onRename', id);
+                    break;
+                case 'duplicate':
+                    this.invoke('onDuplicate', id);
+                    break;
+                case 'delete':
+                    this.invoke('onDelete', id);
+                    break;
+                default:
+                    this.invoke('onOpen', id);
+                    break;
+            }
+        });
+
+        // Close on outside click
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.hide();
+            }
+        });
+    }
+
+    // Call an action callback and refresh the list
+    invoke(callbackName, id) {
+        if (this.options[callbackName]) {
+            this.options[callbackName](id);
+        }
+        this.render();
+    }
+
+    // Render document list
+    render() {
+        const list = document.getElementById('documents-list');
+        if (!list) return;
+
+        const documents = this.storage.listDocuments();
+        const activeId = this.storage.getActiveDocumentId();
+
+        if (documents.length === 0) {
+            list.innerHTML = '<li class="no-data">Нет документов</li>';
+            return;
+        }
+
+        list.innerHTML = documents.map(doc => `
+            <li class="document-item${doc.id === activeId ? ' active' : ''}" data-id="${doc.id}">
+                <div class="document-info">
+                    <span class="document-title">${this.escapeHTML(doc.title)}</span>
+                    <span class="document-date">${this.formatDate(doc.updatedAt)}</span>
+                </div>
+                <div class="document-actions">
+                    <button class="btn btn-small" data-action="rename" title="Переименовать">✏️</button>
+                    <button class="btn btn-small" data-action="duplicate" title="Дублировать">📑</button>
+                    <button class="btn btn-small" data-action="delete" title="Удалить">🗑️</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    // Format last-modified time for display
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const isToday = date.toDateString() === new Date().toDateString();
+
+        return isToday
+            ? `Сегодня, ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : date.toLocaleString([], { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    // Escape document titles for the list markup
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Destroy panel
+    destroy() {
+        const panel = document.getElementById('documents-panel');
+        if (panel) {
+            panel.remove();
+        }
+    }
+}
@@ -4,10 +4,12 @@ import { EditorView, basicSetup } from '@codemirror/basic-setup';
 import { EditorState } from '@codemirror/state';
 import { markdown } from '@codemirror/lang-markdown';
 import { oneDark } from '@codemirror/theme-one-dark';
-import { autocompletion, completionKeymap } from '@codemirror/autocomplete';
+import { autocompletion, completionKeymap, completionStatus } from '@codemirror/autocomplete';
 import { keymap } from '@codemirror/view';
 import { Decoration, DecorationSet } from '@codemirror/view';
-import { StateField, StateEffect } from '@codemirror/state';
+import { StateField, StateEffect, Prec } from '@codemirror/state';
+import { lintGutter, setDiagnostics } from '@codemirror/lint';
+import { continueList, indentLines } from '../utils/markdownCommands.js';
 
 export class MarkdownEditor {
     constructor(container, options = {}) {
@@ -17,6 +19,7 @@ export class MarkdownEditor {
             autoComplete: true,
             onChange: null,
             onScroll: null,
+            onCursorChange: null,
             ...options
         };
         
@@ -29,12 +32,18 @@ export class MarkdownEditor {
     init() {
         const extensions = [
             basicSetup,
-            markdown(),
+            // List editing is shared with SimpleEditor instead of the keymap of the Markdown mode
+            markdown({ addKeymap: false }),
+            lintGutter(),
             keymap.of(completionKeymap),
+            Prec.high(keymap.of(this.createListKeymap())),
             EditorView.updateListener.of((update) => {
                 if (update.docChanged && this.options.onChange) {
                     this.options.onChange(this.getContent());
                 }
+                if (update.selectionSet && this.options.onCursorChange) {
+                    this.options.onCursorChange(this.getCursor());
+                }
             }),
             EditorView.domEventHandlers({
                 scroll: (event, view) => {
@@ -69,6 +78,29 @@ export class MarkdownEditor {
         });
     }
 
+    // List-aware Enter and Tab/Shift+Tab; keys go to an open completion list first.
+    // Outside lists Enter falls through to a plain newline, Tab is always handled here.
+    createListKeymap() {
+        const run = (command, handled = true) => view => (
+            completionStatus(view.state) !== 'active' && (this.runCommand(command) || handled)
+        );
+
+        return [
+            { key: 'Enter', run: run(continueList, false) },
+            { key: 'Tab', run: run(state => indentLines(state)), shift: run(state => indentLines(state, true)) }
+        ];
+    }
+
+    // Apply a text command ({ text, from, to } => edit or null); returns whether it made an edit
+    runCommand(command) {
+        const { from, to } = this.getSelectionRange();
+        const edit = command({ text: this.getContent(), from, to });
+        if (edit) {
+            this.applyEdit(edit);
+        }
+        return Boolean(edit);
+    }
+
     // Create Markdown completions
     createMarkdownCompletions() {
         return [
@@ -179,6 +211,28 @@ export class MarkdownEditor {
         }
     }
 
+    // Source line (0-based, fractional) at the top of the viewport
+    getTopLine() {
+        if (!this.view) return 0;
+
+        const height = Math.max(0, this.view.scrollDOM.getBoundingClientRect().top - this.view.documentTop);
+        const block = this.view.lineBlockAtHeight(height);
+        const line = this.view.state.doc.lineAt(block.from).number - 1;
+        return line + Math.min(1, Math.max(0, (height - block.top) / (block.height || 1)));
+    }
+
+    // Scroll so the given source line (0-based, fractional) is at the top
+    scrollToLine(line) {
+        if (!this.view) return;
+
+        const doc = this.view.state.doc;
+        const number = Math.max(1, Math.min(Math.floor(line) + 1, doc.lines));
+        const block = this.view.lineBlockAt(doc.line(number).from);
+        const dom = this.view.scrollDOM;
+        const documentOffset = this.view.documentTop - dom.getBoundingClientRect().top + dom.scrollTop;
+        dom.scrollTop = documentOffset + block.top + (line - Math.floor(line)) * block.height;
+    }
+
     // Update theme
     updateTheme(theme) {
         this.options.theme = theme;
@@ -227,6 +281,25 @@ export class MarkdownEditor {
         });
     }
 
+    // Show linter problems ({ rule, message, from, to, fix }) as underlines and gutter markers;
+    // `onFix` applies the quick-fix of a problem
+    setDiagnostics(problems, onFix = null) {
+        if (!this.view) return;
+
+        const length = this.view.state.doc.length;
+        const diagnostics = problems.map(problem => ({
+            from: Math.min(problem.from, length),
+            to: Math.min(problem.to, length),
+            severity: 'warning',
+            source: problem.rule,
+            message: problem.message,
+            actions: problem.fix && onFix
+                ? [{ name: problem.fix.label || 'Исправить', apply: () => onFix(problem) }]
+                : []
+        }));
+        this.view.dispatch(setDiagnostics(this.view.state, diagnostics));
+    }
+
     // Replace text in range
     replaceRange(from, to, text) {
         if (!this.view) return;
@@ -236,6 +309,32 @@ export class MarkdownEditor {
         });
     }
 
+    // Replace several ranges ([{ from, to, insert }] in offsets of the current text) as one change
+    replaceRanges(changes) {
+        if (!this.view || changes.length === 0) return;
+
+        this.view.dispatch({ changes });
+    }
+
+    // Get the selection as { from, to } offsets
+    getSelectionRange() {
+        if (!this.view) return { from: 0, to: 0 };
+
+        const { from, to } = this.view.state.selection.main;
+        return { from, to };
+    }
+
+    // Apply a text edit ({ from, to, insert, selection }) and select its result in one transaction
+    applyEdit({ from, to, insert, selection }) {
+        if (!this.view) return;
+
+        this.view.dispatch({
+            changes: { from, to, insert },
+            selection: { anchor: selection.from, head: selection.to },
+            scrollIntoView: true
+        });
+    }
+
     // Get cursor position
     getCursor() {
         if (!this.view) return 0;
@@ -246,6 +345,7 @@ export class MarkdownEditor {
     setCursor(pos) {
         if (!this.view) return;
 
+        pos = Math.max(0, Math.min(pos, this.view.state.doc.length));
         this.view.dispatch({
             selection: { anchor: pos, head: pos },
             scrollIntoView: true
@@ -0,0 +1,54 @@
+// Formatting toolbar for MarkMirror Mobile
+// Buttons for the formatting commands above the editor, highlighted while the cursor is inside their construct
+
+import { FORMAT_COMMANDS } from '../utils/markdownCommands.js';
+import { escapeHTML } from '../utils/markdownCommon.js';
+
+export class FormatToolbar {
+    constructor(options = {}) {
+        this.options = {
+            onCommand: null, // (id) => void, runs a formatting command on the editor
+            ...options
+        };
+        this.element = null;
+    }
+
+    // Add the toolbar to a container (the editor panel), in front of the editor
+    attach(container, before = null) {
+        this.element = document.createElement('div');
+        this.element.className = 'format-toolbar';
+        this.element.setAttribute('role', 'toolbar');
+        this.element.setAttribute('aria-label', 'Форматирование');
+        this.element.innerHTML = FORMAT_COMMANDS.map(command => `
+            <button class="format-toolbar-btn" data-command="${command.id}" title="${escapeHTML(command.title)}" aria-pressed="false">${escapeHTML(command.icon)}</button>
+        `).join('');
+
+        // Keep the editor focus and selection while a button is pressed
+        this.element.addEventListener('mousedown', (e) => {
+            if (e.target.closest('[data-command]')) {
+                e.preventDefault();
+            }
+        });
+
+        // Delegate clicks on buttons
+        this.element.addEventListener('click', (e) => {
+            const id = e.target.closest('[data-command]')?.dataset.command;
+            if (id && this.options.onCommand) {
+                this.options.onCommand(id);
+            }
+        });
+
+        container.insertBefore(this.element, before);
+    }
+
+    // Highlight the buttons of the given command ids
+    setActive(ids) {
+        if (!this.element) return;
+
+        this.element.querySelectorAll('[data-command]').forEach(button => {
+            const active = ids.has(button.dataset.command);
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+    }
+}
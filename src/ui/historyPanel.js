@@ -0,0 +1,283 @@
+// History Panel UI for MarkMirror Mobile
+// Lists revision snapshots of the active document with a diff against the current text
+
+import { diffLines } from '../utils/history.js';
+
+export class HistoryPanel {
+    constructor(history, options = {}) {
+        this.history = history;
+        this.options = {
+            getDocumentId: null,
+            getContent: null,
+            onRestore: null,
+            onSnapshot: null,
+            contextLines: 3, // Unchanged lines shown around each change
+            ...options
+        };
+        this.isVisible = false;
+        this.selectedId = null;
+        this.reasonLabels = {
+            auto: 'Автоснимок',
+            manual: 'Вручную',
+            clear: 'Перед очисткой',
+            replaceAll: 'Перед «Заменить все»',
+            import: 'Перед импортом',
+            reset: 'Перед сбросом',
+            restore: 'Перед восстановлением',
+            format: 'Перед форматированием'
+        };
+    }
+
+    // Create history panel HTML
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'history-panel';
+        panel.className = 'history-panel hidden';
+
+        panel.innerHTML = `
+            <div class="history-content">
+                <div class="history-header">
+                    <h3>🕘 История версий</h3>
+                    <div class="history-controls">
+                        <button id="create-snapshot" class="btn btn-small btn-secondary" title="Сохранить текущую версию">📸 Снимок</button>
+                        <button id="close-history" class="btn btn-icon" title="Закрыть">✕</button>
+                    </div>
+                </div>
+                <div class="history-body">
+                    <ul id="history-list" class="history-list"></ul>
+                    <div class="history-diff-container">
+                        <div id="history-diff-summary" class="history-diff-summary"></div>
+                        <pre id="history-diff" class="history-diff"></pre>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        return panel;
+    }
+
+    // Show history panel
+    show() {
+        if (!document.getElementById('history-panel')) {
+            const panel = this.createPanel();
+            document.body.appendChild(panel);
+            this.setupEventListeners();
+        }
+
+        const panel = document.getElementById('history-panel');
+        panel.classList.remove('hidden');
+        this.isVisible = true;
+        this.selectedId = null;
+
+        this.render();
+    }
+
+    // Hide history panel
+    hide() {
+        const panel = document.getElementById('history-panel');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+        this.isVisible = false;
+    }
+
+    // Toggle history panel
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        const panel = document.getElementById('history-panel');
+
+        panel.querySelector('#close-history').addEventListener('click', () => {
+            this.hide();
+        });
+
+        panel.querySelector('#create-snapshot').addEventListener('click', () => {
+            if (this.options.onSnapshot) {
+                this.options.onSnapshot();
+            }
+            this.render();
+        });
+
+        // Delegate clicks on snapshots and their action buttons
+        panel.querySelector('#history-list').addEventListener('click', (e) => {
+            const item = e.target.closest('.history-item');
+            if (!item) return;
+
+            const id = item.dataset.id;
+            const action = e.target.closest('[data-action]')?.dataset.action;
+
+            switch (action) {
+                case 'restore':
+                    this.restore(id);
+                    break;
+                case 'delete':
+                    this.history.remove(this.getDocumentId(), id);
+                    if (this.selectedId === id) {
+                        this.selectedId = null;
+                    }
+                    this.render();
+                    break;
+                default:
+                    this.selectedId = id;
+                    this.render();
+                    break;
+            }
+        });
+
+        // Close on outside click
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.hide();
+            }
+        });
+    }
+
+    // Get active document ID
+    getDocumentId() {
+        return this.options.getDocumentId ? this.options.getDocumentId() : null;
+    }
+
+    // Get current editor text
+    getContent() {
+        return this.options.getContent ? this.options.getContent() : '';
+    }
+
+    // Restore a snapshot into the editor
+    restore(id) {
+        const snapshot = this.history.get(this.getDocumentId(), id);
+        if (!snapshot) return;
+
+        if (!confirm(`Восстановить версию от ${this.formatDate(snapshot.createdAt)}? Текущий текст будет сохранён в истории.`)) {
+            return;
+        }
+
+        if (this.options.onRestore) {
+            this.options.onRestore(snapshot);
+        }
+        this.selectedId = null;
+        this.render();
+    }
+
+    // Render snapshot list and diff
+    render() {
+        const list = document.getElementById('history-list');
+        if (!list) return;
+
+        const snapshots = this.history.list(this.getDocumentId());
+
+        if (snapshots.length === 0) {
+            list.innerHTML = '<li class="no-data">Нет сохранённых версий</li>';
+            this.renderDiff(null);
+            return;
+        }
+
+        if (!snapshots.some(snapshot => snapshot.id === this.selectedId)) {
+            this.selectedId = snapshots[0].id;
+        }
+
+        list.innerHTML = snapshots.map(snapshot => `
+            <li class="history-item${snapshot.id === this.selectedId ? ' active' : ''}" data-id="${snapshot.id}">
+                <div class="history-info">
+                    <span class="history-date">${this.formatDate(snapshot.createdAt)}</span>
+                    <span class="history-reason">${this.reasonLabels[snapshot.reason] || snapshot.reason} · ${snapshot.content.length} симв.</span>
+                </div>
+                <div class="history-actions">
+                    <button class="btn btn-small" data-action="restore" title="Восстановить">↩️</button>
+                    <button class="btn btn-small" data-action="delete" title="Удалить">🗑️</button>
+                </div>
+            </li>
+        `).join('');
+
+        this.renderDiff(snapshots.find(snapshot => snapshot.id === this.selectedId));
+    }
+
+    // Render line diff between a snapshot and the current text
+    renderDiff(snapshot) {
+        const summary = document.getElementById('history-diff-summary');
+        const output = document.getElementById('history-diff');
+        if (!summary || !output) return;
+
+        if (!snapshot) {
+            summary.textContent = '';
+            output.innerHTML = '';
+            return;
+        }
+
+        const diff = diffLines(snapshot.content, this.getContent());
+        const added = diff.filter(line => line.type === 'add').length;
+        const removed = diff.filter(line => line.type === 'remove').length;
+
+        if (added === 0 && removed === 0) {
+            summary.textContent = 'Версия совпадает с текущим текстом';
+            output.innerHTML = '';
+            return;
+        }
+
+        summary.innerHTML = `Изменения с этой версии: <span class="diff-added">+${added}</span> <span class="diff-removed">−${removed}</span>`;
+        output.innerHTML = this.collapseUnchanged(diff).map(line => {
+            if (line.type === 'skip') {
+                return `<div class="diff-line diff-skip">… ${line.count} строк без изменений</div>`;
+            }
+            const sign = line.type === 'add' ? '+' : line.type === 'remove' ? '−' : ' ';
+            return `<div class="diff-line diff-${line.type}">${sign} ${this.escapeHTML(line.text)}</div>`;
+        }).join('');
+    }
+
+    // Replace long runs of unchanged lines with a single marker
+    collapseUnchanged(diff) {
+        const context = this.options.contextLines;
+        const isNearChange = index => diff
+            .slice(Math.max(0, index - context), index + context + 1)
+            .some(line => line.type !== 'equal');
+
+        const result = [];
+        diff.forEach((line, index) => {
+            if (line.type !== 'equal' || isNearChange(index)) {
+                result.push(line);
+                return;
+            }
+
+            const last = result[result.length - 1];
+            if (last && last.type === 'skip') {
+                last.count++;
+            } else {
+                result.push({ type: 'skip', count: 1 });
+            }
+        });
+        return result;
+    }
+
+    // Format snapshot time for display
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleString([], {
+            day: '2-digit',
+            month: '2-digit',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+
+    // Escape text for the diff markup
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Destroy panel
+    destroy() {
+        const panel = document.getElementById('history-panel');
+        if (panel) {
+            panel.remove();
+        }
+    }
+}
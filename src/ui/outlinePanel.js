@@ -0,0 +1,217 @@
+// Outline panel for MarkMirror Mobile
+// Lists the document headings, highlights the section being edited and jumps to a heading on click
+
+import { escapeHTML } from '../utils/markdownCommon.js';
+
+export class OutlinePanel {
+    constructor(options = {}) {
+        this.options = {
+            onSelect: null, // (heading) => void, shows a { level, id, text, line } heading in the editor and the preview
+            ...options
+        };
+        this.isVisible = false;
+        this.headings = [];
+        this.collapsed = new Set(); // Ids of headings whose subsections are hidden
+        this.currentLine = 0;
+        this.currentIndex = null; // Highlighted heading
+    }
+
+    // Create outline panel HTML
+    createPanel() {
+        const panel = document.createElement('aside');
+        panel.id = 'outline-panel';
+        panel.className = 'outline-panel hidden';
+
+        panel.innerHTML = `
+            <div class="outline-header">
+                <h3>📑 Оглавление</h3>
+                <div class="outline-controls">
+                    <button class="btn btn-icon" data-action="collapse-all" title="Свернуть все">⊟</button>
+                    <button class="btn btn-icon" data-action="expand-all" title="Развернуть все">⊞</button>
+                    <button class="btn btn-icon" data-action="close" title="Закрыть">✕</button>
+                </div>
+            </div>
+            <ul id="outline-list" class="outline-list"></ul>
+        `;
+
+        return panel;
+    }
+
+    // Show outline panel
+    show() {
+        if (!document.getElementById('outline-panel')) {
+            const panel = this.createPanel();
+            document.body.appendChild(panel);
+            this.setupEventListeners();
+        }
+
+        document.getElementById('outline-panel').classList.remove('hidden');
+        this.isVisible = true;
+
+        this.render();
+    }
+
+    // Hide outline panel
+    hide() {
+        const panel = document.getElementById('outline-panel');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+        this.isVisible = false;
+    }
+
+    // Toggle outline panel
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        const panel = document.getElementById('outline-panel');
+
+        panel.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            const item = e.target.closest('.outline-item');
+            const heading = item ? this.headings[Number(item.dataset.index)] : null;
+
+            switch (action) {
+                case 'close':
+                    this.hide();
+                    break;
+                case 'collapse-all':
+                    this.headings.forEach((_, index) => {
+                        if (this.hasSubsections(index)) {
+                            this.collapsed.add(this.headings[index].id);
+                        }
+                    });
+                    this.render();
+                    break;
+                case 'expand-all':
+                    this.collapsed.clear();
+                    this.render();
+                    break;
+                case 'toggle':
+                    if (this.collapsed.has(heading.id)) {
+                        this.collapsed.delete(heading.id);
+                    } else {
+                        this.collapsed.add(heading.id);
+                    }
+                    this.render();
+                    break;
+                default:
+                    if (heading && this.options.onSelect) {
+                        this.options.onSelect(heading);
+                    }
+                    break;
+            }
+        });
+    }
+
+    // Show the headings of a new render; collapsed sections stay collapsed while their headings exist
+    setHeadings(headings) {
+        this.headings = headings;
+        const ids = new Set(headings.map(heading => heading.id));
+        this.collapsed.forEach(id => {
+            if (!ids.has(id)) {
+                this.collapsed.delete(id);
+            }
+        });
+
+        if (this.isVisible) {
+            this.render();
+        }
+    }
+
+    // Follow the source line being edited or read
+    setCurrentLine(line) {
+        this.currentLine = line;
+        if (this.isVisible) {
+            this.updateCurrent();
+        }
+    }
+
+    // A heading has subsections when the next heading is deeper
+    hasSubsections(index) {
+        const next = this.headings[index + 1];
+        return Boolean(next) && next.level > this.headings[index].level;
+    }
+
+    // Indexes of headings hidden inside collapsed sections
+    getHiddenIndexes() {
+        const hidden = new Set();
+        let collapsedLevel = null;
+
+        this.headings.forEach((heading, index) => {
+            if (collapsedLevel !== null && heading.level > collapsedLevel) {
+                hidden.add(index);
+            } else {
+                collapsedLevel = this.collapsed.has(heading.id) ? heading.level : null;
+            }
+        });
+
+        return hidden;
+    }
+
+    // Render the heading list
+    render() {
+        const list = document.getElementById('outline-list');
+        if (!list) return;
+
+        if (this.headings.length === 0) {
+            list.innerHTML = '<li class="outline-empty">В документе нет заголовков</li>';
+            return;
+        }
+
+        const top = Math.min(...this.headings.map(heading => heading.level));
+        const hidden = this.getHiddenIndexes();
+
+        list.innerHTML = this.headings.map((heading, index) => {
+            if (hidden.has(index)) return '';
+
+            const toggle = this.hasSubsections(index)
+                ? `<button class="outline-toggle" data-action="toggle" title="Свернуть/развернуть">${this.collapsed.has(heading.id) ? '▸' : '▾'}</button>`
+                : '<span class="outline-toggle"></span>';
+
+            return `
+                <li class="outline-item" data-index="${index}" style="padding-left: ${(heading.level - top) * 0.75}rem" title="${escapeHTML(heading.text)}">
+                    ${toggle}
+                    <span class="outline-text">${escapeHTML(heading.text) || '&nbsp;'}</span>
+                </li>
+            `;
+        }).join('');
+
+        this.currentIndex = null;
+        this.updateCurrent();
+    }
+
+    // Highlight the section containing the current line, or the collapsed section around it
+    updateCurrent() {
+        const list = document.getElementById('outline-list');
+        if (!list) return;
+
+        let index = -1;
+        while (index + 1 < this.headings.length && this.headings[index + 1].line <= Math.floor(this.currentLine)) {
+            index++;
+        }
+
+        const hidden = this.getHiddenIndexes();
+        while (hidden.has(index)) {
+            index--;
+        }
+
+        if (index === this.currentIndex) return;
+        this.currentIndex = index;
+
+        list.querySelectorAll('.outline-item').forEach(item => {
+            const isCurrent = Number(item.dataset.index) === index;
+            item.classList.toggle('current', isCurrent);
+            if (isCurrent) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+}
@@ -1,7 +1,11 @@
 // Preview panel for MarkMirror Mobile
 // Handles plain text and HTML preview with synchronized scrolling
 
-import { MarkdownParser } from '../utils/markdownParser.js';
+import { walk } from '../utils/markdownParser.js';
+import { createMarkdownParser, pluginsSupportWorker } from '../utils/markdownPlugins.js';
+import { escapeHTML, HEADING_ID_PREFIX } from '../utils/markdownCommon.js';
+import { getContentStats } from '../utils/contentStats.js';
+import { ParserClient } from '../utils/parserClient.js';
 
 export class PreviewPanel {
     constructor(options = {}) {
@@ -12,57 +16,149 @@ export class PreviewPanel {
             zoom: 100,
             useExternalParser: false,
             showMarkdownHighlight: true, // New option for Markdown highlighting
+            onTaskToggle: null, // (line, checked) => boolean, toggles a task item in the source
+            theme: 'light', // Mermaid diagram theme
+            onFrontMatterChange: null, // ({ title, date, tags }) => void, writes metadata back to the source
+            parserOptions: {}, // Options of the built-in MarkdownParser
+            onScroll: null, // (line) => void, source line at the top of a pane scrolled by the user
+            onNavigate: null, // (startLine, endLine) => void, double-click/long-press on a block shows its source
+            onOutline: null, // (headings) => void, [{ level, id, text, line }] of each rendered document
+            longPressDelay: 500, // ms
+            largeDocumentLines: 1000, // Longer documents render after a pause in typing
+            renderDelay: 300, // ms
+            useWorker: true, // Parse in a Web Worker when the browser supports module workers
             ...options
         };
         
-        this.parser = new MarkdownParser();
+        this.parser = this.createParser();
+        this.parserClient = this.options.useWorker ? new ParserClient({ parserOptions: this.getParserOptions() }) : null;
+        this.diagramCache = new Map(); // theme + source -> { svg } or { error }
+        this.diagramCounter = 0;
+        this.pendingDiagrams = new Set(); // Promises of diagrams being rendered into the preview
+        this.highlightCache = new Map(); // language + code -> { className, html } from highlight.js
+        this.mermaidTheme = null;
+        this.frontMatter = null;
         this.lastContent = '';
+        this.pendingContent = null; // Content waiting for a scheduled render
+        this.renderTimer = null;
+        this.idleCallback = null;
+        this.blocks = null; // Rendered blocks [{ key, line, nodes }] of the built-in parser
+        this.footnotes = null; // { html, nodes } of the footnotes section
+        this.plainLines = null; // Source lines shown in the plain text pane
+        this.stats = null; // Content statistics of the last render
+        this.headings = []; // Outline of the last render
+        this.renderedContent = null; // Content shown in the HTML preview
+        this.fullRender = false; // Rebuild the HTML preview instead of patching it
         this.scrollSyncEnabled = this.options.syncScroll;
         this.isScrolling = false;
+        this.lineCount = 0;
+        this.lineAnchors = new Map(); // pane -> [{ line, top }], reset when the layout changes
         
         this.init();
     }
 
+    // Options of the built-in parser; block elements carry their source lines for scroll sync,
+    // headings their anchor ids
+    getParserOptions() {
+        return { sourceMap: true, headingIds: true, ...this.options.parserOptions };
+    }
+
+    // Built-in parser on the main thread, with the app's plugins
+    createParser() {
+        return createMarkdownParser(this.getParserOptions());
+    }
+
     // Initialize the preview panel
     init() {
         this.setupScrollSync();
+        this.setupTaskToggle();
+        this.setupSourceNavigation();
+        this.setupAnchorLinks();
+        this.setupFrontMatterCard();
         this.updateZoom();
     }
 
-    // Update preview content
+    // Update preview content; large documents are rendered after a pause in typing
     updatePreview(markdownContent) {
-        if (markdownContent === this.lastContent) {
+        if (markdownContent === (this.pendingContent ?? this.lastContent)) {
             return; // No change, skip update
         }
 
-        this.lastContent = markdownContent;
+        this.pendingContent = markdownContent;
+        this.cancelScheduledRender();
+
+        if (markdownContent.split('\n').length < this.options.largeDocumentLines) {
+            this.flush();
+        } else {
+            this.scheduleRender();
+        }
+    }
+
+    // Render the pending content when the browser is idle
+    scheduleRender() {
+        this.renderTimer = setTimeout(() => {
+            this.renderTimer = null;
+            if (typeof requestIdleCallback === 'function') {
+                this.idleCallback = requestIdleCallback(() => {
+                    this.idleCallback = null;
+                    this.flush();
+                }, { timeout: 1000 });
+            } else {
+                this.flush();
+            }
+        }, this.options.renderDelay);
+    }
+
+    // Cancel a scheduled render, keeping the pending content
+    cancelScheduledRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = null;
+        if (this.idleCallback !== null) {
+            cancelIdleCallback(this.idleCallback);
+            this.idleCallback = null;
+        }
+    }
+
+    // Render pending content right away (before exporting or reading the rendered preview)
+    flush() {
+        if (this.pendingContent === null) return;
+
+        const content = this.pendingContent;
+        this.pendingContent = null;
+        this.cancelScheduledRender();
 
-        // Update plain text preview
-        this.updatePlainText(markdownContent);
+        this.lastContent = content;
+        this.lineCount = content.split('\n').length;
 
-        // Update HTML preview
-        this.updateHTML(markdownContent);
+        // Only changed lines and blocks are replaced
+        this.updatePlainText(content, true);
+        this.updateHTML(content, true);
 
         // Debug: Check if containers have content and can scroll
         this.debugScrollContainers();
     }
 
-    // Update plain text preview
-    updatePlainText(content) {
-        if (!this.options.plainTextContainer) return;
+    // Update plain text preview; incremental updates replace only the changed lines
+    updatePlainText(content, incremental = false) {
+        const container = this.options.plainTextContainer;
+        if (!container) return;
 
-        // Add statistics header
-        const stats = this.getContentStats(content);
-        const statsHeader = this.createStatsHeader(stats);
+        const lines = content.split('\n');
+        let contentDiv = container.querySelector('.plain-text-content');
+        this.lineAnchors.clear();
 
-        // Create content with optional enhancements
-        const enhancedContent = this.enhancePlainText(content);
+        // The statistics header is updated with the HTML render
+        if (incremental && this.plainLines && contentDiv) {
+            this.patchPlainLines(contentDiv, lines);
+            this.plainLines = lines;
+            return;
+        }
 
         // Update container
-        this.options.plainTextContainer.innerHTML = '';
-        this.options.plainTextContainer.appendChild(statsHeader);
+        container.innerHTML = '';
+        container.appendChild(this.createStatsHeader(this.stats || this.getContentStats(content)));
 
-        const contentDiv = document.createElement('div');
+        contentDiv = document.createElement('div');
         contentDiv.className = 'plain-text-content';
         contentDiv.style.cssText = `
             white-space: pre-wrap;
@@ -72,44 +168,50 @@ export class PreviewPanel {
             padding-top: 0.5rem;
         `;
 
-        if (this.options.showMarkdownHighlight) {
-            contentDiv.innerHTML = enhancedContent;
-        } else {
-            contentDiv.textContent = content;
+        // One element per source line, so scroll sync can find lines
+        contentDiv.innerHTML = lines.map((line, index) => this.renderPlainLine(line, index)).join('');
+
+        container.appendChild(contentDiv);
+        this.plainLines = lines;
+    }
+
+    // HTML of one source line in the plain text pane
+    renderPlainLine(line, index) {
+        return `<div class="plain-text-line" data-line="${index}">${this.options.showMarkdownHighlight ? this.enhancePlainText(line) : escapeHTML(line)}</div>`;
+    }
+
+    // Replace the lines between the unchanged start and end of the text, renumbering the lines after them
+    patchPlainLines(contentDiv, lines) {
+        const previous = this.plainLines;
+        const { start, end } = diffRange(previous, lines, (a, b) => a === b);
+
+        const rows = contentDiv.children;
+        for (let i = previous.length - end - 1; i >= start; i--) {
+            rows[i].remove();
         }
 
-        this.options.plainTextContainer.appendChild(contentDiv);
+        const template = document.createElement('template');
+        template.innerHTML = lines.slice(start, lines.length - end)
+            .map((line, index) => this.renderPlainLine(line, start + index))
+            .join('');
+        contentDiv.insertBefore(template.content, rows[start] || null);
+
+        if (lines.length !== previous.length) {
+            for (let i = lines.length - end; i < lines.length; i++) {
+                rows[i].dataset.line = i;
+            }
+        }
     }
 
-    // Get content statistics
+    // Get content statistics; elements are counted on the parsed document, so plugin syntax counts too
     getContentStats(content) {
-        const lines = content.split('\n');
-        const words = content.trim() ? content.trim().split(/\s+/) : [];
-        const characters = content.length;
-        const charactersNoSpaces = content.replace(/\s/g, '').length;
-
-        // Count Markdown elements
-        const headers = (content.match(/^#{1,6}\s/gm) || []).length;
-        const links = (content.match(/\[([^\]]+)\]\(([^)]+)\)/g) || []).length;
-        const images = (content.match(/!\[([^\]]*)\]\(([^)]+)\)/g) || []).length;
-        const codeBlocks = (content.match(/```[\s\S]*?```/g) || []).length;
-        const inlineCode = (content.match(/`[^`]+`/g) || []).length;
-        const lists = (content.match(/^\s*[-*+]\s/gm) || []).length;
-        const tasks = (content.match(/^\s*[-*+]\s+\[[ x]\]\s/gm) || []).length;
+        return getContentStats(content, this.parser.countElements([this.parser.tokenize(content)]));
+    }
 
-        return {
-            lines: lines.length,
-            words: words.length,
-            characters,
-            charactersNoSpaces,
-            headers,
-            links,
-            images,
-            codeBlocks,
-            inlineCode,
-            lists,
-            tasks
-        };
+    // Show new statistics in the plain text header
+    updateStats(stats) {
+        this.stats = stats;
+        this.options.plainTextContainer?.querySelector('.plain-text-stats')?.replaceWith(this.createStatsHeader(stats));
     }
 
     // Create statistics header
@@ -182,33 +284,574 @@ export class PreviewPanel {
         return enhanced;
     }
 
-    // Update HTML preview
-    updateHTML(content) {
+    // Update HTML preview. The built-in parser runs in a worker when possible; the last render stays
+    // visible until the newest content is parsed, then only changed blocks are replaced.
+    updateHTML(content, incremental = false) {
+        const container = this.options.htmlContainer;
+        if (!container) return;
+
+        if (this.usesExternalParser()) {
+            // Use external parser (Marked.js), without the front matter
+            this.frontMatter = this.parser.getFrontMatter(content);
+            this.blocks = null;
+            this.footnotes = null;
+            container.innerHTML = this.sanitize(marked.parse(this.frontMatter ? content.slice(this.frontMatter.length) : content));
+            this.enhanceContent(container);
+            this.renderFrontMatter();
+
+            const ast = this.parser.tokenize(content);
+            this.updateStats(getContentStats(content, this.parser.countElements([ast])));
+            this.updateOutline(ast.headings);
+            this.renderedContent = content;
+            this.lineAnchors.clear();
+            return;
+        }
+
+        // Use custom parser
+        if (!incremental) {
+            this.fullRender = true;
+        }
+
+        // Plugins registered without a module url only exist on the main thread
+        if (!this.parserClient?.available || !pluginsSupportWorker()) {
+            this.applyRender(content, this.renderContent(content));
+            return;
+        }
+
+        this.parserClient.render(content).then(result => {
+            // The content or the parser may have changed while the worker was busy
+            if (result && content === this.lastContent && !this.usesExternalParser()) {
+                this.applyRender(content, result);
+            }
+        }).catch(error => {
+            if (content !== this.lastContent) return;
+
+            if (this.parserClient?.available) {
+                console.warn('Preview render failed:', error);
+            } else {
+                // The worker could not start: parse on the main thread
+                this.applyRender(content, this.renderContent(content));
+            }
+        });
+    }
+
+    // Marked.js renders the preview when it is selected and loaded
+    usesExternalParser() {
+        return this.options.useExternalParser && typeof marked !== 'undefined';
+    }
+
+    // Parse on the main thread; same result as the worker
+    renderContent(content) {
+        const { blocks, footnotes, counts, headings } = this.parser.renderBlocks(content);
+        return { blocks, footnotes, headings, stats: getContentStats(content, counts) };
+    }
+
+    // Show a parsed document
+    applyRender(content, { blocks, footnotes, headings, stats }) {
+        const container = this.options.htmlContainer;
+        if (!container) return;
+
+        if (this.fullRender || !this.blocks) {
+            container.innerHTML = '';
+            this.blocks = [];
+            this.footnotes = null;
+            this.fullRender = false;
+        }
+        this.patchBlocks({ blocks, footnotes });
+
+        this.frontMatter = this.parser.getFrontMatter(content);
+        container.querySelector(':scope > .front-matter-card')?.remove();
+        this.renderFrontMatter();
+
+        this.updateStats(stats);
+        this.updateOutline(headings);
+        this.renderedContent = content;
+        this.lineAnchors.clear();
+    }
+
+    // Report a changed outline
+    updateOutline(headings) {
+        if (JSON.stringify(headings) === JSON.stringify(this.headings)) return;
+
+        this.headings = headings;
+        if (this.options.onOutline) {
+            this.options.onOutline(headings);
+        }
+    }
+
+    // Sanitize HTML if DOMPurify is available
+    sanitize(html) {
+        return typeof DOMPurify !== 'undefined' ? DOMPurify.sanitize(html) : html;
+    }
+
+    // Replace the blocks between the unchanged start and end of the document
+    patchBlocks({ blocks, footnotes }) {
+        const container = this.options.htmlContainer;
+        const previous = this.blocks;
+        const { start, end } = diffRange(previous, blocks, (a, b) => a.key === b.key);
+
+        previous.slice(start, previous.length - end).forEach(block => {
+            block.nodes.forEach(node => node.remove());
+        });
+
+        // Blocks after the change keep their elements, with source lines moved
+        const after = previous.slice(previous.length - end);
+        after.forEach((block, index) => {
+            const line = blocks[blocks.length - end + index].line;
+            if (line !== block.line) {
+                this.shiftLines(block.nodes, line - block.line);
+                block.line = line;
+            }
+        });
+
+        const next = after.find(block => block.nodes.length > 0)?.nodes[0] || this.footnotes?.nodes[0] || null;
+        const inserted = blocks.slice(start, blocks.length - end).map(({ key, line, html }) => {
+            const fragment = this.createFragment(this.parser.sanitize(html));
+            const nodes = Array.from(fragment.childNodes);
+            container.insertBefore(fragment, next);
+            return { key, line, nodes };
+        });
+
+        this.blocks = [...previous.slice(0, start), ...inserted, ...after];
+
+        if (footnotes !== this.footnotes?.html) {
+            this.footnotes?.nodes.forEach(node => node.remove());
+            const fragment = this.createFragment(this.parser.sanitize(footnotes));
+            this.footnotes = { html: footnotes, nodes: Array.from(fragment.childNodes) };
+            container.appendChild(fragment);
+        }
+    }
+
+    // Sanitized, highlighted nodes of a piece of preview HTML
+    createFragment(html) {
+        const template = document.createElement('template');
+        template.innerHTML = this.sanitize(html);
+        this.enhanceContent(template.content);
+        return template.content;
+    }
+
+    // Diagrams, code highlighting, math and task checkboxes of newly rendered content
+    enhanceContent(root) {
+        this.renderDiagrams(root);
+        this.highlightCode(root);
+        this.renderMath(root);
+        this.enableTaskCheckboxes(root);
+    }
+
+    // Move the source lines of rendered elements
+    shiftLines(nodes, shift) {
+        nodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            [node, ...node.querySelectorAll('[data-line]')].forEach(element => {
+                if (element.dataset.line !== undefined) {
+                    element.dataset.line = Number(element.dataset.line) + shift;
+                }
+            });
+        });
+    }
+
+    // Highlight code blocks if highlight.js is available, reusing results for unchanged code
+    highlightCode(root) {
+        if (typeof hljs === 'undefined') return;
+
+        root.querySelectorAll('pre code').forEach(block => {
+            const key = `${block.className}\n${block.textContent}`;
+            const cached = this.highlightCache.get(key);
+            if (cached) {
+                block.className = cached.className;
+                block.innerHTML = cached.html;
+                block.dataset.highlighted = 'yes';
+                return;
+            }
+
+            hljs.highlightElement(block);
+            this.highlightCache.set(key, { className: block.className, html: block.innerHTML });
+            if (this.highlightCache.size > 200) {
+                this.highlightCache.delete(this.highlightCache.keys().next().value);
+            }
+        });
+    }
+
+    // Document metadata from the front matter
+    getMetadata() {
+        return this.frontMatter ? this.frontMatter.data : {};
+    }
+
+    // Show the front matter as a metadata card above the content
+    renderFrontMatter() {
+        if (!this.frontMatter) return;
+
+        const card = document.createElement('div');
+        card.className = 'front-matter-card';
+        this.fillFrontMatterCard(card);
+        this.options.htmlContainer.prepend(card);
+    }
+
+    // Fill the card with title, date, tags and the remaining fields
+    fillFrontMatterCard(card) {
+        const { title, date, tags, ...fields } = this.getMetadata();
+        card.innerHTML = '';
+
+        const header = document.createElement('div');
+        header.className = 'front-matter-header';
+
+        const titleEl = document.createElement('div');
+        titleEl.className = 'front-matter-title';
+        titleEl.textContent = title || 'Без названия';
+        header.appendChild(titleEl);
+
+        if (this.options.onFrontMatterChange) {
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-small front-matter-edit';
+            editBtn.dataset.action = 'edit-front-matter';
+            editBtn.title = 'Редактировать метаданные';
+            editBtn.textContent = '✏️';
+            header.appendChild(editBtn);
+        }
+        card.appendChild(header);
+
+        if (date) {
+            const dateEl = document.createElement('div');
+            dateEl.className = 'front-matter-date';
+            dateEl.textContent = `📅 ${date}`;
+            card.appendChild(dateEl);
+        }
+
+        const tagList = this.getTagList(tags);
+        if (tagList.length > 0) {
+            const tagsEl = document.createElement('div');
+            tagsEl.className = 'front-matter-tags';
+            tagList.forEach(tag => {
+                const tagEl = document.createElement('span');
+                tagEl.className = 'front-matter-tag';
+                tagEl.textContent = tag;
+                tagsEl.appendChild(tagEl);
+            });
+            card.appendChild(tagsEl);
+        }
+
+        const keys = Object.keys(fields);
+        if (keys.length > 0) {
+            const list = document.createElement('dl');
+            list.className = 'front-matter-fields';
+            keys.forEach(key => {
+                const term = document.createElement('dt');
+                term.textContent = key;
+                const value = document.createElement('dd');
+                value.textContent = Array.isArray(fields[key]) ? fields[key].join(', ') : String(fields[key]);
+                list.append(term, value);
+            });
+            card.appendChild(list);
+        }
+    }
+
+    // Tags may be a list or a comma-separated string
+    getTagList(tags) {
+        if (Array.isArray(tags)) return tags.map(String);
+        return tags ? String(tags).split(',').map(tag => tag.trim()).filter(Boolean) : [];
+    }
+
+    // Replace the card content with an edit form for title, date and tags
+    showFrontMatterForm(card) {
+        const { title, date, tags } = this.getMetadata();
+        card.innerHTML = `
+            <div class="front-matter-form">
+                <label>Заголовок <input type="text" name="title"></label>
+                <label>Дата <input type="text" name="date" placeholder="ГГГГ-ММ-ДД"></label>
+                <label>Теги <input type="text" name="tags" placeholder="через запятую"></label>
+                <div class="front-matter-actions">
+                    <button class="btn btn-small btn-secondary" data-action="save-front-matter">Сохранить</button>
+                    <button class="btn btn-small" data-action="cancel-front-matter">Отмена</button>
+                </div>
+            </div>
+        `;
+
+        card.querySelector('[name="title"]').value = title || '';
+        card.querySelector('[name="date"]').value = date || '';
+        card.querySelector('[name="tags"]').value = this.getTagList(tags).join(', ');
+        card.querySelector('[name="title"]').focus();
+    }
+
+    // Handle clicks on the metadata card
+    setupFrontMatterCard() {
         if (!this.options.htmlContainer) return;
-        
-        let html = '';
-        
-        if (this.options.useExternalParser && typeof marked !== 'undefined') {
-            // Use external parser (Marked.js)
-            html = marked.parse(content);
-        } else {
-            // Use custom parser
-            html = this.parser.parse(content);
+
+        this.options.htmlContainer.addEventListener('click', (e) => {
+            const card = e.target.closest('.front-matter-card');
+            const action = card && e.target.closest('[data-action]')?.dataset.action;
+            if (!action) return;
+
+            switch (action) {
+                case 'edit-front-matter':
+                    this.showFrontMatterForm(card);
+                    break;
+                case 'save-front-matter':
+                    this.options.onFrontMatterChange({
+                        title: card.querySelector('[name="title"]').value.trim(),
+                        date: card.querySelector('[name="date"]').value.trim(),
+                        tags: this.getTagList(card.querySelector('[name="tags"]').value)
+                    });
+                    break;
+                case 'cancel-front-matter':
+                    this.fillFrontMatterCard(card);
+                    break;
+            }
+        });
+    }
+
+    // Replace ```mermaid code blocks with SVG diagrams
+    renderDiagrams(root) {
+        if (typeof mermaid === 'undefined') return;
+
+        const blocks = root.querySelectorAll('pre > code.language-mermaid');
+        if (blocks.length === 0) return;
+
+        this.initializeMermaid();
+
+        blocks.forEach(code => {
+            const source = code.textContent;
+            const container = document.createElement('div');
+            container.className = 'mermaid-diagram';
+            if (code.parentElement.dataset.line !== undefined) {
+                container.dataset.line = code.parentElement.dataset.line;
+            }
+            code.parentElement.replaceWith(container);
+
+            const cached = this.diagramCache.get(this.getDiagramKey(source));
+            if (cached) {
+                this.showDiagram(container, cached, source);
+                return;
+            }
+
+            const pending = this.renderDiagram(source).then(result => {
+                // The block may have been re-rendered in the meantime
+                if (container.isConnected) {
+                    this.showDiagram(container, result, source);
+                }
+            }).finally(() => this.pendingDiagrams.delete(pending));
+            this.pendingDiagrams.add(pending);
+        });
+    }
+
+    // Wait until the diagrams in the preview are rendered, including those of renders started meanwhile
+    async waitForDiagrams() {
+        while (this.pendingDiagrams.size > 0) {
+            await Promise.all(this.pendingDiagrams);
         }
-        
-        // Sanitize HTML if DOMPurify is available
-        if (typeof DOMPurify !== 'undefined') {
-            html = DOMPurify.sanitize(html);
+    }
+
+    // Configure Mermaid for the current theme
+    initializeMermaid() {
+        if (this.mermaidTheme === this.options.theme) return;
+
+        mermaid.initialize({
+            startOnLoad: false,
+            securityLevel: 'strict',
+            theme: this.options.theme === 'dark' ? 'dark' : 'default'
+        });
+        this.mermaidTheme = this.options.theme;
+    }
+
+    // Cache key of a diagram: SVG colors depend on the theme
+    getDiagramKey(source) {
+        return `${this.options.theme}\n${source}`;
+    }
+
+    // Render a diagram to SVG, remembering the result for unchanged sources
+    async renderDiagram(source) {
+        const id = `mermaid-diagram-${++this.diagramCounter}`;
+        let result;
+
+        try {
+            const { svg } = await mermaid.render(id, source);
+            result = { svg };
+        } catch (error) {
+            // Mermaid leaves its temporary render element behind on syntax errors
+            document.getElementById(`d${id}`)?.remove();
+            result = { error: error.message || String(error) };
         }
-        
-        this.options.htmlContainer.innerHTML = html;
-        
-        // Highlight code blocks if highlight.js is available
-        if (typeof hljs !== 'undefined') {
-            this.options.htmlContainer.querySelectorAll('pre code').forEach(block => {
-                hljs.highlightElement(block);
+
+        this.diagramCache.set(this.getDiagramKey(source), result);
+        if (this.diagramCache.size > 50) {
+            this.diagramCache.delete(this.diagramCache.keys().next().value);
+        }
+        return result;
+    }
+
+    // Show a rendered diagram, or the syntax error next to its source
+    showDiagram(container, result, source) {
+        this.lineAnchors.clear();
+        if (result.svg) {
+            container.innerHTML = result.svg;
+            return;
+        }
+
+        container.classList.add('mermaid-error');
+        container.innerHTML = '';
+
+        const message = document.createElement('div');
+        message.className = 'mermaid-error-message';
+        message.textContent = `⚠️ Ошибка в диаграмме: ${result.error}`;
+
+        const pre = document.createElement('pre');
+        const code = document.createElement('code');
+        code.textContent = source;
+        pre.appendChild(code);
+
+        container.append(message, pre);
+    }
+
+    // Update the diagram theme and re-render diagrams
+    updateTheme(theme) {
+        if (this.options.theme === theme) return;
+
+        this.options.theme = theme;
+        if (this.lastContent) {
+            this.updateHTML(this.lastContent);
+        }
+    }
+
+    // Typeset math nodes with KaTeX; without it the TeX source stays visible
+    renderMath(root) {
+        if (typeof katex === 'undefined') return;
+
+        root.querySelectorAll('.math').forEach(element => {
+            katex.render(element.textContent, element, {
+                displayMode: element.classList.contains('math-display'),
+                throwOnError: false
             });
+        });
+    }
+
+    // Task list checkboxes in the HTML preview (first element of a list item)
+    getTaskCheckboxes() {
+        return Array.from(this.options.htmlContainer.querySelectorAll('li > input[type="checkbox"]:first-child'));
+    }
+
+    // Make task checkboxes clickable when the app can write changes back to the source
+    enableTaskCheckboxes(root) {
+        if (!this.options.onTaskToggle) return;
+
+        root.querySelectorAll('li > input[type="checkbox"]:first-child').forEach(checkbox => {
+            checkbox.disabled = false;
+        });
+    }
+
+    // Toggle the source of a task item when its checkbox is clicked
+    setupTaskToggle() {
+        if (!this.options.htmlContainer) return;
+
+        this.options.htmlContainer.addEventListener('change', (e) => {
+            const checkbox = e.target;
+            if (!this.options.onTaskToggle || !checkbox.matches('li > input[type="checkbox"]:first-child')) {
+                return;
+            }
+
+            const line = this.getTaskLine(checkbox);
+            const toggled = line !== null && this.options.onTaskToggle(line, checkbox.checked);
+            if (!toggled) {
+                // Source did not change, keep the checkbox in sync with it
+                checkbox.checked = !checkbox.checked;
+            }
+        });
+    }
+
+    // Double-click or long-press on a rendered block reveals its Markdown in the editor
+    setupSourceNavigation() {
+        const container = this.options.htmlContainer;
+        if (!container) return;
+
+        container.addEventListener('dblclick', (e) => {
+            if (this.navigateToSource(e.target)) {
+                window.getSelection()?.removeAllRanges();
+            }
+        });
+
+        let pressTimer = null;
+        let pressStart = null;
+        let pressed = false;
+        const cancelPress = () => {
+            clearTimeout(pressTimer);
+            pressTimer = null;
+        };
+
+        container.addEventListener('touchstart', (e) => {
+            if (e.touches.length !== 1) return cancelPress();
+
+            const touch = e.touches[0];
+            pressStart = { x: touch.clientX, y: touch.clientY };
+            pressed = false;
+            cancelPress();
+            pressTimer = setTimeout(() => {
+                pressed = this.navigateToSource(e.target);
+            }, this.options.longPressDelay);
+        }, { passive: true });
+
+        container.addEventListener('touchmove', (e) => {
+            const touch = e.touches[0];
+            if (pressStart && Math.hypot(touch.clientX - pressStart.x, touch.clientY - pressStart.y) > 10) {
+                cancelPress();
+            }
+        }, { passive: true });
+
+        container.addEventListener('touchend', cancelPress);
+        container.addEventListener('touchcancel', cancelPress);
+
+        // No context menu after a long-press that already navigated
+        container.addEventListener('contextmenu', (e) => {
+            if (pressed) {
+                e.preventDefault();
+                pressed = false;
+            }
+        });
+    }
+
+    // Report the source lines of the block containing an element; returns true when handled
+    navigateToSource(target) {
+        if (!this.options.onNavigate || !(target instanceof Element)) return false;
+
+        // Controls keep their own behavior
+        if (target.closest('a, input, button, textarea, select, .front-matter-card')) return false;
+
+        const block = target.closest('[data-line]');
+        if (!block || !this.options.htmlContainer.contains(block)) return false;
+
+        const startLine = parseInt(block.dataset.line, 10);
+        this.options.onNavigate(startLine, this.getBlockEndLine(startLine));
+        return true;
+    }
+
+    // End line (exclusive) of the innermost block starting on a source line
+    getBlockEndLine(startLine) {
+        let endLine = startLine + 1;
+        walk(this.parser.tokenize(this.lastContent), node => {
+            if (!node.map || node.map[0] > startLine || node.map[1] <= startLine) return false;
+            if (node.map[0] === startLine && node.type !== 'document') {
+                endLine = node.map[1];
+            }
+            return true;
+        });
+        return endLine;
+    }
+
+    // Find the source line of a task checkbox
+    getTaskLine(checkbox) {
+        const item = checkbox.parentElement;
+        if (item.dataset.line !== undefined) {
+            return parseInt(item.dataset.line, 10);
         }
+
+        // External parser output has no line info: match checkboxes to task items by order
+        const taskLines = [];
+        walk(this.parser.tokenize(this.lastContent), node => {
+            if (node.type === 'list_item' && node.task) {
+                taskLines.push(node.children[0].map[0]);
+            }
+        });
+
+        const line = taskLines[this.getTaskCheckboxes().indexOf(checkbox)];
+        return line === undefined ? null : line;
     }
 
     // Setup scroll synchronization
@@ -232,38 +875,133 @@ export class PreviewPanel {
             htmlEl.removeEventListener('scroll', this.htmlScrollHandler);
         }
 
-        // Create scroll handlers
-        this.plainTextScrollHandler = () => {
+        // Create scroll handlers: the source line at the top of one pane is shown in the other and the editor
+        const createScrollHandler = (source, target) => () => {
             if (!this.scrollSyncEnabled || this.isScrolling) return;
 
-            this.isScrolling = true;
-            const scrollPercentage = this.getScrollPercentage(plainTextEl);
-            this.setScrollPercentage(htmlEl, scrollPercentage);
+            this.lockScroll();
+            const line = this.getTopLine(source);
+            this.scrollPaneToLine(target, line);
 
-            setTimeout(() => {
-                this.isScrolling = false;
-            }, 100);
-        };
-
-        this.htmlScrollHandler = () => {
-            if (!this.scrollSyncEnabled || this.isScrolling) return;
-
-            this.isScrolling = true;
-            const scrollPercentage = this.getScrollPercentage(htmlEl);
-            this.setScrollPercentage(plainTextEl, scrollPercentage);
-
-            setTimeout(() => {
-                this.isScrolling = false;
-            }, 100);
+            if (this.options.onScroll) {
+                this.options.onScroll(line);
+            }
         };
+        this.plainTextScrollHandler = createScrollHandler(plainTextEl, htmlEl);
+        this.htmlScrollHandler = createScrollHandler(htmlEl, plainTextEl);
 
         // Add scroll listeners
         plainTextEl.addEventListener('scroll', this.plainTextScrollHandler);
         htmlEl.addEventListener('scroll', this.htmlScrollHandler);
 
+        // Images and diagrams change block positions when they load
+        if (!this.layoutHandler) {
+            this.layoutHandler = () => this.lineAnchors.clear();
+            window.addEventListener('resize', this.layoutHandler);
+        }
+        htmlEl.addEventListener('load', this.layoutHandler, true);
+
         console.log('Scroll sync setup completed');
     }
 
+    // Ignore scroll events caused by syncing for a moment
+    lockScroll() {
+        this.isScrolling = true;
+        clearTimeout(this.scrollLockTimer);
+        this.scrollLockTimer = setTimeout(() => {
+            this.isScrolling = false;
+        }, 100);
+    }
+
+    // Source line anchors of a pane in document order: [{ line, top }] with offsets from the content top
+    getLineAnchors(container) {
+        if (this.lineAnchors.has(container)) {
+            return this.lineAnchors.get(container);
+        }
+
+        const contentTop = container.getBoundingClientRect().top - container.scrollTop;
+        const anchors = [];
+        container.querySelectorAll('[data-line]').forEach(element => {
+            const line = Number(element.dataset.line);
+            const top = element.getBoundingClientRect().top - contentTop;
+            const last = anchors[anchors.length - 1];
+
+            // Nested blocks starting on the same line and footnotes rendered out of order are skipped
+            if (!last || (line > last.line && top >= last.top)) {
+                anchors.push({ line, top });
+            }
+        });
+
+        this.lineAnchors.set(container, anchors);
+        return anchors;
+    }
+
+    // Anchors around a position: the last one at or before it and the next one (or the document end)
+    getSurroundingAnchors(container, isBefore) {
+        const anchors = this.getLineAnchors(container);
+        let index = -1;
+        while (index + 1 < anchors.length && isBefore(anchors[index + 1])) {
+            index++;
+        }
+
+        return {
+            previous: anchors[index] || { line: 0, top: 0 },
+            next: anchors[index + 1] || { line: this.lineCount, top: container.scrollHeight }
+        };
+    }
+
+    // Source line (fractional) at the top of a pane
+    getTopLine(container) {
+        const scrollTop = container.scrollTop;
+        const { previous, next } = this.getSurroundingAnchors(container, anchor => anchor.top <= scrollTop);
+        const ratio = next.top > previous.top ? (scrollTop - previous.top) / (next.top - previous.top) : 0;
+        return previous.line + Math.min(1, Math.max(0, ratio)) * (next.line - previous.line);
+    }
+
+    // Scroll a pane so the given source line is at the top
+    scrollPaneToLine(container, line) {
+        const { previous, next } = this.getSurroundingAnchors(container, anchor => anchor.line <= line);
+        const ratio = next.line > previous.line ? (line - previous.line) / (next.line - previous.line) : 0;
+        container.scrollTop = previous.top + Math.min(1, Math.max(0, ratio)) * (next.top - previous.top);
+    }
+
+    // Links to headings and footnotes scroll the preview instead of changing the page URL.
+    // Targets are looked up inside the preview, so ids of the app never match; "#slug" also finds the heading "user-content-slug".
+    setupAnchorLinks() {
+        const container = this.options.htmlContainer;
+        if (!container) return;
+
+        container.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href^="#"]');
+            if (!link) return;
+
+            // Markdown links to "#привет" are percent-encoded
+            let id = link.getAttribute('href').slice(1);
+            try {
+                id = decodeURIComponent(id);
+            } catch (error) {
+                // Not encoded
+            }
+            const target = id
+                ? container.querySelector(`#${CSS.escape(HEADING_ID_PREFIX + id)}`) || container.querySelector(`#${CSS.escape(id)}`)
+                : null;
+            if (!target) return;
+
+            e.preventDefault();
+            container.scrollTop += target.getBoundingClientRect().top - container.getBoundingClientRect().top;
+        });
+    }
+
+    // Scroll both panes to a source line (editor -> preview sync)
+    scrollToLine(line) {
+        this.lockScroll();
+        [this.options.plainTextContainer, this.options.htmlContainer].forEach(container => {
+            if (container) {
+                this.scrollPaneToLine(container, line);
+            }
+        });
+    }
+
     // Ensure containers are properly configured for scrolling
     ensureScrollableContainers(plainTextEl, htmlEl) {
         // Make sure containers have proper height and overflow
@@ -329,6 +1067,7 @@ export class PreviewPanel {
     // Update zoom level
     updateZoom(zoom = this.options.zoom) {
         this.options.zoom = zoom;
+        this.lineAnchors.clear();
         
         if (this.options.htmlContainer) {
             this.options.htmlContainer.style.fontSize = `${zoom}%`;
@@ -349,6 +1088,17 @@ export class PreviewPanel {
         }
     }
 
+    // Recreate the built-in parser with new options (e.g. syntax extensions) and re-render
+    setParserOptions(parserOptions) {
+        this.options.parserOptions = { ...this.options.parserOptions, ...parserOptions };
+        this.parser = this.createParser();
+        this.parserClient?.setOptions(this.getParserOptions());
+
+        if (this.lastContent) {
+            this.updateHTML(this.lastContent);
+        }
+    }
+
     // Toggle Markdown highlighting in plain text
     toggleMarkdownHighlight(enabled) {
         this.options.showMarkdownHighlight = enabled;
@@ -402,7 +1152,14 @@ export class PreviewPanel {
     // Clear preview content
     clear() {
         this.lastContent = '';
-        
+        this.pendingContent = null;
+        this.cancelScheduledRender();
+        this.blocks = null;
+        this.footnotes = null;
+        this.plainLines = null;
+        this.renderedContent = null;
+        this.updateOutline([]);
+
         if (this.options.plainTextContainer) {
             this.options.plainTextContainer.textContent = '';
         }
@@ -425,14 +1182,31 @@ export class PreviewPanel {
         };
     }
 
-    // Export HTML content
-    getHTMLContent() {
-        return this.options.htmlContainer ? this.options.htmlContainer.innerHTML : '';
+    // Export HTML content; resolves once the diagrams are rendered, so their SVG is exported
+    async getHTMLContent() {
+        if (!this.options.htmlContainer) return '';
+
+        // Export the current content even while the worker is still parsing it
+        this.flush();
+        if (this.renderedContent !== this.lastContent && !this.usesExternalParser()) {
+            this.applyRender(this.lastContent, this.renderContent(this.lastContent));
+        }
+        await this.waitForDiagrams();
+        if (!this.options.htmlContainer) return '';
+
+        // Exported task checkboxes stay read-only; metadata goes to the document head instead of the card
+        const clone = this.options.htmlContainer.cloneNode(true);
+        clone.querySelectorAll('.front-matter-card').forEach(card => card.remove());
+        clone.querySelectorAll('li > input[type="checkbox"]:first-child').forEach(checkbox => {
+            checkbox.setAttribute('disabled', '');
+        });
+        clone.querySelectorAll('[data-line]').forEach(element => element.removeAttribute('data-line'));
+        return clone.innerHTML;
     }
 
     // Export plain text content
     getPlainTextContent() {
-        return this.lastContent;
+        return this.pendingContent ?? this.lastContent;
     }
 
     // Update containers
@@ -443,7 +1217,8 @@ export class PreviewPanel {
         
         // Re-render current content
         if (this.lastContent) {
-            this.updatePreview(this.lastContent);
+            this.updatePlainText(this.lastContent);
+            this.updateHTML(this.lastContent);
         }
     }
 
@@ -487,6 +1262,10 @@ export class PreviewPanel {
 
     // Destroy the preview panel
     destroy() {
+        this.cancelScheduledRender();
+        this.parserClient?.terminate();
+        this.parserClient = null;
+
         // Remove event listeners
         if (this.options.plainTextContainer && this.plainTextScrollHandler) {
             this.options.plainTextContainer.removeEventListener('scroll', this.plainTextScrollHandler);
@@ -494,6 +1273,10 @@ export class PreviewPanel {
         if (this.options.htmlContainer && this.htmlScrollHandler) {
             this.options.htmlContainer.removeEventListener('scroll', this.htmlScrollHandler);
         }
+        if (this.layoutHandler) {
+            window.removeEventListener('resize', this.layoutHandler);
+            this.layoutHandler = null;
+        }
 
         // Clear references
         this.plainTextScrollHandler = null;
@@ -503,3 +1286,19 @@ export class PreviewPanel {
         this.parser = null;
     }
 }
+
+// Length of the unchanged start and end of two lists
+function diffRange(previous, next, same) {
+    let start = 0;
+    while (start < previous.length && start < next.length && same(previous[start], next[start])) {
+        start++;
+    }
+
+    let end = 0;
+    while (end < previous.length - start && end < next.length - start &&
+        same(previous[previous.length - 1 - end], next[next.length - 1 - end])) {
+        end++;
+    }
+
+    return { start, end };
+}
@@ -0,0 +1,91 @@
+// Problems panel for MarkMirror Mobile
+// Linter problems of the document below the editor, with their quick-fixes
+
+import { escapeHTML } from '../utils/markdownCommon.js';
+
+export class ProblemsPanel {
+    constructor(options = {}) {
+        this.options = {
+            onSelect: null, // (problem) => void, selects the problem in the editor
+            onFix: null, // (problem) => void, applies its quick-fix
+            onFixAll: null, // () => void, applies all quick-fixes
+            ...options
+        };
+        this.problems = [];
+        this.isExpanded = false;
+        this.element = null;
+    }
+
+    // Add the panel to the bottom of a container (the editor panel)
+    attach(container) {
+        this.element = document.createElement('div');
+        this.element.className = 'problems-panel hidden';
+        this.element.innerHTML = `
+            <div class="problems-header">
+                <button class="problems-summary" data-action="toggle" title="Показать/скрыть проблемы"></button>
+                <button class="btn btn-small btn-secondary" data-action="fix-all" title="Применить все исправления">🔧 Исправить все</button>
+            </div>
+            <ul class="problems-list hidden"></ul>
+        `;
+
+        // Delegate clicks on the header and on problems
+        this.element.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            const item = e.target.closest('.problem-item');
+            const problem = item ? this.problems[Number(item.dataset.index)] : null;
+
+            switch (action) {
+                case 'toggle':
+                    this.isExpanded = !this.isExpanded;
+                    this.render();
+                    break;
+                case 'fix-all':
+                    if (this.options.onFixAll) {
+                        this.options.onFixAll();
+                    }
+                    break;
+                case 'fix':
+                    if (problem && this.options.onFix) {
+                        this.options.onFix(problem);
+                    }
+                    break;
+                default:
+                    if (problem && this.options.onSelect) {
+                        this.options.onSelect(problem);
+                    }
+                    break;
+            }
+        });
+
+        container.appendChild(this.element);
+    }
+
+    // Show the problems of the latest lint run
+    setProblems(problems) {
+        this.problems = problems;
+        this.render();
+    }
+
+    // Render the summary and the problem list
+    render() {
+        if (!this.element) return;
+
+        this.element.classList.toggle('hidden', this.problems.length === 0);
+        this.element.querySelector('.problems-summary').textContent =
+            `${this.isExpanded ? '▾' : '▸'} ⚠️ Проблем: ${this.problems.length}`;
+        this.element.querySelector('[data-action="fix-all"]').classList.toggle('hidden', !this.problems.some(problem => problem.fix));
+
+        const list = this.element.querySelector('.problems-list');
+        list.classList.toggle('hidden', !this.isExpanded);
+        if (!this.isExpanded) return;
+
+        list.innerHTML = this.problems.map((problem, index) => `
+            <li class="problem-item" data-index="${index}">
+                <span class="problem-line">Стр. ${problem.line + 1}</span>
+                <span class="problem-message">${escapeHTML(problem.message)}</span>
+                <span class="problem-rule" title="${escapeHTML(problem.name)}">${problem.rule}</span>
+                ${problem.fix ? `<button class="btn btn-small btn-secondary" data-action="fix" title="${escapeHTML(problem.fix.label || 'Исправить')}">🔧</button>` : ''}
+            </li>
+        `).join('');
+    }
+}
@@ -12,6 +12,7 @@ export class SearchReplace {
             wholeWord: false,
             useRegex: false,
             confirmReplace: false,
+            onBeforeReplaceAll: null,
             ...options
         };
         
@@ -881,6 +882,10 @@ export class SearchReplace {
         // Store original content for potential undo
         const originalContent = this.getEditorContent();
 
+        if (this.options.onBeforeReplaceAll) {
+            this.options.onBeforeReplaceAll(originalContent);
+        }
+
         let newContent = originalContent;
         let totalReplacements = 0;
 
@@ -1,6 +1,8 @@
 // Simple textarea-based editor as fallback for MarkMirror Mobile
 // Used when CodeMirror 6 is not available or fails to load
 
+import { continueList, indentLines } from '../utils/markdownCommands.js';
+
 export class SimpleEditor {
     constructor(container, options = {}) {
         this.container = container;
@@ -9,6 +11,7 @@ export class SimpleEditor {
             autoComplete: true,
             onChange: null,
             onScroll: null,
+            onCursorChange: null,
             initialContent: '',
             ...options
         };
@@ -74,11 +77,24 @@ export class SimpleEditor {
             }
         });
 
-        // Tab key handler for indentation
+        // Cursor movement handler
+        ['keyup', 'mouseup', 'input', 'focus'].forEach(type => {
+            this.textarea.addEventListener(type, () => {
+                if (this.options.onCursorChange) {
+                    this.options.onCursorChange(this.getCursor());
+                }
+            });
+        });
+
+        // List-aware Enter and Tab/Shift+Tab
         this.textarea.addEventListener('keydown', (e) => {
+            if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+
             if (e.key === 'Tab') {
                 e.preventDefault();
-                this.insertTab();
+                this.runCommand(state => indentLines(state, e.shiftKey));
+            } else if (e.key === 'Enter' && !e.shiftKey && this.runCommand(continueList)) {
+                e.preventDefault();
             }
         });
 
@@ -99,19 +115,14 @@ export class SimpleEditor {
         });
     }
 
-    // Insert tab character
-    insertTab() {
-        const start = this.textarea.selectionStart;
-        const end = this.textarea.selectionEnd;
-        const value = this.textarea.value;
-        
-        this.textarea.value = value.substring(0, start) + '    ' + value.substring(end);
-        this.textarea.selectionStart = this.textarea.selectionEnd = start + 4;
-        
-        // Trigger change event
-        if (this.options.onChange) {
-            this.options.onChange(this.getContent());
+    // Apply a text command ({ text, from, to } => edit or null); returns whether it made an edit
+    runCommand(command) {
+        const { from, to } = this.getSelectionRange();
+        const edit = command({ text: this.getContent(), from, to });
+        if (edit) {
+            this.applyEdit(edit);
         }
+        return Boolean(edit);
     }
 
     // Show basic completions (simplified)
@@ -207,6 +218,61 @@ export class SimpleEditor {
         }
     }
 
+    // Top offsets and heights of source lines. Long lines wrap, so they are measured on a hidden copy
+    // of the textarea; the result is kept until the text or the width changes.
+    measureLines() {
+        const value = this.textarea.value;
+        const width = this.textarea.clientWidth;
+        if (this.lineMetrics && this.lineMetrics.value === value && this.lineMetrics.width === width) {
+            return this.lineMetrics;
+        }
+
+        const style = window.getComputedStyle(this.textarea);
+        const mirror = document.createElement('div');
+        ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        mirror.style.cssText += `position: absolute; top: 0; left: -9999px; visibility: hidden;
+            box-sizing: border-box; width: ${width}px; white-space: pre-wrap; word-wrap: break-word;`;
+
+        value.split('\n').forEach(line => {
+            const div = document.createElement('div');
+            div.textContent = line || '\u200b';
+            mirror.appendChild(div);
+        });
+
+        document.body.appendChild(mirror);
+        const lines = Array.from(mirror.children, div => ({ top: div.offsetTop, height: div.offsetHeight }));
+        mirror.remove();
+
+        this.lineMetrics = { value, width, lines };
+        return this.lineMetrics;
+    }
+
+    // Source line (0-based, fractional) at the top of the viewport
+    getTopLine() {
+        if (!this.textarea) return 0;
+
+        const { lines } = this.measureLines();
+        const scrollTop = this.textarea.scrollTop;
+        let index = 0;
+        while (index + 1 < lines.length && lines[index + 1].top <= scrollTop) {
+            index++;
+        }
+        const { top, height } = lines[index];
+        return index + Math.min(1, Math.max(0, (scrollTop - top) / (height || 1)));
+    }
+
+    // Scroll so the given source line (0-based, fractional) is at the top
+    scrollToLine(line) {
+        if (!this.textarea) return;
+
+        const { lines } = this.measureLines();
+        const index = Math.max(0, Math.min(Math.floor(line), lines.length - 1));
+        this.textarea.scrollTop = lines[index].top + (line - Math.floor(line)) * lines[index].height;
+    }
+
     // Update theme
     updateTheme(theme) {
         this.options.theme = theme;
@@ -236,6 +302,32 @@ export class SimpleEditor {
         return this.getContent().split('\n').length;
     }
 
+    // Select a range and scroll it into view
+    setSelection(from, to) {
+        if (!this.textarea) return;
+
+        this.textarea.setSelectionRange(from, to);
+
+        const line = this.textarea.value.slice(0, from).split('\n').length - 1;
+        const { top } = this.measureLines().lines[line];
+        if (top < this.textarea.scrollTop || top > this.textarea.scrollTop + this.textarea.clientHeight) {
+            this.textarea.scrollTop = Math.max(0, top - this.textarea.clientHeight / 3);
+        }
+    }
+
+    // Get cursor position
+    getCursor() {
+        return this.textarea ? this.textarea.selectionEnd : 0;
+    }
+
+    // Set cursor position
+    setCursor(pos) {
+        if (!this.textarea) return;
+
+        const clamped = Math.max(0, Math.min(pos, this.textarea.value.length));
+        this.textarea.setSelectionRange(clamped, clamped);
+    }
+
     // Insert text at cursor position
     insertText(text) {
         if (!this.textarea) return;
@@ -252,6 +344,49 @@ export class SimpleEditor {
         }
     }
 
+    // Replace text in range; the selection keeps its place in the text around the change
+    replaceRange(from, to, text) {
+        if (!this.textarea) return;
+
+        this.textarea.setRangeText(text, from, to, 'preserve');
+
+        if (this.options.onChange) {
+            this.options.onChange(this.getContent());
+        }
+    }
+
+    // Replace several ranges ([{ from, to, insert }] in offsets of the current text) as one change
+    replaceRanges(changes) {
+        if (!this.textarea || changes.length === 0) return;
+
+        // From the end of the text, so the offsets of the remaining ranges stay valid
+        [...changes].sort((a, b) => b.from - a.from).forEach(({ from, to, insert }) => {
+            this.textarea.setRangeText(insert, from, to, 'preserve');
+        });
+
+        if (this.options.onChange) {
+            this.options.onChange(this.getContent());
+        }
+    }
+
+    // Get the selection as { from, to } offsets
+    getSelectionRange() {
+        if (!this.textarea) return { from: 0, to: 0 };
+        return { from: this.textarea.selectionStart, to: this.textarea.selectionEnd };
+    }
+
+    // Apply a text edit ({ from, to, insert, selection }) and select its result
+    applyEdit({ from, to, insert, selection }) {
+        if (!this.textarea) return;
+
+        this.textarea.setRangeText(insert, from, to);
+        this.textarea.setSelectionRange(selection.from, selection.to);
+
+        if (this.options.onChange) {
+            this.options.onChange(this.getContent());
+        }
+    }
+
     // Get selected text
     getSelectedText() {
         if (!this.textarea) return '';
@@ -0,0 +1,292 @@
+// Table Editor Panel UI for MarkMirror Mobile
+// Grid editor for the Markdown table under the cursor; every change is written back to the source formatted
+
+import { escapeHTML } from '../utils/markdownCommon.js';
+
+export class TableEditorPanel {
+    constructor(options = {}) {
+        this.options = {
+            onApply: null, // (from, to, text) => void, replaces the table source in the editor
+            ...options
+        };
+        this.isVisible = false;
+        this.target = null; // { table, from, to } from findTable()
+        this.trigger = null;
+        this.selected = { row: -1, column: 0 }; // row -1 is the header
+        this.alignLabels = {
+            left: 'по левому краю',
+            center: 'по центру',
+            right: 'по правому краю'
+        };
+    }
+
+    // Add the "edit table" button that appears while the cursor is inside a table
+    attachTrigger(container) {
+        this.trigger = document.createElement('button');
+        this.trigger.className = 'btn btn-small btn-secondary table-edit-trigger hidden';
+        this.trigger.title = 'Редактировать таблицу';
+        this.trigger.textContent = '▦ Таблица';
+        this.trigger.addEventListener('click', () => this.show());
+        container.appendChild(this.trigger);
+    }
+
+    // Remember the table under the cursor (or null) and toggle the trigger button
+    setTarget(target) {
+        if (this.isVisible) return;
+
+        this.target = target;
+        if (this.trigger) {
+            this.trigger.classList.toggle('hidden', !target);
+        }
+    }
+
+    // Create table editor panel HTML
+    createPanel() {
+        const panel = document.createElement('div');
+        panel.id = 'table-editor-panel';
+        panel.className = 'table-editor-panel hidden';
+
+        panel.innerHTML = `
+            <div class="table-editor-content">
+                <div class="table-editor-header">
+                    <h3>▦ Таблица</h3>
+                    <div class="table-editor-controls">
+                        <button data-action="format" class="btn btn-small btn-secondary" title="Выровнять столбцы в исходном тексте">Форматировать</button>
+                        <button id="close-table-editor" class="btn btn-icon" title="Закрыть">✕</button>
+                    </div>
+                </div>
+                <div class="table-editor-toolbar">
+                    <div class="table-editor-group">
+                        <span class="table-editor-label">Строка</span>
+                        <button data-action="row-above" class="btn btn-small btn-secondary" title="Вставить строку выше">+ выше</button>
+                        <button data-action="row-below" class="btn btn-small btn-secondary" title="Вставить строку ниже">+ ниже</button>
+                        <button data-action="row-up" class="btn btn-small btn-secondary" title="Переместить строку вверх">↑</button>
+                        <button data-action="row-down" class="btn btn-small btn-secondary" title="Переместить строку вниз">↓</button>
+                        <button data-action="row-remove" class="btn btn-small btn-secondary" title="Удалить строку">✕</button>
+                    </div>
+                    <div class="table-editor-group">
+                        <span class="table-editor-label">Столбец</span>
+                        <button data-action="column-left" class="btn btn-small btn-secondary" title="Вставить столбец слева">+ слева</button>
+                        <button data-action="column-right" class="btn btn-small btn-secondary" title="Вставить столбец справа">+ справа</button>
+                        <button data-action="column-move-left" class="btn btn-small btn-secondary" title="Переместить столбец влево">←</button>
+                        <button data-action="column-move-right" class="btn btn-small btn-secondary" title="Переместить столбец вправо">→</button>
+                        <button data-action="column-remove" class="btn btn-small btn-secondary" title="Удалить столбец">✕</button>
+                    </div>
+                    <div class="table-editor-group">
+                        <span class="table-editor-label">Выравнивание</span>
+                        <button data-action="align-left" class="btn btn-small btn-secondary" title="По левому краю">⇤</button>
+                        <button data-action="align-center" class="btn btn-small btn-secondary" title="По центру">↔</button>
+                        <button data-action="align-right" class="btn btn-small btn-secondary" title="По правому краю">⇥</button>
+                        <button data-action="align-none" class="btn btn-small btn-secondary" title="Без выравнивания">—</button>
+                    </div>
+                    <div class="table-editor-group">
+                        <span class="table-editor-label">Сортировка</span>
+                        <button data-action="sort-asc" class="btn btn-small btn-secondary" title="По возрастанию">А→Я</button>
+                        <button data-action="sort-desc" class="btn btn-small btn-secondary" title="По убыванию">Я→А</button>
+                    </div>
+                </div>
+                <div class="table-editor-grid-container">
+                    <table id="table-editor-grid" class="table-editor-grid"></table>
+                </div>
+                <div id="table-editor-status" class="table-editor-status"></div>
+            </div>
+        `;
+
+        return panel;
+    }
+
+    // Show table editor panel for the current target
+    show() {
+        if (!this.target) return;
+
+        if (!document.getElementById('table-editor-panel')) {
+            const panel = this.createPanel();
+            document.body.appendChild(panel);
+            this.setupEventListeners();
+        }
+
+        const panel = document.getElementById('table-editor-panel');
+        panel.classList.remove('hidden');
+        this.isVisible = true;
+        this.selected = { row: -1, column: 0 };
+
+        this.render();
+    }
+
+    // Hide table editor panel
+    hide() {
+        const panel = document.getElementById('table-editor-panel');
+        if (panel) {
+            panel.classList.add('hidden');
+        }
+        this.isVisible = false;
+    }
+
+    // Setup event listeners
+    setupEventListeners() {
+        const panel = document.getElementById('table-editor-panel');
+
+        panel.querySelector('#close-table-editor').addEventListener('click', () => {
+            this.hide();
+        });
+
+        // Toolbar actions
+        panel.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action) {
+                this.runAction(action);
+            }
+        });
+
+        // Track the selected cell and edit the model while typing
+        const grid = panel.querySelector('#table-editor-grid');
+        grid.addEventListener('focusin', (e) => {
+            if (e.target.matches('input[data-column]')) {
+                this.selected = { row: Number(e.target.dataset.row), column: Number(e.target.dataset.column) };
+                this.markSelected();
+            }
+        });
+
+        grid.addEventListener('input', (e) => {
+            if (e.target.matches('input[data-column]')) {
+                this.target.table.setCell(Number(e.target.dataset.row), Number(e.target.dataset.column), e.target.value);
+            }
+        });
+
+        // Write the edited cell back when it loses focus
+        grid.addEventListener('change', () => {
+            this.apply();
+        });
+
+        // Close on outside click
+        panel.addEventListener('click', (e) => {
+            if (e.target === panel) {
+                this.hide();
+            }
+        });
+    }
+
+    // Run a toolbar action on the selected cell
+    runAction(action) {
+        const table = this.target.table;
+        let { row, column } = this.selected;
+
+        switch (action) {
+            case 'row-above':
+                row = table.insertRow(row < 0 ? 0 : row);
+                break;
+            case 'row-below':
+                row = table.insertRow(row + 1);
+                break;
+            case 'row-up':
+                row = table.moveRow(row, -1);
+                break;
+            case 'row-down':
+                row = table.moveRow(row, 1);
+                break;
+            case 'row-remove':
+                if (!table.removeRow(row)) return;
+                row = Math.min(row, table.rows.length - 1);
+                break;
+            case 'column-left':
+                column = table.insertColumn(column);
+                break;
+            case 'column-right':
+                column = table.insertColumn(column + 1);
+                break;
+            case 'column-move-left':
+                column = table.moveColumn(column, -1);
+                break;
+            case 'column-move-right':
+                column = table.moveColumn(column, 1);
+                break;
+            case 'column-remove':
+                if (!table.removeColumn(column)) return;
+                column = Math.min(column, table.columnCount - 1);
+                break;
+            case 'align-left':
+            case 'align-center':
+            case 'align-right':
+                table.setAlignment(column, action.slice('align-'.length));
+                break;
+            case 'align-none':
+                table.setAlignment(column, null);
+                break;
+            case 'sort-asc':
+            case 'sort-desc':
+                table.sortBy(column, action === 'sort-desc');
+                break;
+            case 'format':
+                break;
+            default:
+                return;
+        }
+
+        this.selected = { row, column };
+        this.apply();
+        this.render();
+    }
+
+    // Replace the table source with the formatted table
+    apply() {
+        if (!this.target || !this.options.onApply) return;
+
+        const text = this.target.table.format();
+        this.options.onApply(this.target.from, this.target.to, text);
+        this.target.to = this.target.from + text.length;
+    }
+
+    // Render the grid of cell inputs
+    render() {
+        const grid = document.getElementById('table-editor-grid');
+        if (!grid || !this.target) return;
+
+        const table = this.target.table;
+        const cell = (value, row, column) => {
+            const align = table.align[column] ? ` style="text-align: ${table.align[column]}"` : '';
+            return `<input type="text" value="${escapeHTML(value)}" data-row="${row}" data-column="${column}"${align}>`;
+        };
+
+        grid.innerHTML = `
+            <thead>
+                <tr>
+                    <th class="table-editor-index"></th>
+                    ${table.header.map((value, column) => `<th>${cell(value, -1, column)}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${table.rows.map((cells, row) => `
+                    <tr>
+                        <td class="table-editor-index">${row + 1}</td>
+                        ${cells.map((value, column) => `<td>${cell(value, row, column)}</td>`).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+
+        this.markSelected();
+    }
+
+    // Highlight the selected cell without focusing it, so the keyboard stays closed on phones
+    markSelected() {
+        const grid = document.getElementById('table-editor-grid');
+        grid.querySelectorAll('.selected').forEach(cell => cell.classList.remove('selected'));
+
+        const input = grid.querySelector(`input[data-row="${this.selected.row}"][data-column="${this.selected.column}"]`);
+        if (input) {
+            input.parentElement.classList.add('selected');
+        }
+        this.renderStatus();
+    }
+
+    // Describe the selected cell and its column alignment
+    renderStatus() {
+        const status = document.getElementById('table-editor-status');
+        if (!status || !this.target) return;
+
+        const { row, column } = this.selected;
+        const align = this.target.table.align[column];
+        status.textContent = `${row < 0 ? 'Заголовок' : `Строка ${row + 1}`}, столбец ${column + 1}` +
+            (align ? ` — ${this.alignLabels[align]}` : '');
+    }
+}
@@ -0,0 +1,46 @@
+// Content statistics for MarkMirror Mobile
+// DOM-free, so the parser worker can count them off the UI thread
+
+import { walk } from './markdownCommon.js';
+
+// Statistics counter of each built-in node type
+const ELEMENT_TYPES = {
+    heading: 'headers',
+    link: 'links',
+    image: 'images',
+    code: 'codeBlocks',
+    code_inline: 'inlineCode',
+    list_item: 'lists'
+};
+
+// Count Markdown elements in parsed nodes; `types` maps plugin node types to counters (e.g. { wiki_link: 'links' })
+export function countElements(nodes, types = {}) {
+    const counts = { headers: 0, links: 0, images: 0, codeBlocks: 0, inlineCode: 0, lists: 0, tasks: 0 };
+    const counters = { ...ELEMENT_TYPES, ...types };
+
+    nodes.forEach(root => walk(root, node => {
+        const counter = counters[node.type];
+        if (counter) {
+            counts[counter] = (counts[counter] || 0) + 1;
+        }
+        if (node.type === 'list_item' && node.task) {
+            counts.tasks++;
+        }
+    }));
+
+    return counts;
+}
+
+// Count lines, words and characters of a document; element counts come from its parsed nodes (countElements)
+export function getContentStats(content, counts) {
+    const lines = content.split('\n');
+    const words = content.trim() ? content.trim().split(/\s+/) : [];
+
+    return {
+        lines: lines.length,
+        words: words.length,
+        characters: content.length,
+        charactersNoSpaces: content.replace(/\s/g, '').length,
+        ...counts
+    };
+}
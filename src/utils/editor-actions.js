@@ -286,6 +286,12 @@
                     </svg>
                     <span>Clear</span>
                 </button>
+                <button type="button" class="action-btn format-btn" aria-label="Format document" title="Format document (Shift+Alt+F)" tabindex="0">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M3,3H21V5H3V3M3,7H15V9H3V7M3,11H21V13H3V11M3,15H15V17H3V15M3,19H21V21H3V19Z"/>
+                    </svg>
+                    <span>Format</span>
+                </button>
             `;
 
             // Append to editor container instead of body
@@ -323,6 +329,12 @@
                     </svg>
                     <span>Clear</span>
                 </button>
+                <button type="button" class="action-btn format-btn" aria-label="Format document" title="Format document (Shift+Alt+F)" tabindex="0">
+                    <svg width="18" height="18" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M3,3H21V5H3V3M3,7H15V9H3V7M3,11H21V13H3V11M3,15H15V17H3V15M3,19H21V21H3V19Z"/>
+                    </svg>
+                    <span>Format</span>
+                </button>
             `;
 
             document.body.appendChild(actionBar);
@@ -341,10 +353,12 @@
             const pasteBtn = this.state.actionBar.querySelector('.paste-btn');
             const copyBtn = this.state.actionBar.querySelector('.copy-btn');
             const clearBtn = this.state.actionBar.querySelector('.clear-btn');
+            const formatBtn = this.state.actionBar.querySelector('.format-btn');
 
             pasteBtn.addEventListener('click', () => this.handlePaste());
             copyBtn.addEventListener('click', () => this.handleCopy());
             clearBtn.addEventListener('click', () => this.handleClear());
+            formatBtn.addEventListener('click', () => this.handleFormat());
         },
 
         /**
@@ -406,6 +420,8 @@
             } else {
                 // Clear all content with confirmation
                 if (confirm('Are you sure you want to clear all content?')) {
+                    this.dispatchCustomEvent('editoractions:beforeclear', { type: 'all' });
+
                     if (this.state.editor.tagName === 'TEXTAREA' || this.state.editor.tagName === 'INPUT') {
                         this.state.editor.value = '';
                     } else {
@@ -419,6 +435,14 @@
             }
         },
 
+        /**
+         * Handle format action
+         * The app formats the document, since the Markdown formatter is an ES module
+         */
+        handleFormat() {
+            this.dispatchCustomEvent('editoractions:format');
+        },
+
         /**
          * Get selected text from editor
          */
@@ -0,0 +1,114 @@
+// Styles embedded into exported HTML documents
+// Kept apart from FileHandler so the Node CLI can use them without the browser
+
+export const EXPORT_STYLES = `
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            max-width: 800px;
+            margin: 0 auto;
+            padding: 2rem;
+            background-color: #fff;
+        }
+        
+        .markdown-body h1, .markdown-body h2, .markdown-body h3, 
+        .markdown-body h4, .markdown-body h5, .markdown-body h6 {
+            margin-top: 0;
+            margin-bottom: 1rem;
+            font-weight: 600;
+            line-height: 1.25;
+        }
+        
+        .markdown-body h1 { font-size: 2rem; }
+        .markdown-body h2 { font-size: 1.5rem; }
+        .markdown-body h3 { font-size: 1.25rem; }
+        .markdown-body h4 { font-size: 1.125rem; }
+        .markdown-body h5 { font-size: 1rem; }
+        .markdown-body h6 { font-size: 0.875rem; }
+        
+        .markdown-body p {
+            margin-bottom: 1rem;
+        }
+        
+        .markdown-body ul, .markdown-body ol {
+            margin-bottom: 1rem;
+            padding-left: 1.5rem;
+        }
+        
+        .markdown-body li {
+            margin-bottom: 0.25rem;
+        }
+        
+        .markdown-body blockquote {
+            margin: 1rem 0;
+            padding: 0 1rem;
+            border-left: 4px solid #ddd;
+            color: #666;
+        }
+        
+        .markdown-body code {
+            padding: 0.2em 0.4em;
+            background-color: #f6f8fa;
+            border-radius: 0.25rem;
+            font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
+            font-size: 0.875em;
+        }
+        
+        .markdown-body pre {
+            margin-bottom: 1rem;
+            padding: 1rem;
+            background-color: #f6f8fa;
+            border-radius: 0.375rem;
+            overflow-x: auto;
+        }
+        
+        .markdown-body pre code {
+            padding: 0;
+            background: none;
+            border-radius: 0;
+        }
+        
+        .markdown-body table {
+            width: 100%;
+            margin-bottom: 1rem;
+            border-collapse: collapse;
+        }
+        
+        .markdown-body th, .markdown-body td {
+            padding: 0.5rem;
+            border: 1px solid #ddd;
+            text-align: left;
+        }
+        
+        .markdown-body th {
+            background-color: #f6f8fa;
+            font-weight: 600;
+        }
+        
+        .markdown-body th[align="center"], .markdown-body td[align="center"] {
+            text-align: center;
+        }
+        
+        .markdown-body th[align="right"], .markdown-body td[align="right"] {
+            text-align: right;
+        }
+        
+        .markdown-body a {
+            color: #007bff;
+            text-decoration: none;
+        }
+        
+        .markdown-body a:hover {
+            text-decoration: underline;
+        }
+        
+        .markdown-body .task-list-item {
+            list-style: none;
+            margin-left: -1.5rem;
+        }
+        
+        .markdown-body .task-list-item input[type="checkbox"] {
+            margin-right: 0.5rem;
+        }
+        `;
@@ -1,6 +1,12 @@
 // File handling utilities for MarkMirror Mobile
 // Handles import/export operations
 
+import { escapeHTML } from './markdownCommon.js';
+import { EXPORT_STYLES } from './exportStyles.js';
+
+// Typeset KaTeX markup needs its stylesheet (and fonts) to display correctly
+const KATEX_STYLESHEET = 'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css';
+
 export class FileHandler {
     constructor() {
         this.supportedTypes = ['.md', '.txt'];
@@ -60,26 +66,28 @@ export class FileHandler {
     }
 
     // Export content as HTML file
-    exportHTML(htmlContent, filename = 'document.html', embedStyles = true) {
+    exportHTML(htmlContent, filename = 'document.html', embedStyles = true, metadata = {}) {
         let fullHTML = htmlContent;
         
         if (embedStyles) {
-            fullHTML = this.createFullHTMLDocument(htmlContent);
+            fullHTML = this.createFullHTMLDocument(htmlContent, metadata);
         }
         
         this.downloadFile(fullHTML, filename, 'text/html');
     }
 
     // Create full HTML document with embedded styles
-    createFullHTMLDocument(content) {
+    createFullHTMLDocument(content, metadata = {}) {
         const styles = this.getEmbeddedStyles();
+        const title = metadata.title ? String(metadata.title) : 'MarkMirror Export';
         
         return `<!DOCTYPE html>
 <html lang="ru">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>MarkMirror Export</title>
+    <title>${escapeHTML(title)}</title>${this.createMetaTags(metadata)}${content.includes('class="katex') ? `
+    <link rel="stylesheet" href="${KATEX_STYLESHEET}">` : ''}
     <style>
 ${styles}
     </style>
@@ -92,111 +100,26 @@ ${content}
 </html>`;
     }
 
+    // <meta> tags for front matter fields
+    createMetaTags(metadata) {
+        const tags = Array.isArray(metadata.tags) ? metadata.tags.join(', ') : metadata.tags;
+        const meta = {
+            description: metadata.description,
+            author: metadata.author,
+            keywords: tags,
+            date: metadata.date
+        };
+
+        return Object.entries(meta)
+            .filter(([, value]) => value !== undefined && value !== '')
+            .map(([name, value]) => `
+    <meta name="${name}" content="${escapeHTML(String(value))}">`)
+            .join('');
+    }
+
     // Get embedded CSS styles for export
     getEmbeddedStyles() {
-        return `
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 2rem;
-            background-color: #fff;
-        }
-        
-        .markdown-body h1, .markdown-body h2, .markdown-body h3, 
-        .markdown-body h4, .markdown-body h5, .markdown-body h6 {
-            margin-top: 0;
-            margin-bottom: 1rem;
-            font-weight: 600;
-            line-height: 1.25;
-        }
-        
-        .markdown-body h1 { font-size: 2rem; }
-        .markdown-body h2 { font-size: 1.5rem; }
-        .markdown-body h3 { font-size: 1.25rem; }
-        .markdown-body h4 { font-size: 1.125rem; }
-        .markdown-body h5 { font-size: 1rem; }
-        .markdown-body h6 { font-size: 0.875rem; }
-        
-        .markdown-body p {
-            margin-bottom: 1rem;
-        }
-        
-        .markdown-body ul, .markdown-body ol {
-            margin-bottom: 1rem;
-            padding-left: 1.5rem;
-        }
-        
-        .markdown-body li {
-            margin-bottom: 0.25rem;
-        }
-        
-        .markdown-body blockquote {
-            margin: 1rem 0;
-            padding: 0 1rem;
-            border-left: 4px solid #ddd;
-            color: #666;
-        }
-        
-        .markdown-body code {
-            padding: 0.2em 0.4em;
-            background-color: #f6f8fa;
-            border-radius: 0.25rem;
-            font-family: 'SF Mono', Monaco, 'Cascadia Code', 'Roboto Mono', Consolas, 'Courier New', monospace;
-            font-size: 0.875em;
-        }
-        
-        .markdown-body pre {
-            margin-bottom: 1rem;
-            padding: 1rem;
-            background-color: #f6f8fa;
-            border-radius: 0.375rem;
-            overflow-x: auto;
-        }
-        
-        .markdown-body pre code {
-            padding: 0;
-            background: none;
-            border-radius: 0;
-        }
-        
-        .markdown-body table {
-            width: 100%;
-            margin-bottom: 1rem;
-            border-collapse: collapse;
-        }
-        
-        .markdown-body th, .markdown-body td {
-            padding: 0.5rem;
-            border: 1px solid #ddd;
-            text-align: left;
-        }
-        
-        .markdown-body th {
-            background-color: #f6f8fa;
-            font-weight: 600;
-        }
-        
-        .markdown-body a {
-            color: #007bff;
-            text-decoration: none;
-        }
-        
-        .markdown-body a:hover {
-            text-decoration: underline;
-        }
-        
-        .markdown-body .task-list-item {
-            list-style: none;
-            margin-left: -1.5rem;
-        }
-        
-        .markdown-body .task-list-item input[type="checkbox"] {
-            margin-right: 0.5rem;
-        }
-        `;
+        return EXPORT_STYLES;
     }
 
     // Download file to user's device
@@ -0,0 +1,137 @@
+// YAML front matter for MarkMirror Mobile
+// Supports the subset used in blog posts: `key: value` scalars, inline `[a, b]` lists and `- item` lists.
+
+const reFrontMatter = /^---[ \t]*\n((?:.*\n)*?)(?:---|\.\.\.)[ \t]*(?:\n|$)/;
+const reKeyValue = /^([A-Za-z0-9_-]+)[ \t]*:(?:[ \t]+(.*))?$/;
+const reListItem = /^[ \t]*-(?:[ \t]+(.*))?$/;
+
+// Split front matter off the top of a document; returns null when there is none
+export function splitFrontMatter(source) {
+    const match = String(source || '').match(reFrontMatter);
+    if (!match) return null;
+
+    const raw = (match[1] || '').replace(/\n$/, '');
+    if (!isYAMLMapping(raw)) return null;
+
+    return {
+        raw,
+        data: parseYAML(raw),
+        length: match[0].length,
+        lineCount: match[0].split('\n').length - (match[0].endsWith('\n') ? 1 : 0)
+    };
+}
+
+// Front matter must be a mapping, so "---" rules around plain text stay thematic breaks
+function isYAMLMapping(raw) {
+    const lines = raw.split('\n').filter(line => line.trim() && !/^[ \t]*#/.test(line));
+    return lines.length > 0 && reKeyValue.test(lines[0]) &&
+        lines.every(line => reKeyValue.test(line) || reListItem.test(line) || /^[ \t]/.test(line));
+}
+
+// Parse the supported YAML subset into a plain object
+export function parseYAML(raw) {
+    const data = {};
+    let listKey = null;
+
+    raw.split('\n').forEach(line => {
+        if (!line.trim() || /^[ \t]*#/.test(line)) return;
+
+        const item = listKey && line.match(reListItem);
+        if (item) {
+            if (!Array.isArray(data[listKey])) data[listKey] = [];
+            data[listKey].push(parseScalar(stripComment(item[1] || '')));
+            return;
+        }
+
+        const pair = line.match(reKeyValue);
+        if (!pair) return; // nested mappings are not supported
+
+        const value = stripComment(pair[2] || '');
+        data[pair[1]] = value === '' ? '' : parseValue(value);
+        // An empty value may be followed by a block list
+        listKey = value === '' ? pair[1] : null;
+    });
+
+    return data;
+}
+
+// Remove a trailing comment from an unquoted value
+function stripComment(value) {
+    return /^["']/.test(value) ? value.trim() : value.replace(/[ \t]+#.*$/, '').trim();
+}
+
+// Parse a value: inline list or scalar
+function parseValue(value) {
+    const list = value.match(/^\[(.*)\]$/);
+    if (list) {
+        return list[1].trim() ? list[1].split(',').map(item => parseScalar(item.trim())) : [];
+    }
+    return parseScalar(value);
+}
+
+// Parse a scalar: quoted string, boolean, number or plain string
+function parseScalar(value) {
+    if (/^".*"$/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return value.slice(1, -1);
+        }
+    }
+    if (/^'.*'$/.test(value)) return value.slice(1, -1).replace(/''/g, '\'');
+    if (value === 'true' || value === 'false') return value === 'true';
+    if (/^-?\d+(?:\.\d+)?$/.test(value)) return Number(value);
+    return value;
+}
+
+// Format a scalar, quoting strings YAML would read as something else
+function formatScalar(value) {
+    const text = String(value);
+    if (typeof value !== 'string') return text;
+    if (text === '' || /^[\s\-?:,[\]{}#&*!|>'"%@`]|:\s|\s#|\s$|^(?:true|false|null|~|-?\d+(?:\.\d+)?)$/.test(text)) {
+        return JSON.stringify(text);
+    }
+    return text;
+}
+
+// Format a `key: value` line
+function formatEntry(key, value) {
+    if (Array.isArray(value)) {
+        return `${key}: [${value.map(formatScalar).join(', ')}]`;
+    }
+    return `${key}: ${formatScalar(value)}`;
+}
+
+// Set front matter fields in a document, creating the front matter if needed.
+// Empty values remove the field; other fields and comments are kept as they are.
+export function updateFrontMatter(source, changes) {
+    const frontMatter = splitFrontMatter(source);
+    const lines = frontMatter && frontMatter.raw ? frontMatter.raw.split('\n') : [];
+    const body = frontMatter ? source.slice(frontMatter.length) : source;
+
+    Object.entries(changes).forEach(([key, value]) => {
+        const empty = value === null || value === undefined || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+        const start = lines.findIndex(line => {
+            const pair = line.match(reKeyValue);
+            return pair && pair[1] === key;
+        });
+
+        if (start === -1) {
+            if (!empty) lines.push(formatEntry(key, value));
+            return;
+        }
+
+        // The field continues over indented lines and block list items
+        let end = start + 1;
+        while (end < lines.length && (reListItem.test(lines[end]) || /^[ \t]/.test(lines[end]))) {
+            end++;
+        }
+        lines.splice(start, end - start, ...(empty ? [] : [formatEntry(key, value)]));
+    });
+
+    if (!lines.some(line => reKeyValue.test(line))) {
+        return body;
+    }
+    return `---\n${lines.join('\n')}\n---\n${body}`;
+}
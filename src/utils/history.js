@@ -0,0 +1,126 @@
+// Revision history for MarkMirror Mobile
+// Keeps per-document content snapshots and computes line diffs between revisions
+
+export class RevisionHistory {
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.options = {
+            limit: 50, // Snapshots kept per document
+            ...options
+        };
+    }
+
+    // Generate unique snapshot ID
+    generateId() {
+        return 'rev_' + Date.now() + '_' + Math.random().toString(36).substr(2, 6);
+    }
+
+    // List snapshots of a document, newest first
+    list(documentId) {
+        return this.storage.loadHistory(documentId)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // Get a single snapshot
+    get(documentId, snapshotId) {
+        return this.list(documentId).find(snapshot => snapshot.id === snapshotId) || null;
+    }
+
+    // Store a snapshot unless the content matches the latest one
+    snapshot(documentId, content, reason = 'auto') {
+        if (!documentId || typeof content !== 'string') return null;
+
+        const snapshots = this.list(documentId);
+        if (snapshots.length > 0 && snapshots[0].content === content) {
+            return null;
+        }
+
+        const snapshot = {
+            id: this.generateId(),
+            createdAt: Date.now(),
+            reason,
+            content
+        };
+
+        snapshots.unshift(snapshot);
+        this.storage.saveHistory(documentId, snapshots.slice(0, this.options.limit));
+        return snapshot;
+    }
+
+    // Remove a snapshot
+    remove(documentId, snapshotId) {
+        const snapshots = this.list(documentId).filter(snapshot => snapshot.id !== snapshotId);
+        return this.storage.saveHistory(documentId, snapshots);
+    }
+}
+
+// Line-level diff between two texts.
+// Returns [{ type: 'equal' | 'add' | 'remove', text }] in document order.
+export function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+
+    // Skip the common prefix and suffix to keep the LCS table small
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const result = oldLines.slice(0, start).map(text => ({ type: 'equal', text }));
+    const oldMiddle = oldLines.slice(start, oldEnd);
+    const newMiddle = newLines.slice(start, newEnd);
+
+    // Very large changes are shown as a full replacement
+    if (oldMiddle.length * newMiddle.length > 4000000) {
+        oldMiddle.forEach(text => result.push({ type: 'remove', text }));
+        newMiddle.forEach(text => result.push({ type: 'add', text }));
+    } else {
+        result.push(...diffMiddle(oldMiddle, newMiddle));
+    }
+
+    oldLines.slice(oldEnd).forEach(text => result.push({ type: 'equal', text }));
+    return result;
+}
+
+// Longest common subsequence diff of two line arrays
+function diffMiddle(oldLines, newLines) {
+    const n = oldLines.length;
+    const m = newLines.length;
+    const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i][j] = oldLines[i] === newLines[j]
+                ? table[i + 1][j + 1] + 1
+                : Math.max(table[i + 1][j], table[i][j + 1]);
+        }
+    }
+
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldLines[i] === newLines[j]) {
+            result.push({ type: 'equal', text: oldLines[i] });
+            i++;
+            j++;
+        } else if (table[i + 1][j] >= table[i][j + 1]) {
+            result.push({ type: 'remove', text: oldLines[i] });
+            i++;
+        } else {
+            result.push({ type: 'add', text: newLines[j] });
+            j++;
+        }
+    }
+    while (i < n) result.push({ type: 'remove', text: oldLines[i++] });
+    while (j < m) result.push({ type: 'add', text: newLines[j++] });
+
+    return result;
+}
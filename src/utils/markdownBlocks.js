@@ -0,0 +1,1175 @@
+// Block-level Markdown parser for MarkMirror Mobile
+// Builds the block tree (CommonMark container/leaf blocks + GFM tables) with source line ranges.
+// Every node gets `map: [startLine, endLine)` with 0-based lines, end exclusive.
+
+import { OPENTAG, CLOSETAG, isSpaceOrTab, unescapeString } from './markdownCommon.js';
+import { splitFrontMatter } from './frontMatter.js';
+import { InlineParser } from './markdownInline.js';
+
+const reNonSpace = /[^ \t\f\v\r\n]/;
+const reMaybeSpecial = /^[#`~*+_=<>0-9|:$[-]/;
+const reThematicBreak = /^(?:\*[ \t]*){3,}$|^(?:_[ \t]*){3,}$|^(?:-[ \t]*){3,}$/;
+const reATXHeadingMarker = /^#{1,6}(?:[ \t]+|$)/;
+const reCodeFence = /^`{3,}(?!.*`)|^~{3,}/;
+const reClosingCodeFence = /^(?:`{3,}|~{3,})(?=[ \t]*$)/;
+const reMathFence = /^\$\$[ \t]*$/;
+const reMathLine = /^\$\$(.*\S)[ \t]*\$\$[ \t]*$/;
+const reSetextHeadingLine = /^(?:=+|-+)[ \t]*$/;
+const reBulletListMarker = /^[*+-]/;
+const reOrderedListMarker = /^(\d{1,9})([.)])/;
+const reFootnoteDefinition = /^\[\^([^\]\s]+)\]:[ \t]*/;
+const reDefinitionMarker = /^:[ \t]+(?=\S)/;
+const reAbbreviation = /^\*\[([^\]]+)\]:[ \t]*(.*)$/;
+const reTableDelimiterRow = /^\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+const reHtmlBlockOpen = [
+    /./, // unused, block types start at 1
+    /^<(?:script|pre|textarea|style)(?:\s|>|$)/i,
+    /^<!--/,
+    /^<[?]/,
+    /^<![A-Za-z]/,
+    /^<!\[CDATA\[/,
+    /^<[/]?(?:address|article|aside|base|basefont|blockquote|body|caption|center|col|colgroup|dd|details|dialog|dir|div|dl|dt|fieldset|figcaption|figure|footer|form|frame|frameset|h[123456]|head|header|hr|html|iframe|legend|li|link|main|menu|menuitem|nav|noframes|ol|optgroup|option|p|param|search|section|summary|table|tbody|td|tfoot|th|thead|title|tr|track|ul)(?:\s|[/]?[>]|$)/i,
+    new RegExp('^(?:' + OPENTAG + '|' + CLOSETAG + ')\\s*$', 'i')
+];
+
+const reHtmlBlockClose = [
+    /./, // unused
+    /<\/(?:script|pre|textarea|style)>/i,
+    /-->/,
+    /\?>/,
+    />/,
+    /\]\]>/
+];
+
+// Split a table row into raw cell strings.
+// Escaped pipes and pipes inside code spans do not separate cells; cells keep their source text.
+export function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let current = '';
+    for (let i = 0; i < row.length; i++) {
+        const char = row[i];
+        if (char === '\\' && row[i + 1] !== undefined) {
+            current += char + row[i + 1];
+            i++;
+        } else if (char === '`') {
+            // Copy a code span with its matching backtick run as a whole
+            const ticks = row.slice(i).match(/^`+/)[0];
+            const close = findClosingTicks(row, i + ticks.length, ticks.length);
+            const end = close === -1 ? i + ticks.length : close + ticks.length;
+            current += row.slice(i, end);
+            i = end - 1;
+        } else if (char === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+// Position of a backtick run of exactly `length` at or after `from`, or -1
+function findClosingTicks(row, from, length) {
+    const re = /`+/g;
+    re.lastIndex = from;
+    let match;
+    while ((match = re.exec(row)) !== null) {
+        if (match[0].length === length) return match.index;
+    }
+    return -1;
+}
+
+// Parse column alignment from a table delimiter row
+export function parseTableAlignment(line) {
+    return splitTableRow(line).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return null;
+    });
+}
+
+// Lists continue only with the same bullet character or ordered delimiter
+function listsMatch(listData, itemData) {
+    return listData.type === itemData.type &&
+        listData.delimiter === itemData.delimiter &&
+        listData.bulletChar === itemData.bulletChar;
+}
+
+// Per-type behaviour: continue() returns 0 when the line matches, 1 when it does not,
+// 2 when the line was consumed completely (closing code fence)
+const blocks = {
+    document: {
+        isContainer: true,
+        continue: () => 0,
+        finalize: () => {},
+        canContain: type => type !== 'list_item',
+        acceptsLines: false
+    },
+
+    list: {
+        isContainer: true,
+        continue: () => 0,
+        finalize: (parser, block) => {
+            // A list is loose if any of its items (or their children) are separated by blank lines
+            block.tight = !block.children.some((item, index) => {
+                const next = block.children[index + 1];
+                if (next && next.map[0] > item._end) return true;
+
+                return item.children.some((child, childIndex) => {
+                    const nextChild = item.children[childIndex + 1];
+                    return nextChild && nextChild.map[0] > child._end;
+                });
+            });
+        },
+        canContain: type => type === 'list_item',
+        acceptsLines: false
+    },
+
+    list_item: {
+        isContainer: true,
+        continue: (parser, container) => {
+            if (parser.blank) {
+                // An empty list item cannot continue past a blank line
+                if (container.children.length === 0) return 1;
+                parser.advanceNextNonspace();
+            } else if (parser.indent >= container._markerOffset + container._padding) {
+                parser.advanceOffset(container._markerOffset + container._padding, true);
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            // GFM task list item: "[ ]" or "[x]" at the start of the first paragraph
+            const first = block.children[0];
+            const match = first && first.type === 'paragraph' && first.content.match(/^\[([ xX])\](?=[ \t\n]|$)/);
+            if (match) {
+                block.task = true;
+                block.checked = match[1] !== ' ';
+                first.content = first.content.slice(match[0].length).replace(/^[ \t]+/, '');
+            }
+        },
+        canContain: type => type !== 'list_item',
+        acceptsLines: false
+    },
+
+    footnote_definition: {
+        isContainer: true,
+        continue: (parser, container) => {
+            // Continuation lines are indented by four spaces
+            if (parser.blank) {
+                if (container.children.length === 0) return 1;
+                parser.advanceNextNonspace();
+            } else if (parser.indent >= 4) {
+                parser.advanceOffset(4, true);
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: () => {},
+        canContain: type => type !== 'list_item' && type !== 'footnote_definition',
+        acceptsLines: false
+    },
+
+    dl: {
+        isContainer: true,
+        // Ends when a block other than a definition is added
+        continue: () => 0,
+        finalize: (parser, block) => {
+            // A definition is loose if a blank line separates it from its term or its own blocks
+            block.children.forEach((child, index) => {
+                if (child.type !== 'dd') return;
+
+                const previous = block.children[index - 1];
+                child.tight = !(previous && child.map[0] > previous._end) && !child.children.some((grandchild, i) => {
+                    const next = child.children[i + 1];
+                    return next && next.map[0] > grandchild._end;
+                });
+            });
+        },
+        canContain: type => type === 'dt' || type === 'dd',
+        acceptsLines: false
+    },
+
+    dt: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    dd: {
+        isContainer: true,
+        continue: (parser, container) => {
+            if (parser.blank) {
+                if (container.children.length === 0) return 1;
+                parser.advanceNextNonspace();
+            } else if (parser.indent >= container._markerOffset + container._padding) {
+                parser.advanceOffset(container._markerOffset + container._padding, true);
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: () => {},
+        canContain: type => type !== 'list_item' && type !== 'dt' && type !== 'dd',
+        acceptsLines: false
+    },
+
+    abbreviation: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    // Created from the start of a closed paragraph, never open
+    link_definition: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    blockquote: {
+        isContainer: true,
+        continue: (parser) => {
+            const line = parser.currentLine;
+            if (!parser.indented && line.charAt(parser.nextNonspace) === '>') {
+                parser.advanceNextNonspace();
+                parser.advanceOffset(1, false);
+                if (isSpaceOrTab(line.charAt(parser.offset))) {
+                    parser.advanceOffset(1, true);
+                }
+                return 0;
+            }
+            return 1;
+        },
+        finalize: () => {},
+        canContain: type => type !== 'list_item',
+        acceptsLines: false
+    },
+
+    front_matter: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    heading: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    hr: {
+        continue: () => 1,
+        finalize: () => {},
+        canContain: () => false,
+        acceptsLines: false
+    },
+
+    code: {
+        continue: (parser, container) => {
+            const line = parser.currentLine;
+
+            if (container._fenced) {
+                const match = parser.indent <= 3 &&
+                    line.charAt(parser.nextNonspace) === container._fenceChar &&
+                    line.slice(parser.nextNonspace).match(reClosingCodeFence);
+
+                if (match && match[0].length >= container._fenceLength) {
+                    parser.markEnd(container);
+                    parser.finalize(container);
+                    return 2;
+                }
+
+                // Skip the indentation of the opening fence
+                let i = container._fenceOffset;
+                while (i > 0 && isSpaceOrTab(line.charAt(parser.offset))) {
+                    parser.advanceOffset(1, true);
+                    i--;
+                }
+            } else if (parser.indent >= 4) {
+                parser.advanceOffset(4, true);
+            } else if (parser.blank) {
+                parser.advanceNextNonspace();
+            } else {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            const lines = block._lines;
+
+            if (block._fenced) {
+                // The first line holds the info string
+                block.info = unescapeString(lines.shift().trim());
+                block.lang = block.info.split(/\s+/)[0];
+            } else {
+                block.info = '';
+                block.lang = '';
+                while (lines.length > 0 && !reNonSpace.test(lines[lines.length - 1])) {
+                    lines.pop();
+                }
+            }
+
+            block.fenced = Boolean(block._fenced);
+            if (block._fenced) {
+                block.markup = block._fenceChar.repeat(block._fenceLength);
+            }
+            block.content = lines.length > 0 ? lines.join('\n') + '\n' : '';
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    math_block: {
+        continue: (parser, container) => {
+            if (parser.indent <= 3 && reMathFence.test(parser.currentLine.slice(parser.nextNonspace))) {
+                parser.markEnd(container);
+                parser.finalize(container);
+                return 2;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            // The first line holds whatever followed the opening "$$"
+            block.content = block._lines.join('\n').trim();
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    html: {
+        continue: (parser, container) => (
+            parser.blank && (container._htmlBlockType === 6 || container._htmlBlockType === 7) ? 1 : 0
+        ),
+        finalize: (parser, block) => {
+            block.content = block._lines.join('\n').replace(/\s+$/, '');
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    paragraph: {
+        continue: parser => (parser.blank ? 1 : 0),
+        finalize: (parser, block) => {
+            parser.extractReferences(block);
+            if (block._lines.length === 0) {
+                // The paragraph held only link reference definitions
+                const parent = parser.parents.get(block);
+                parent.children.splice(parent.children.indexOf(block), 1);
+                return;
+            }
+            block.content = block._lines.join('\n').trim();
+        },
+        canContain: () => false,
+        acceptsLines: true
+    },
+
+    table: {
+        isContainer: true,
+        continue: (parser) => {
+            if (parser.blank) return 1;
+
+            // Another block structure ends the table
+            const rest = parser.currentLine.slice(parser.nextNonspace);
+            if (!parser.indented && (
+                rest[0] === '>' ||
+                reATXHeadingMarker.test(rest) ||
+                reCodeFence.test(rest) ||
+                reThematicBreak.test(rest) ||
+                reHtmlBlockOpen.slice(1, 7).some(re => re.test(rest))
+            )) {
+                return 1;
+            }
+            return 0;
+        },
+        finalize: (parser, block) => {
+            block.children = block._lines
+                .map((line, index) => ({ cells: splitTableRow(line), number: block._lineNumbers[index], index }))
+                .filter(row => row.index !== 1) // delimiter row
+                .map(row => ({
+                    type: 'table_row',
+                    map: [row.number, row.number + 1],
+                    header: row.index === 0,
+                    // Rows are cut or padded with empty cells to the header width
+                    children: block.align.map((align, column) => ({
+                        type: 'table_cell',
+                        map: [row.number, row.number + 1],
+                        header: row.index === 0,
+                        align,
+                        content: (row.cells[column] || '').replace(/\\\|/g, '|')
+                    }))
+                }));
+        },
+        canContain: () => false,
+        acceptsLines: true
+    }
+};
+
+// Parse a list marker at the current position, advancing past it
+function parseListMarker(parser, container) {
+    const line = parser.currentLine;
+    const rest = line.slice(parser.nextNonspace);
+    const data = {
+        type: null,
+        bulletChar: null,
+        start: null,
+        delimiter: null,
+        padding: null,
+        markerOffset: parser.indent
+    };
+
+    if (parser.indent >= 4) return null;
+
+    let match;
+    if ((match = rest.match(reBulletListMarker))) {
+        data.type = 'bullet';
+        data.bulletChar = match[0][0];
+    } else if ((match = rest.match(reOrderedListMarker)) &&
+        (container.type !== 'paragraph' || parseInt(match[1], 10) === 1)) {
+        data.type = 'ordered';
+        data.start = parseInt(match[1], 10);
+        data.delimiter = match[2];
+    } else {
+        return null;
+    }
+
+    // The marker must be followed by whitespace or the end of the line
+    const nextChar = line.charAt(parser.nextNonspace + match[0].length);
+    if (!(nextChar === '' || nextChar === '\t' || nextChar === ' ')) return null;
+
+    // An empty item cannot interrupt a paragraph
+    if (container.type === 'paragraph' && !reNonSpace.test(line.slice(parser.nextNonspace + match[0].length))) {
+        return null;
+    }
+
+    parser.advanceNextNonspace();
+    parser.advanceOffset(match[0].length, true);
+    const spacesStartColumn = parser.column;
+    const spacesStartOffset = parser.offset;
+
+    do {
+        parser.advanceOffset(1, true);
+    } while (parser.column - spacesStartColumn < 5 && isSpaceOrTab(line.charAt(parser.offset)));
+
+    const blankItem = line.charAt(parser.offset) === '';
+    const spacesAfterMarker = parser.column - spacesStartColumn;
+
+    if (spacesAfterMarker >= 5 || spacesAfterMarker < 1 || blankItem) {
+        // Content is indented code (or empty): only one space belongs to the marker
+        data.padding = match[0].length + 1;
+        parser.column = spacesStartColumn;
+        parser.offset = spacesStartOffset;
+        if (isSpaceOrTab(line.charAt(parser.offset))) {
+            parser.advanceOffset(1, true);
+        }
+    } else {
+        data.padding = match[0].length + spacesAfterMarker;
+    }
+
+    return data;
+}
+
+// Block starts: return 0 for no match, 1 for a new container, 2 for a new leaf block
+const blockStarts = [
+    // Blockquote
+    (parser) => {
+        if (parser.indented || parser.currentLine.charAt(parser.nextNonspace) !== '>') return 0;
+
+        parser.advanceNextNonspace();
+        parser.advanceOffset(1, false);
+        if (isSpaceOrTab(parser.currentLine.charAt(parser.offset))) {
+            parser.advanceOffset(1, true);
+        }
+        parser.closeUnmatchedBlocks();
+        parser.addChild('blockquote');
+        return 1;
+    },
+
+    // ATX heading
+    (parser) => {
+        const line = parser.currentLine;
+        const match = !parser.indented && line.slice(parser.nextNonspace).match(reATXHeadingMarker);
+        if (!match) return 0;
+
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        parser.closeUnmatchedBlocks();
+
+        const heading = parser.addChild('heading');
+        heading.level = match[0].trim().length;
+        heading.content = line.slice(parser.offset)
+            .replace(/^[ \t]*#+[ \t]*$/, '')
+            .replace(/[ \t]+#+[ \t]*$/, '')
+            .trim();
+        parser.advanceOffset(line.length - parser.offset);
+        return 2;
+    },
+
+    // Fenced code block
+    (parser) => {
+        const match = !parser.indented && parser.currentLine.slice(parser.nextNonspace).match(reCodeFence);
+        if (!match) return 0;
+
+        const fenceOffset = parser.indent;
+        parser.closeUnmatchedBlocks();
+
+        const code = parser.addChild('code');
+        code._fenced = true;
+        code._fenceLength = match[0].length;
+        code._fenceChar = match[0][0];
+        code._fenceOffset = fenceOffset;
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        return 2;
+    },
+
+    // Display math: "$$" on its own line up to a closing "$$" line, or "$$ ... $$" as a whole line.
+    // It does not interrupt paragraphs; other "$$" text is left to inline math.
+    (parser, container) => {
+        if (!parser.options.math || parser.indented || container.type === 'paragraph' || parser.isLazyParagraph()) return 0;
+
+        const rest = parser.currentLine.slice(parser.nextNonspace);
+        const singleLine = rest.match(reMathLine);
+        if (!singleLine && !reMathFence.test(rest)) return 0;
+
+        parser.closeUnmatchedBlocks();
+        const math = parser.addChild('math_block');
+        parser.advanceNextNonspace();
+        parser.advanceOffset(2, false);
+
+        if (singleLine) {
+            math._lines.push(singleLine[1]);
+            parser.finalize(math);
+            parser.advanceOffset(parser.currentLine.length - parser.offset);
+        }
+        return 2;
+    },
+
+    // HTML block
+    (parser, container) => {
+        if (parser.indented || parser.currentLine.charAt(parser.nextNonspace) !== '<') return 0;
+
+        const rest = parser.currentLine.slice(parser.nextNonspace);
+        for (let blockType = 1; blockType <= 7; blockType++) {
+            // Type 7 cannot interrupt a paragraph
+            if (reHtmlBlockOpen[blockType].test(rest) &&
+                (blockType < 7 || (container.type !== 'paragraph' && !parser.isLazyParagraph()))) {
+                parser.closeUnmatchedBlocks();
+                const html = parser.addChild('html');
+                html._htmlBlockType = blockType;
+                return 2;
+            }
+        }
+        return 0;
+    },
+
+    // Footnote definition: "[^label]: text", continued by indented lines
+    (parser, container) => {
+        if (!parser.options.footnotes || parser.indented || container.type === 'paragraph') return 0;
+
+        const match = parser.currentLine.slice(parser.nextNonspace).match(reFootnoteDefinition);
+        if (!match) return 0;
+
+        parser.closeUnmatchedBlocks();
+        const footnote = parser.addChild('footnote_definition');
+        footnote.label = match[1];
+        parser.advanceNextNonspace();
+        parser.advanceOffset(match[0].length, false);
+        return 1;
+    },
+
+    // Abbreviation definition: "*[HTML]: Hyper Text Markup Language"
+    (parser) => {
+        if (!parser.options.abbreviations || parser.indented) return 0;
+
+        const match = parser.currentLine.slice(parser.nextNonspace).match(reAbbreviation);
+        if (!match || !match[1].trim()) return 0;
+
+        parser.closeUnmatchedBlocks();
+        const abbreviation = parser.addChild('abbreviation');
+        abbreviation.label = match[1].trim();
+        abbreviation.title = match[2].trim();
+        parser.advanceOffset(parser.currentLine.length - parser.offset);
+        return 2;
+    },
+
+    // GFM table: the last paragraph line is the header, this line the delimiter row
+    (parser, container) => {
+        if (parser.indented || container.type !== 'paragraph') return 0;
+
+        const rest = parser.currentLine.slice(parser.nextNonspace);
+        const header = container._lines[container._lines.length - 1];
+        if (!reTableDelimiterRow.test(rest) || !header.includes('|')) return 0;
+
+        const align = parseTableAlignment(rest);
+        if (splitTableRow(header).length !== align.length) return 0;
+
+        parser.closeUnmatchedBlocks();
+
+        // Detach the header line from the paragraph
+        container._lines.pop();
+        const headerLine = container._lineNumbers.pop();
+        if (container._lines.length === 0) {
+            parser.removeBlock(container);
+        } else {
+            container._end = headerLine;
+            parser.finalize(container);
+        }
+
+        const table = parser.addChild('table');
+        table.map[0] = headerLine;
+        table.align = align;
+        table._lines.push(header);
+        table._lineNumbers.push(headerLine);
+        parser.advanceNextNonspace();
+        return 2;
+    },
+
+    // Setext heading
+    (parser, container) => {
+        const match = !parser.indented && container.type === 'paragraph' &&
+            parser.currentLine.slice(parser.nextNonspace).match(reSetextHeadingLine);
+        if (!match) return 0;
+
+        // Link reference definitions are not part of the heading text
+        parser.extractReferences(container);
+        if (container._lines.length === 0) return 0;
+
+        parser.closeUnmatchedBlocks();
+
+        const heading = parser.createNode('heading', container.map[0]);
+        heading.level = match[0][0] === '=' ? 1 : 2;
+        heading.content = container._lines.join('\n').trim();
+        parser.replaceBlock(container, heading);
+        parser.advanceOffset(parser.currentLine.length - parser.offset);
+        return 2;
+    },
+
+    // Definition: ": text" after a term paragraph (directly or after one blank line) or another definition
+    (parser, container) => {
+        if (!parser.options.definitionLists || parser.indented) return 0;
+
+        const match = parser.currentLine.slice(parser.nextNonspace).match(reDefinitionMarker);
+        if (!match) return 0;
+
+        const previous = parser.lastChild(container);
+        let term = null;
+        if (container.type === 'paragraph') {
+            term = container;
+        } else if (container.type !== 'dl') {
+            if (!previous || previous.type !== 'paragraph' || previous._open || previous._end !== parser.lineNumber - 1) {
+                return 0;
+            }
+            term = previous;
+        }
+
+        parser.closeUnmatchedBlocks();
+        if (term) {
+            parser.startDefinitionList(term);
+        }
+
+        const markerOffset = parser.indent;
+        parser.advanceNextNonspace();
+        const markerColumn = parser.column;
+        parser.advanceOffset(match[0].length, true);
+
+        const definition = parser.addChild('dd');
+        definition._markerOffset = markerOffset;
+        definition._padding = Math.min(parser.column - markerColumn, 4);
+        return 1;
+    },
+
+    // Thematic break
+    (parser) => {
+        if (parser.indented || !reThematicBreak.test(parser.currentLine.slice(parser.nextNonspace))) return 0;
+
+        parser.closeUnmatchedBlocks();
+        parser.addChild('hr');
+        parser.advanceOffset(parser.currentLine.length - parser.offset);
+        return 2;
+    },
+
+    // List item
+    (parser, container) => {
+        if (parser.indented && container.type !== 'list') return 0;
+
+        const data = parseListMarker(parser, container);
+        if (!data) return 0;
+
+        parser.closeUnmatchedBlocks();
+
+        // Start a new list unless the item continues the current one
+        if (parser.tip.type !== 'list' || !listsMatch(parser.tip._listData, data)) {
+            const list = parser.addChild('list');
+            list._listData = data;
+            list.ordered = data.type === 'ordered';
+            list.start = data.start;
+            list.markup = data.bulletChar || data.delimiter;
+        }
+
+        const item = parser.addChild('list_item');
+        item._markerOffset = data.markerOffset;
+        item._padding = data.padding;
+        item.markup = data.bulletChar || data.delimiter;
+        if (data.type === 'ordered') {
+            item.number = data.start;
+        }
+        return 1;
+    },
+
+    // Indented code block
+    (parser) => {
+        if (!parser.indented || parser.tip.type === 'paragraph' || parser.blank) return 0;
+
+        parser.advanceOffset(4, true);
+        parser.closeUnmatchedBlocks();
+        parser.addChild('code');
+        return 2;
+    }
+];
+
+export class BlockParser {
+    constructor(options = {}) {
+        this.options = {
+            maxNesting: 100, // Deeper block quotes and lists stay paragraph text, like markdown-it
+            ...options
+        };
+        this.blocks = blocks;
+        this.blockStarts = blockStarts;
+        this.customStarts = 0; // Block starts added by plugins, tried before the built-in ones
+        this.referenceParser = new InlineParser(this.options);
+    }
+
+    // Register a block type from a plugin: { type, start, continue, finalize, canContain, isContainer, acceptsLines }.
+    // `start(parser, container)` returns 0 (no match), 1 (container started) or 2 (leaf started), like `blockStarts`;
+    // the other members default to a single-line leaf block (see `blocks`).
+    addBlock({ type, start, ...behaviour }) {
+        this.blocks = {
+            ...this.blocks,
+            [type]: {
+                continue: () => 1,
+                finalize: () => {},
+                canContain: () => false,
+                acceptsLines: false,
+                ...behaviour
+            }
+        };
+
+        if (start) {
+            this.blockStarts = [...this.blockStarts];
+            this.blockStarts.splice(this.customStarts++, 0, start);
+        }
+    }
+
+    // Parse normalized Markdown source into a document node
+    parse(source) {
+        const lines = source.split('\n');
+        if (lines.length > 1 && lines[lines.length - 1] === '') {
+            lines.pop();
+        }
+
+        this.parents = new Map();
+        this.doc = this.createNode('document', 0);
+        this.tip = this.doc;
+        this.oldtip = this.doc;
+        this.lastMatchedContainer = this.doc;
+        this.allClosed = true;
+
+        const firstLine = this.parseFrontMatter(source);
+        lines.forEach((line, index) => {
+            if (index >= firstLine) this.incorporateLine(line, index);
+        });
+
+        while (this.tip) {
+            this.finalize(this.tip);
+        }
+
+        this.doc._end = lines.length;
+        this.cleanup(this.doc);
+        return this.doc;
+    }
+
+    // YAML front matter at the very top of the document; returns the first line after it
+    parseFrontMatter(source) {
+        const frontMatter = this.options.frontMatter && splitFrontMatter(source);
+        if (!frontMatter) return 0;
+
+        const node = this.createNode('front_matter', 0);
+        node.content = frontMatter.raw;
+        node.data = frontMatter.data;
+        node._open = false;
+        node._end = frontMatter.lineCount;
+        this.doc.children.push(node);
+        this.parents.set(node, this.doc);
+        return frontMatter.lineCount;
+    }
+
+    // Move link reference definitions at the start of a paragraph into link_definition nodes before it
+    extractReferences(paragraph) {
+        const parent = this.parents.get(paragraph);
+        let index = parent.children.indexOf(paragraph);
+        let content = paragraph._lines.join('\n');
+        let definition;
+
+        while (paragraph._lines.length > 0 && (definition = this.referenceParser.parseReference(content))) {
+            const consumed = content.slice(0, definition.length);
+            const lineCount = Math.min(consumed.split('\n').length - (consumed.endsWith('\n') ? 1 : 0), paragraph._lines.length);
+            const node = this.createNode('link_definition', paragraph._lineNumbers[0]);
+            node.label = definition.label;
+            node.href = definition.href;
+            node.title = definition.title;
+            // Source of the definition, since `href` is normalized
+            node.raw = consumed.replace(/\n$/, '');
+            node._open = false;
+            node._end = paragraph._lineNumbers[lineCount - 1] + 1;
+
+            parent.children.splice(index, 0, node);
+            this.parents.set(node, parent);
+            index += 1;
+
+            paragraph._lines.splice(0, lineCount);
+            paragraph._lineNumbers.splice(0, lineCount);
+            content = content.slice(definition.length);
+        }
+
+        if (paragraph._lineNumbers.length > 0) {
+            paragraph.map[0] = paragraph._lineNumbers[0];
+        }
+    }
+
+    // Turn the lines of a term paragraph into <dt> nodes of a definition list.
+    // A list right before the paragraph is continued, so groups separated by blank lines stay together.
+    startDefinitionList(term) {
+        const parent = this.parents.get(term);
+        const index = parent.children.indexOf(term);
+        const previous = parent.children[index - 1];
+
+        let list;
+        if (previous && previous.type === 'dl' && term.map[0] - previous._end <= 1) {
+            parent.children.splice(index, 1);
+            list = previous;
+        } else {
+            list = this.createNode('dl', term.map[0]);
+            parent.children[index] = list;
+            this.parents.set(list, parent);
+        }
+
+        term._lines.forEach((line, i) => {
+            const dt = this.createNode('dt', term._lineNumbers[i]);
+            dt.content = line.trim();
+            dt._open = false;
+            list.children.push(dt);
+            this.parents.set(dt, list);
+        });
+
+        list._open = true;
+        this.tip = list;
+    }
+
+    // Create a block node
+    createNode(type, line) {
+        const node = { type, map: [line, line + 1] };
+        if (this.blocks[type].isContainer) {
+            node.children = [];
+        }
+
+        node._open = true;
+        node._lines = [];
+        node._lineNumbers = [];
+        node._end = line + 1;
+        return node;
+    }
+
+    // Analyze a line of input and update the block tree
+    incorporateLine(line, lineNumber) {
+        let allMatched = true;
+        let container = this.doc;
+
+        this.oldtip = this.tip;
+        this.offset = 0;
+        this.column = 0;
+        this.blank = false;
+        this.partiallyConsumedTab = false;
+        this.lineNumber = lineNumber;
+        this.currentLine = line.replace(/\0/g, '\uFFFD');
+
+        // Match continuation markers of the open containers
+        let lastChild;
+        let depth = 0;
+        while ((lastChild = this.lastChild(container)) && lastChild._open) {
+            container = lastChild;
+            depth += 1;
+            this.findNextNonspace();
+
+            const result = this.blocks[container.type].continue(this, container);
+            if (result === 2) return;
+            if (result === 1) {
+                allMatched = false;
+                container = this.parents.get(container);
+                depth -= 1;
+                break;
+            }
+        }
+
+        this.allClosed = container === this.oldtip;
+        this.lastMatchedContainer = container;
+
+        // Look for new block starts unless the container only takes lines (code, html, table)
+        let matchedLeaf = container.type !== 'paragraph' && this.blocks[container.type].acceptsLines;
+        while (!matchedLeaf) {
+            this.findNextNonspace();
+
+            // Past the nesting limit the rest of the line is text, so rendering cannot overflow the stack
+            if (depth >= this.options.maxNesting) {
+                this.advanceNextNonspace();
+                break;
+            }
+
+            if (!this.indented && this.customStarts === 0 && !reMaybeSpecial.test(this.currentLine.slice(this.nextNonspace))) {
+                this.advanceNextNonspace();
+                break;
+            }
+
+            let started = 0;
+            for (const blockStart of this.blockStarts) {
+                started = blockStart(this, container);
+                if (started) break;
+            }
+
+            if (started === 1) {
+                container = this.tip;
+                depth = this.nestingDepth(container);
+            } else if (started === 2) {
+                container = this.tip;
+                depth = this.nestingDepth(container);
+                matchedLeaf = true;
+            } else {
+                this.advanceNextNonspace();
+                break;
+            }
+        }
+
+        if (!allMatched && !this.allClosed && !this.blank && this.tip.type === 'paragraph') {
+            // Lazy paragraph continuation
+            this.addLine();
+        } else {
+            this.closeUnmatchedBlocks();
+
+            if (this.blocks[container.type].acceptsLines) {
+                this.addLine();
+
+                // HTML blocks of types 1-5 end on the line containing the end condition
+                const htmlType = container._htmlBlockType;
+                if (container.type === 'html' && htmlType >= 1 && htmlType <= 5 &&
+                    reHtmlBlockClose[htmlType].test(this.currentLine.slice(this.offset))) {
+                    this.markEnd(container);
+                    this.finalize(container);
+                    return;
+                }
+            } else if (this.offset < this.currentLine.length && !this.blank) {
+                this.addChild('paragraph');
+                this.advanceNextNonspace();
+                this.addLine();
+            }
+        }
+
+        // Blank lines only extend fenced code blocks and block quotes (a bare ">" line)
+        if (!this.blank || (this.tip.type === 'code' && this.tip._fenced)) {
+            this.markEnd(this.tip);
+        } else if (container.type === 'blockquote') {
+            this.markEnd(container);
+        }
+    }
+
+    // Check whether the current line would continue a paragraph lazily
+    isLazyParagraph() {
+        return !this.allClosed && !this.blank && this.tip.type === 'paragraph';
+    }
+
+    // Number of blocks containing a block, up to the document
+    nestingDepth(node) {
+        let depth = 0;
+        for (let parent = node; parent !== this.doc; parent = this.parents.get(parent)) {
+            depth += 1;
+        }
+        return depth;
+    }
+
+    // Last child of a container block
+    lastChild(node) {
+        return node.children && node.type !== 'table' ? node.children[node.children.length - 1] : undefined;
+    }
+
+    // Add the rest of the current line to the tip block
+    addLine() {
+        let text = this.currentLine.slice(this.offset);
+
+        if (this.partiallyConsumedTab) {
+            // Replace the rest of a partially consumed tab with spaces
+            this.offset += 1;
+            const charsToTab = 4 - (this.column % 4);
+            text = ' '.repeat(charsToTab) + this.currentLine.slice(this.offset);
+        }
+
+        this.tip._lines.push(text);
+        this.tip._lineNumbers.push(this.lineNumber);
+    }
+
+    // Add a block as the child of the tip, closing blocks that cannot contain it
+    addChild(type) {
+        while (!this.blocks[this.tip.type].canContain(type)) {
+            this.finalize(this.tip);
+        }
+
+        const node = this.createNode(type, this.lineNumber);
+        this.tip.children.push(node);
+        this.parents.set(node, this.tip);
+        this.tip = node;
+        return node;
+    }
+
+    // Replace an open block with another one (paragraph -> setext heading)
+    replaceBlock(oldNode, newNode) {
+        const parent = this.parents.get(oldNode);
+        parent.children[parent.children.indexOf(oldNode)] = newNode;
+        this.parents.set(newNode, parent);
+        this.tip = newNode;
+    }
+
+    // Remove an open block that turned out to be empty
+    removeBlock(node) {
+        const parent = this.parents.get(node);
+        parent.children.splice(parent.children.indexOf(node), 1);
+        this.tip = parent;
+    }
+
+    // Extend the line range of a block and its ancestors to the current line
+    markEnd(node) {
+        for (let current = node; current; current = this.parents.get(current)) {
+            current._end = Math.max(current._end, this.lineNumber + 1);
+        }
+    }
+
+    // Close a block
+    finalize(block) {
+        block._open = false;
+        this.blocks[block.type].finalize(this, block);
+        this.tip = this.parents.get(block) || null;
+    }
+
+    // Close a block together with its open children, e.g. on a closing fence of a container
+    closeBlock(block) {
+        while (this.tip && this.tip !== block) {
+            this.finalize(this.tip);
+        }
+        this.markEnd(block);
+        this.finalize(block);
+    }
+
+    // Close blocks that were not matched by the current line
+    closeUnmatchedBlocks() {
+        if (this.allClosed) return;
+
+        while (this.oldtip !== this.lastMatchedContainer) {
+            const parent = this.parents.get(this.oldtip);
+            this.finalize(this.oldtip);
+            this.oldtip = parent;
+        }
+        this.allClosed = true;
+    }
+
+    // Find the next non-space character, tracking columns for tabs
+    findNextNonspace() {
+        const line = this.currentLine;
+        let i = this.offset;
+        let columns = this.column;
+        let char;
+
+        while ((char = line.charAt(i)) !== '') {
+            if (char === ' ') {
+                i++;
+                columns++;
+            } else if (char === '\t') {
+                i++;
+                columns += 4 - (columns % 4);
+            } else {
+                break;
+            }
+        }
+
+        this.blank = char === '';
+        this.nextNonspace = i;
+        this.nextNonspaceColumn = columns;
+        this.indent = columns - this.column;
+        this.indented = this.indent >= 4;
+    }
+
+    // Move to the next non-space character
+    advanceNextNonspace() {
+        this.offset = this.nextNonspace;
+        this.column = this.nextNonspaceColumn;
+        this.partiallyConsumedTab = false;
+    }
+
+    // Advance by characters, or by columns when a tab may be consumed partially
+    advanceOffset(count, columns = false) {
+        const line = this.currentLine;
+        let char;
+
+        while (count > 0 && (char = line[this.offset])) {
+            if (char === '\t') {
+                const charsToTab = 4 - (this.column % 4);
+                if (columns) {
+                    this.partiallyConsumedTab = charsToTab > count;
+                    const charsToAdvance = Math.min(charsToTab, count);
+                    this.column += charsToAdvance;
+                    this.offset += this.partiallyConsumedTab ? 0 : 1;
+                    count -= charsToAdvance;
+                } else {
+                    this.partiallyConsumedTab = false;
+                    this.column += charsToTab;
+                    this.offset += 1;
+                    count -= 1;
+                }
+            } else {
+                this.partiallyConsumedTab = false;
+                this.offset += 1;
+                this.column += 1;
+                count -= 1;
+            }
+        }
+    }
+
+    // Drop parser state and fix final line ranges
+    cleanup(node) {
+        if (node._end !== undefined) {
+            node.map[1] = Math.max(node._end, node.map[0] + 1);
+        }
+
+        Object.keys(node).forEach(key => {
+            if (key.startsWith('_')) {
+                delete node[key];
+            }
+        });
+
+        if (node.children) {
+            node.children.forEach(child => this.cleanup(child));
+        }
+    }
+}
@@ -0,0 +1,557 @@
+// Formatting commands for MarkMirror Mobile
+// Toolbar and list editing commands as plain text edits, so both editors behave the same. DOM-free, like the parser.
+//
+// A command gets the editor state { text, from, to } (selection offsets) and returns an edit
+// { from, to, insert, selection: { from, to } } replacing text[from..to], or null when nothing changes.
+
+import { InlineParser } from './markdownInline.js';
+import { MarkdownTable, findTable, escapePipes } from './markdownTable.js';
+import { walk, codeSpanEnd } from './markdownCommon.js';
+
+const inlineParser = new InlineParser({ math: true });
+
+// Quote markers, indentation, list marker, task box and heading marker in front of the text of a line
+const reLine = /^((?:[ \t]*>[ \t]?)*)([ \t]*)((?:[-+*]|\d{1,9}[.)])(?:[ \t]+|$))?(\[[ xX]\](?:[ \t]+|$))?(#{1,6}(?:[ \t]+|$))?(.*)$/;
+const reThematicBreak = /^(?:[ \t]*>[ \t]?)*[ \t]{0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+
+// Inline node types of the parser and the commands toggling them
+const EMPHASIS_COMMANDS = { strong: 'bold', em: 'italic', del: 'strikethrough' };
+
+// Split a line into its prefix parts and text
+function parseLine(line) {
+    const [, quote, indent, marker = '', task = '', heading = '', text] = line.match(reLine);
+    // A task box only counts after a list marker, and a heading marker only without one
+    return marker || !task
+        ? { quote, indent, marker, task, heading, text }
+        : { quote, indent, marker, task: '', heading: '', text: task + heading + text };
+}
+
+// Join the prefix parts and text of a line
+function formatLine({ quote, indent, marker, task, heading, text }) {
+    return `${quote}${indent}${marker}${task}${heading}${text}`.replace(/[ \t]+$/, '');
+}
+
+// Length of the prefix of a line, up to its text
+function prefixLength(line) {
+    const { text } = parseLine(line);
+    return line.length - text.length;
+}
+
+// Whole lines touched by the selection; a selection ending at the start of a line does not include it
+function getLineRange({ text, from, to }) {
+    const start = from > 0 ? text.lastIndexOf('\n', from - 1) + 1 : 0;
+    const last = to > from && text[to - 1] === '\n' ? to - 1 : to;
+    const newline = text.indexOf('\n', last);
+    const end = newline === -1 ? text.length : newline;
+    return { start, end, lines: text.slice(start, end).split('\n') };
+}
+
+// Replace the selected lines with transformed ones. The cursor keeps its place in the text of a single line,
+// several lines stay selected as a whole.
+function editLines(state, transform) {
+    const { start, end, lines } = getLineRange(state);
+    const updated = transform(lines);
+    const insert = updated.join('\n');
+    if (insert === state.text.slice(start, end)) return null;
+
+    if (lines.length > 1) {
+        return { from: start, to: end, insert, selection: { from: start, to: start + insert.length } };
+    }
+
+    const oldPrefix = prefixLength(lines[0]);
+    const newPrefix = prefixLength(updated[0]);
+    const map = offset => start + Math.min(
+        Math.max(newPrefix, offset - start - oldPrefix + newPrefix),
+        updated[0].length
+    );
+    return { from: start, to: end, insert, selection: { from: map(state.from), to: map(state.to) } };
+}
+
+// Toggle a prefix on all non-blank selected lines: removed when every line has it, added otherwise
+function toggleLines(state, has, add, remove) {
+    return editLines(state, lines => {
+        const parsed = lines.map(line => (line.trim() ? parseLine(line) : null));
+        const all = parsed.every(line => !line || has(line));
+        let index = 0;
+        return parsed.map((line, i) => {
+            if (!line) return lines[i];
+            return formatLine(all ? remove(line) : add(line, index++));
+        });
+    });
+}
+
+// Inline constructs of a line: { command, start, openEnd, closeStart, end } with offsets in the line
+function findInlineRanges(line) {
+    const ranges = [];
+
+    // Emphasis as the parser matches it, nested or not
+    const lead = line.length - line.trimStart().length;
+    inlineParser.parse(line).forEach(root => walk(root, node => {
+        if (EMPHASIS_COMMANDS[node.type] && node.markupOffsets) {
+            const [open, close] = node.markupOffsets.map(offset => lead + offset);
+            const size = node.markup.length;
+            ranges.push({ command: EMPHASIS_COMMANDS[node.type], start: open, openEnd: open + size, closeStart: close, end: close + size });
+        }
+    }));
+
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '\\') {
+            i++;
+        } else if (line[i] === '`') {
+            const end = codeSpanEnd(line, i);
+            const size = line.slice(i).match(/^`+/)[0].length;
+            if (end !== -1) {
+                ranges.push({ command: 'code', start: i, openEnd: i + size, closeStart: end - size, end });
+                i = end - 1;
+            } else {
+                i += size - 1;
+            }
+        }
+    }
+
+    for (const match of line.matchAll(/(!?)\[((?:\\.|[^\]\\])*)\]\([^)\n]*\)/g)) {
+        const openEnd = match.index + match[1].length + 1;
+        ranges.push({
+            command: match[1] ? 'image' : 'link',
+            start: match.index,
+            openEnd,
+            closeStart: openEnd + match[2].length,
+            end: match.index + match[0].length
+        });
+    }
+
+    return ranges;
+}
+
+// Innermost construct of a command around the selection, with offsets in the text
+function findEnclosing({ text, from, to }, command) {
+    const lineStart = from > 0 ? text.lastIndexOf('\n', from - 1) + 1 : 0;
+    const lineEnd = text.indexOf('\n', from) === -1 ? text.length : text.indexOf('\n', from);
+    if (to > lineEnd) return null;
+
+    const inside = ({ start, openEnd, closeStart, end }) => (
+        (openEnd <= from - lineStart && to - lineStart <= closeStart) ||
+        (start === from - lineStart && end === to - lineStart)
+    );
+    const range = findInlineRanges(text.slice(lineStart, lineEnd))
+        .filter(item => item.command === command && inside(item))
+        .sort((a, b) => (a.end - a.start) - (b.end - b.start))[0];
+    if (!range) return null;
+
+    return Object.fromEntries(Object.entries(range).map(([key, value]) => [key, key === 'command' ? value : lineStart + value]));
+}
+
+// Remove the markup of an inline construct, keeping its text and the selection inside it
+function unwrapInline({ from, to, text }, range) {
+    const inner = text.slice(range.openEnd, range.closeStart);
+    const map = offset => range.start + Math.min(Math.max(offset - range.openEnd, 0), inner.length);
+    return { from: range.start, to: range.end, insert: inner, selection: { from: map(from), to: map(to) } };
+}
+
+// Selection without surrounding whitespace, or the word at the cursor
+function getTarget({ text, from, to }) {
+    if (from === to) {
+        let start = from;
+        let end = to;
+        while (start > 0 && /[\p{L}\p{N}_]/u.test(text[start - 1])) start--;
+        while (end < text.length && /[\p{L}\p{N}_]/u.test(text[end])) end++;
+        return { start, end };
+    }
+
+    let start = from;
+    let end = to;
+    while (start < end && /\s/.test(text[start])) start++;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    return { start, end };
+}
+
+// Wrap the selection (or the word at the cursor) in markers, or remove the markers around it
+function toggleInline(state, command, marker) {
+    const enclosing = findEnclosing(state, command);
+    if (enclosing) {
+        return unwrapInline(state, enclosing);
+    }
+
+    const { text } = state;
+    const { start, end } = getTarget(state);
+    const selected = text.slice(start, end);
+
+    // Each line of a multi-line selection is wrapped on its own, after its list or quote markers
+    if (selected.includes('\n')) {
+        const insert = selected.split('\n').map((line, index) => {
+            const atLineStart = index > 0 || start === 0 || text[start - 1] === '\n';
+            const prefix = atLineStart ? line.slice(0, prefixLength(line)) : '';
+            const content = line.slice(prefix.length);
+            return content.trim() ? `${prefix}${marker}${content.trim()}${marker}` : line;
+        }).join('\n');
+        return { from: start, to: end, insert, selection: { from: start, to: start + insert.length } };
+    }
+
+    // The cursor stays where it was in the word, a selection stays on the wrapped text
+    const selection = state.from === state.to
+        ? { from: state.from + marker.length, to: state.from + marker.length }
+        : { from: start + marker.length, to: end + marker.length };
+    return { from: start, to: end, insert: `${marker}${selected}${marker}`, selection };
+}
+
+// Wrap the selection in a link or an image, or turn one back into its text
+function toggleLink(state, command) {
+    const enclosing = findEnclosing(state, command);
+    if (enclosing) {
+        return unwrapInline(state, enclosing);
+    }
+
+    const { start, end } = state.from === state.to ? { start: state.from, end: state.to } : getTarget(state);
+    const selected = state.text.slice(start, end);
+    const bang = command === 'image' ? '!' : '';
+
+    // A selected address becomes the destination, its text is left to type
+    if (/^(?:https?:\/\/|www\.)\S+$/.test(selected)) {
+        const insert = `${bang}[](${selected})`;
+        const cursor = start + bang.length + 1;
+        return { from: start, to: end, insert, selection: { from: cursor, to: cursor } };
+    }
+
+    const url = 'https://';
+    const insert = `${bang}[${selected}](${url})`;
+    const urlStart = start + bang.length + selected.length + 3;
+    return { from: start, to: end, insert, selection: { from: urlStart, to: urlStart + url.length } };
+}
+
+// Insert a block on its own lines after the current line, with blank lines around it
+function insertBlock({ text, from, to }, block, select = null) {
+    const { start, end } = getLineRange({ text, from, to });
+    const currentBlank = text.slice(start, end).trim() === '';
+    const position = currentBlank ? start : end;
+    const previousBlank = start < 2 || text[start - 2] === '\n';
+    const before = currentBlank ? (previousBlank ? '' : '\n') : '\n\n';
+    const nextLineStart = end + 1;
+    const nextBlank = end >= text.length || text.slice(nextLineStart).split('\n')[0].trim() === '';
+    const after = nextBlank ? '' : '\n';
+
+    const insert = `${before}${block}${after}`;
+    const blockStart = position + before.length;
+    const selection = select
+        ? { from: blockStart + select[0], to: blockStart + select[1] }
+        : { from: blockStart + block.length, to: blockStart + block.length };
+    return { from: position, to: currentBlank ? end : position, insert, selection };
+}
+
+// Table from the selected lines (cells separated by tabs), a table back to such lines, or a new table
+function toggleTable(state) {
+    const line = state.text.slice(0, state.from).split('\n').length - 1;
+    const found = state.text.split('\n')[line].includes('|') ? findTable(state.text, line) : null;
+    if (found) {
+        const { table } = found;
+        const insert = [table.header, ...table.rows].map(cells => cells.join('\t')).join('\n');
+        return { from: found.from, to: found.to, insert, selection: { from: found.from, to: found.from + insert.length } };
+    }
+
+    const { start, end, lines } = getLineRange(state);
+    const rows = state.from === state.to
+        ? []
+        : lines.filter(text => text.trim()).map(text => text.split('\t').map(cell => escapePipes(cell.trim())));
+
+    // Without selected text (a cursor or blank lines) a new table is inserted
+    if (rows.length === 0) {
+        const table = new MarkdownTable({ header: ['Столбец 1', 'Столбец 2'], rows: [['', '']] });
+        return insertBlock(state, table.format(), [2, 11]);
+    }
+
+    const width = Math.max(...rows.map(row => row.length));
+    const table = new MarkdownTable({ header: rows[0].concat(Array(width - rows[0].length).fill('')), rows: rows.slice(1) });
+    const insert = table.format();
+    return { from: start, to: end, insert, selection: { from: start, to: start + insert.length } };
+}
+
+// Insert a horizontal rule, or remove the one on the cursor line
+function toggleRule(state) {
+    const { text, from } = state;
+    const lines = text.split('\n');
+    const index = text.slice(0, from).split('\n').length - 1;
+    if (!reThematicBreak.test(lines[index])) {
+        return insertBlock(state, '---');
+    }
+
+    // The blank lines insertBlock() put around the rule collapse into one
+    const isBlank = i => i < 0 || i >= lines.length || !lines[i].trim();
+    let first = index;
+    let count = 1;
+    if (isBlank(index - 1) && isBlank(index + 1)) {
+        if (index + 1 < lines.length) {
+            count++;
+        } else if (index > 0) {
+            first--;
+            count++;
+        }
+    }
+    lines.splice(first, count);
+
+    const updated = lines.join('\n');
+    const cursor = Math.min(lineOffset(lines, first), updated.length);
+    return diffEdit(text, updated, { from: cursor, to: cursor });
+}
+
+// Heading of the given level on every selected line, or plain lines when they all have it
+function toggleHeading(state, level) {
+    const heading = `${'#'.repeat(level)} `;
+    return toggleLines(
+        state,
+        line => line.heading.trim() === heading.trim(),
+        line => ({ ...line, heading }),
+        line => ({ ...line, heading: '' })
+    );
+}
+
+// Toolbar commands in display order. `run(state)` returns an edit or null.
+export const FORMAT_COMMANDS = [
+    { id: 'bold', icon: 'B', title: 'Жирный', run: state => toggleInline(state, 'bold', '**') },
+    { id: 'italic', icon: 'I', title: 'Курсив', run: state => toggleInline(state, 'italic', '*') },
+    { id: 'strikethrough', icon: 'S', title: 'Зачёркнутый', run: state => toggleInline(state, 'strikethrough', '~~') },
+    { id: 'code', icon: '</>', title: 'Код', run: state => toggleInline(state, 'code', '`') },
+    { id: 'link', icon: '🔗', title: 'Ссылка', run: state => toggleLink(state, 'link') },
+    { id: 'image', icon: '🖼️', title: 'Изображение', run: state => toggleLink(state, 'image') },
+    { id: 'h1', icon: 'H1', title: 'Заголовок 1', run: state => toggleHeading(state, 1) },
+    { id: 'h2', icon: 'H2', title: 'Заголовок 2', run: state => toggleHeading(state, 2) },
+    { id: 'h3', icon: 'H3', title: 'Заголовок 3', run: state => toggleHeading(state, 3) },
+    {
+        id: 'bullet',
+        icon: '•',
+        title: 'Маркированный список',
+        run: state => toggleLines(
+            state,
+            line => /^[-+*]/.test(line.marker) && !line.task,
+            line => ({ ...line, marker: '- ', task: '' }),
+            line => ({ ...line, marker: '', task: '' })
+        )
+    },
+    {
+        id: 'ordered',
+        icon: '1.',
+        title: 'Нумерованный список',
+        run: state => toggleLines(
+            state,
+            line => /^\d/.test(line.marker),
+            (line, index) => ({ ...line, marker: `${index + 1}. `, task: '' }),
+            line => ({ ...line, marker: '', task: '' })
+        )
+    },
+    {
+        id: 'task',
+        icon: '☑',
+        title: 'Список задач',
+        run: state => toggleLines(
+            state,
+            line => Boolean(line.marker && line.task),
+            line => ({ ...line, marker: line.marker || '- ', task: line.task || '[ ] ' }),
+            line => ({ ...line, marker: '', task: '' })
+        )
+    },
+    {
+        id: 'quote',
+        icon: '❝',
+        title: 'Цитата',
+        run: state => toggleLines(
+            state,
+            line => Boolean(line.quote),
+            line => ({ ...line, quote: `> ${line.quote}` }),
+            line => ({ ...line, quote: line.quote.replace(/^[ \t]*>[ \t]?/, '') })
+        )
+    },
+    { id: 'table', icon: '▦', title: 'Таблица', run: toggleTable },
+    { id: 'hr', icon: '―', title: 'Горизонтальная линия', run: toggleRule }
+];
+
+// Run a toolbar command by id
+export function runFormatCommand(id, state) {
+    const command = FORMAT_COMMANDS.find(item => item.id === id);
+    return command ? command.run(state) : null;
+}
+
+// Ids of the commands whose construct contains the cursor or the selection
+export function getActiveCommands(state) {
+    const { text, from } = state;
+    const active = new Set();
+    const { start, lines } = getLineRange({ ...state, to: from });
+    const line = lines[0];
+
+    if (reThematicBreak.test(line)) {
+        active.add('hr');
+    } else {
+        const { quote, marker, task, heading } = parseLine(line);
+        if (quote) active.add('quote');
+        if (heading && heading.trim().length <= 3) active.add(`h${heading.trim().length}`);
+        if (marker && task) active.add('task');
+        else if (/^[-+*]/.test(marker)) active.add('bullet');
+        else if (marker) active.add('ordered');
+    }
+
+    if (line.includes('|') && findTable(text, text.slice(0, start).split('\n').length - 1)) {
+        active.add('table');
+    }
+
+    ['bold', 'italic', 'strikethrough', 'code', 'link', 'image'].forEach(command => {
+        if (findEnclosing(state, command)) active.add(command);
+    });
+    return active;
+}
+
+// List item of a line (quote markers, indentation, marker, task box, text), or null
+function parseItem(line) {
+    if (reThematicBreak.test(line)) return null;
+    const item = parseLine(line);
+    return item.marker ? item : null;
+}
+
+// Offset of the start of a line in the joined text
+function lineOffset(lines, index) {
+    return lines.slice(0, index).reduce((offset, line) => offset + line.length + 1, 0);
+}
+
+// Edit turning `text` into `updated`, limited to the changed part
+function diffEdit(text, updated, selection) {
+    let start = 0;
+    while (start < text.length && start < updated.length && text[start] === updated[start]) start++;
+    let end = 0;
+    while (end < text.length - start && end < updated.length - start &&
+        text[text.length - 1 - end] === updated[updated.length - 1 - end]) end++;
+
+    return { from: start, to: text.length - end, insert: updated.slice(start, updated.length - end), selection };
+}
+
+// Number ordered list items in order, from the first item of the list containing `index`.
+// With `restart` a list starting at that item is numbered from 1.
+function renumberList(lines, index, restart = false) {
+    const item = parseItem(lines[index]);
+    if (!item || !/^\d/.test(item.marker)) return;
+
+    const level = item.indent.length;
+    const delimiter = item.marker.match(/[.)]/)[0];
+    const isSibling = other => other && other.quote === item.quote && other.indent.length === level &&
+        /^\d/.test(other.marker) && other.marker.includes(delimiter);
+    // Blank lines and deeper lines (nested items, continuations) stay inside the list
+    const isInside = line => !line.trim() || parseLine(line).indent.length > level;
+
+    let first = index;
+    for (let i = index - 1; i >= 0; i--) {
+        if (isSibling(parseItem(lines[i]))) first = i;
+        else if (!isInside(lines[i])) break;
+    }
+
+    let number = restart && first === index ? 1 : parseInt(parseItem(lines[first]).marker, 10);
+    for (let i = first; i < lines.length; i++) {
+        const other = parseItem(lines[i]);
+        if (isSibling(other)) {
+            const position = other.quote.length + other.indent.length;
+            lines[i] = lines[i].slice(0, position) + number++ + lines[i].slice(position).replace(/^\d+/, '');
+        } else if (!isInside(lines[i])) {
+            break;
+        }
+    }
+}
+
+// Enter in a list item: a new item with the next number and an empty task box, or the end of the list
+// on an empty item. Returns null outside list items, where Enter inserts a plain newline.
+export function continueList(state) {
+    const { text, from, to } = state;
+    const lines = text.split('\n');
+    const index = text.slice(0, from).split('\n').length - 1;
+    const start = lineOffset(lines, index);
+    const item = parseItem(lines[index]);
+    if (!item || to > start + lines[index].length) return null;
+
+    // Enter inside the markers themselves is a plain newline
+    const prefix = `${item.quote}${item.indent}${item.marker}${item.task}`;
+    if (from - start < prefix.length) return null;
+
+    const rest = lines[index].slice(to - start);
+    if (!(item.heading + item.text).trim() && !rest.trim()) {
+        lines[index] = item.quote.replace(/[ \t]+$/, '');
+        const cursor = start + lines[index].length;
+        return diffEdit(text, lines.join('\n'), { from: cursor, to: cursor });
+    }
+
+    const marker = /^\d/.test(item.marker)
+        ? item.marker.replace(/^\d+/, parseInt(item.marker, 10) + 1)
+        : item.marker;
+    const next = `${item.quote}${item.indent}${marker.trim() === marker ? `${marker} ` : marker}${item.task ? '[ ] ' : ''}`;
+    lines.splice(index, 1, lines[index].slice(0, from - start), next + rest.replace(/^[ \t]+/, ''));
+    renumberList(lines, index + 1);
+
+    const cursor = lineOffset(lines, index + 1) + lines[index + 1].length - rest.replace(/^[ \t]+/, '').length;
+    return diffEdit(text, lines.join('\n'), { from: cursor, to: cursor });
+}
+
+// Tab / Shift+Tab: nest the selected list items under the previous item or move them out to the parent
+// list, renumbering ordered lists. Outside lists Tab inserts four spaces and Shift+Tab removes them.
+export function indentLines(state, outdent = false) {
+    const { text, from, to } = state;
+    const lines = text.split('\n');
+    const range = getLineRange(state);
+    const first = text.slice(0, range.start).split('\n').length - 1;
+    const last = first + range.lines.length - 1;
+    const itemIndex = range.lines.findIndex(line => parseItem(line));
+
+    if (itemIndex === -1) {
+        if (!outdent && first === last) {
+            return { from, to, insert: '    ', selection: { from: from + 4, to: from + 4 } };
+        }
+        return editLines(state, selected => selected.map(line => (
+            outdent ? line.replace(/^ {1,4}|^\t/, '') : (line.trim() ? `    ${line}` : line)
+        )));
+    }
+
+    const item = parseItem(lines[first + itemIndex]);
+    const level = item.indent.length;
+    const isInside = line => !line.trim() || parseLine(line).indent.length > level;
+
+    // Indent to the text of the previous sibling, or outdent to the parent item
+    let delta = 0;
+    for (let i = first + itemIndex - 1; i >= 0; i--) {
+        const other = parseItem(lines[i]);
+        if (other && other.quote === item.quote && other.indent.length <= level) {
+            if (!outdent && other.indent.length === level) delta = other.marker.length;
+            if (outdent && other.indent.length < level) delta = level - other.indent.length;
+            if (delta || other.indent.length < level) break;
+        } else if (!isInside(lines[i])) {
+            break;
+        }
+    }
+    if (outdent && !delta) delta = level;
+    if (!delta) return null;
+
+    const cursorLine = text.slice(0, from).split('\n').length - 1;
+    const cursorColumn = from - lineOffset(lines, cursorLine) - prefixLength(lines[cursorLine]);
+
+    for (let i = first; i <= last; i++) {
+        if (!lines[i].trim()) continue;
+        const line = parseLine(lines[i]);
+        const indent = outdent
+            ? line.indent.slice(Math.min(delta, line.indent.length))
+            : line.indent + ' '.repeat(delta);
+        lines[i] = `${line.quote}${indent}${lines[i].slice(line.quote.length + line.indent.length)}`;
+    }
+
+    // Number the moved items in their new list and the items left behind in the old one
+    for (let i = first; i <= last; i++) {
+        renumberList(lines, i, !outdent);
+    }
+    let following = last + 1;
+    while (following < lines.length && isInside(lines[following])) following++;
+    if (following < lines.length && parseItem(lines[following])?.indent.length === level) {
+        renumberList(lines, following, outdent);
+    }
+
+    const updated = lines.join('\n');
+    if (updated === text) return null;
+
+    if (first !== last || from !== to) {
+        const start = lineOffset(lines, first);
+        return diffEdit(text, updated, { from: start, to: lineOffset(lines, last) + lines[last].length });
+    }
+    const cursor = lineOffset(lines, first) + Math.min(
+        prefixLength(lines[first]) + Math.max(cursorColumn, 0),
+        lines[first].length
+    );
+    return diffEdit(text, updated, { from: cursor, to: cursor });
+}
@@ -0,0 +1,135 @@
+// Shared helpers for the MarkMirror Markdown pipeline
+// DOM-free so the parser can run in workers and Node as well as in the browser
+
+const TAGNAME = '[A-Za-z][A-Za-z0-9-]*';
+const ATTRIBUTENAME = '[a-zA-Z_:][a-zA-Z0-9:._-]*';
+const UNQUOTEDVALUE = '[^"\'=<>`\\x00-\\x20]+';
+const SINGLEQUOTEDVALUE = '\'[^\']*\'';
+const DOUBLEQUOTEDVALUE = '"[^"]*"';
+const ATTRIBUTEVALUE = '(?:' + UNQUOTEDVALUE + '|' + SINGLEQUOTEDVALUE + '|' + DOUBLEQUOTEDVALUE + ')';
+const ATTRIBUTE = '(?:\\s+' + ATTRIBUTENAME + '(?:\\s*=\\s*' + ATTRIBUTEVALUE + ')?)';
+const HTMLCOMMENT = '<!-->|<!--->|<!--[\\s\\S]*?-->';
+const PROCESSINGINSTRUCTION = '<[?][\\s\\S]*?[?]>';
+const DECLARATION = '<![A-Za-z]+[^>]*>';
+const CDATA = '<!\\[CDATA\\[[\\s\\S]*?\\]\\]>';
+
+export const OPENTAG = '<' + TAGNAME + ATTRIBUTE + '*\\s*/?>';
+export const CLOSETAG = '</' + TAGNAME + '\\s*[>]';
+export const reHtmlTag = new RegExp('^(?:' + OPENTAG + '|' + CLOSETAG + '|' + HTMLCOMMENT + '|' +
+    PROCESSINGINSTRUCTION + '|' + DECLARATION + '|' + CDATA + ')');
+
+export const reEscapable = /^[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]/;
+export const reEntity = /^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/;
+
+const reBackslashOrEntity = /\\[!"#$%&'()*+,./:;<=>?@[\\\]^_`{|}~-]|&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/g;
+
+// Named entities decoded inside link destinations and titles; others are kept as written
+const namedEntities = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0',
+    copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+    laquo: '«', raquo: '»', ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’',
+    times: '×', divide: '÷', deg: '°', plusmn: '±', middot: '·', bull: '•',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', euro: '€', pound: '£', yen: '¥', sect: '§', para: '¶'
+};
+
+// Escape text for HTML output
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Decode a single entity reference, returning it unchanged when unknown
+export function decodeEntity(entity) {
+    const body = entity.slice(1, -1);
+
+    if (body[0] === '#') {
+        const code = body[1] === 'x' || body[1] === 'X'
+            ? parseInt(body.slice(2), 16)
+            : parseInt(body.slice(1), 10);
+        return code === 0 || code > 0x10ffff ? '\uFFFD' : String.fromCodePoint(code);
+    }
+
+    return Object.prototype.hasOwnProperty.call(namedEntities, body) ? namedEntities[body] : entity;
+}
+
+// Resolve backslash escapes and entities in link destinations and titles
+export function unescapeString(text) {
+    return text.replace(reBackslashOrEntity, match => (
+        match[0] === '\\' ? match[1] : decodeEntity(match)
+    ));
+}
+
+// Percent-encode characters that are not allowed in URLs, keeping existing escapes
+export function normalizeURI(uri) {
+    return uri.replace(/%(?![0-9a-fA-F]{2})|[^A-Za-z0-9\-._~:/?#[\]@!$&'()*+,;=%]/g, char => {
+        try {
+            return encodeURIComponent(char);
+        } catch (error) {
+            return '%EF%BF%BD';
+        }
+    });
+}
+
+// Normalize a link label for matching references: case-insensitive, inner whitespace collapsed
+export function normalizeLabel(label) {
+    return label.trim().replace(/[ \t\r\n]+/g, ' ').toLowerCase().toUpperCase();
+}
+
+// Check for a space or tab character
+export function isSpaceOrTab(char) {
+    return char === ' ' || char === '\t';
+}
+
+// Visit every node of the AST depth-first; returning false from the visitor skips the node's children
+export function walk(node, visitor, parent = null) {
+    if (visitor(node, parent) === false || !node.children) return;
+
+    // Copy so the visitor may replace or remove children safely
+    [...node.children].forEach(child => walk(child, visitor, node));
+}
+
+// End of the code span opened by the backtick run at `start`, or -1 when the run is not closed
+export function codeSpanEnd(text, start) {
+    const length = text.slice(start).match(/^`+/)[0].length;
+    const re = /`+/g;
+    re.lastIndex = start + length;
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        if (match[0].length === length) return match.index + length;
+    }
+    return -1;
+}
+
+// Concatenate the text of inline nodes (used for image alt text and plain text output)
+export function getPlainText(nodes) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+            case 'code_inline':
+                return node.content;
+            case 'entity':
+                return decodeEntity(node.content);
+            case 'softbreak':
+            case 'hardbreak':
+                return '\n';
+            case 'html_inline':
+                return '';
+            default:
+                return node.children ? getPlainText(node.children) : '';
+        }
+    }).join('');
+}
+
+// Prefix of the heading ids in the rendered HTML, as on GitHub: without it a heading such as "Theme Toggle"
+// would get the id of an app element (#theme-toggle). Links to "#slug" are resolved by the preview.
+export const HEADING_ID_PREFIX = 'user-content-';
+
+// GitHub-style anchor of a heading text: lowercase, punctuation removed, spaces turned into hyphens
+export function slugify(text) {
+    return text.trim().toLowerCase()
+        .replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+        .replace(/ /g, '-');
+}
@@ -0,0 +1,56 @@
+// Standalone HTML export for MarkMirror Mobile
+// Renders Markdown to the same document as "Export HTML" in the app, without the browser:
+// used by the Node CLI and by build scripts that import it.
+//
+// Sanitization runs DOMPurify on a jsdom window and math is typeset with KaTeX, as in the preview.
+// Mermaid needs a browser to lay out diagrams, so ```mermaid blocks stay code blocks.
+
+import createDOMPurify from 'dompurify';
+import katex from 'katex';
+import { JSDOM } from 'jsdom';
+import { createMarkdownParser } from './markdownPlugins.js';
+import { FileHandler } from './fileHandler.js';
+
+let purifier = null;
+
+// DOMPurify bound to a jsdom window, created on first use
+function getPurifier() {
+    if (!purifier) {
+        purifier = createDOMPurify(new JSDOM('').window);
+    }
+    return purifier;
+}
+
+// Text of math source serialized by escapeHTML() or DOMPurify
+function unescapeHTML(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&nbsp;/g, '\u00a0')
+        .replace(/&amp;/g, '&');
+}
+
+// Typeset math nodes with KaTeX, like Preview.renderMath(); invalid TeX is shown in red instead of throwing
+export function renderMath(html) {
+    return html.replace(/<(span|div) class="math math-(display|inline)"([^>]*)>([^<]*)<\/\1>/g, (match, tag, mode, attrs, source) => {
+        const rendered = katex.renderToString(unescapeHTML(source), { displayMode: mode === 'display', throwOnError: false });
+        return `<${tag} class="math math-${mode}"${attrs}>${rendered}</${tag}>`;
+    });
+}
+
+// Render Markdown to HTML; headings get anchor ids and [TOC] expands as in the preview. With `embedStyles` the result is a full document with the export styles,
+// the front matter title and meta tags; otherwise the HTML fragment of the content.
+export function convertMarkdown(markdown, { embedStyles = false, parserOptions = {} } = {}) {
+    const parser = createMarkdownParser({ headingIds: true, purifier: getPurifier(), ...parserOptions });
+    const html = renderMath(parser.parse(markdown));
+    if (!embedStyles) return html;
+
+    const frontMatter = parser.getFrontMatter(markdown);
+    return new FileHandler().createFullHTMLDocument(html, frontMatter ? frontMatter.data : {});
+}
+
+// Whether the document has Mermaid diagrams, which the export keeps as source code
+export function hasMermaid(html) {
+    return html.includes('class="language-mermaid"');
+}
@@ -0,0 +1,343 @@
+// Markdown formatter for MarkMirror Mobile
+// Rewrites a document in one style from its AST. DOM-free, like the parser.
+//
+// The block structure (list markers and numbers, quote markers, tables, blank lines) is rebuilt from the
+// AST. Paragraph and heading text comes from the source with only emphasis markers and line breaks changed,
+// and code, HTML and math are copied as they are. A result that renders differently is never returned.
+
+import { createMarkdownParser } from './markdownPlugins.js';
+import { MarkdownTable, escapePipes } from './markdownTable.js';
+import { walk, codeSpanEnd } from './markdownCommon.js';
+
+// A word that would start another block at the beginning of a line
+const reBlockStart = /^(?:[-+*:](?:[ \t]|$)|>|#{1,6}(?:[ \t]|$)|\d{1,9}[.)](?:[ \t]|$)|=+$|[-*_]{3,}|`{3,}|~{3,}|\$\$|<|\||\[\^[^\]]*\]:|\*\[)/;
+
+// Block types that are kept together, one per line
+const LINE_BLOCKS = ['link_definition', 'abbreviation'];
+
+// Whether a paragraph line ends with a hard line break: two spaces or an unescaped backslash
+function isHardBreak(line) {
+    const backslashes = line.match(/\\*$/)[0].length;
+    return / {2,}$/.test(line) || backslashes % 2 === 1;
+}
+
+// Split text at whitespace, keeping code spans (whose spaces are content) and escapes whole
+function splitWords(text) {
+    const words = [];
+    let word = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            word += char + text[i + 1];
+            i++;
+        } else if (char === '`') {
+            const end = codeSpanEnd(text, i);
+            const run = end === -1 ? text.slice(i).match(/^`+/)[0] : text.slice(i, end).replace(/\n/g, ' ');
+            word += run;
+            i += run.length - 1;
+        } else if (/\s/.test(char)) {
+            if (word) words.push(word);
+            word = '';
+        } else {
+            word += char;
+        }
+    }
+    if (word) words.push(word);
+    return words;
+}
+
+// Prefix the lines of a block, the first one with `first`; empty lines get no indentation
+function prefixLines(text, first, rest) {
+    return text.split('\n').map((line, index) => {
+        const prefix = index === 0 ? first : rest;
+        return line ? prefix + line : prefix.trimEnd();
+    }).join('\n');
+}
+
+export class MarkdownFormatter {
+    constructor(options = {}) {
+        this.options = {
+            bullet: '-', // Marker of bullet lists: '-', '*' or '+'
+            emphasis: '*', // Marker of emphasis and strong emphasis: '*' or '_'
+            wrap: 'preserve', // Paragraph lines: 'preserve', 'wrap' at `width` or 'unwrap' into one line
+            width: 80, // Line width for 'wrap', including quote markers and list indentation
+            parserOptions: {}, // Options of the parser, so the document is read as the preview does
+            ...options
+        };
+        this.parser = createMarkdownParser(this.getParserOptions());
+    }
+
+    // Change the style or parser options
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        if (options.parserOptions) {
+            this.parser = createMarkdownParser(this.getParserOptions());
+        }
+    }
+
+    // Parser options: plain HTML without source lines, ids or sanitizing, for comparing renders
+    getParserOptions() {
+        return { ...this.options.parserOptions, sourceMap: false, headingIds: false, sanitizeHTML: false };
+    }
+
+    // Format a document. Throws if the result would not render the same as the source.
+    format(markdown) {
+        const source = String(markdown || '').replace(/\r\n?/g, '\n');
+        const expected = this.render(source);
+
+        // Rewrapped paragraphs are dropped if they changed the document
+        for (const wrap of new Set([this.options.wrap, 'preserve'])) {
+            const formatted = this.formatSource(source, wrap);
+            if (this.render(formatted) === expected) {
+                return formatted;
+            }
+        }
+        throw new Error('Formatting would change the rendered document');
+    }
+
+    // HTML of a document, line breaks counting as spaces
+    render(source) {
+        return this.parser.render(this.parser.tokenize(source)).replace(/[ \t]*\n[ \t]*/g, ' ');
+    }
+
+    // Format a document with the given paragraph wrapping
+    formatSource(source, wrap) {
+        const ast = this.parser.tokenize(source);
+        this.context = {
+            lines: source.split('\n'),
+            env: this.parser.createEnv(ast),
+            wrap,
+            listMarkers: new Map() // list -> marker, so adjacent lists get different ones
+        };
+
+        const text = this.formatBlocks(ast.children, { width: this.options.width, tight: false, depth: 0 });
+        return text ? `${text}\n` : '';
+    }
+
+    // Blocks of a container, separated by a blank line unless the container is a tight list item
+    formatBlocks(nodes, state) {
+        return nodes.map((node, index) => {
+            const previous = nodes[index - 1];
+            const text = this.formatBlock(node, previous, state);
+            if (!previous) return text;
+
+            const together = state.tight || (LINE_BLOCKS.includes(node.type) && node.type === previous.type);
+            return (together ? '\n' : '\n\n') + text;
+        }).join('');
+    }
+
+    // Format one block; `previous` is the block before it in the same container
+    formatBlock(node, previous, state) {
+        const nested = { ...state, depth: state.depth + 1 };
+
+        switch (node.type) {
+            case 'paragraph':
+                return this.formatParagraph(node.content, state.width);
+            case 'heading':
+                return this.formatHeading(node);
+            case 'hr':
+                // "---" right under a paragraph line would make it a heading
+                return state.tight && previous && previous.type === 'paragraph' ? '***' : '---';
+            case 'code':
+                return this.formatCode(node, previous);
+            case 'html':
+                return node.content;
+            case 'math_block':
+                return `$$\n${node.content}\n$$`;
+            case 'blockquote':
+                return prefixLines(this.formatBlocks(node.children, { ...nested, width: state.width - 2, tight: false }), '> ', '> ');
+            case 'list':
+                return this.formatList(node, previous, nested);
+            case 'table':
+                return this.formatTable(node);
+            case 'link_definition':
+                return node.raw !== undefined ? node.raw : this.formatVerbatim(node, state);
+            case 'abbreviation':
+                return `*[${node.label}]: ${node.title}`;
+            case 'footnote_definition':
+                return prefixLines(
+                    this.formatBlocks(node.children, { ...nested, width: state.width - 4, tight: false }),
+                    `[^${node.label}]: `,
+                    '    '
+                );
+            case 'dl':
+                return this.formatDefinitionList(node, nested);
+            default:
+                // Front matter and plugin blocks keep their source
+                return this.formatVerbatim(node, state);
+        }
+    }
+
+    // Source lines of a block, without the quote markers and indentation of its containers
+    formatVerbatim(node, state) {
+        const lines = this.context.lines.slice(node.map[0], node.map[1]);
+        return (state.depth > 0 ? lines.map(line => line.replace(/^(?:[ \t]*>)*[ \t]*/, '')) : lines).join('\n');
+    }
+
+    // Paragraph text with normalized emphasis and line breaks
+    formatParagraph(content, width) {
+        const text = this.formatInline(content);
+        const layout = this.layoutParagraph(text, width);
+        return this.sameInline(layout, text) ? layout : text;
+    }
+
+    // Break paragraph text into lines according to the wrap mode, keeping hard line breaks
+    layoutParagraph(text, width) {
+        const lines = text.split('\n');
+        const segments = [];
+        let current = [];
+        lines.forEach((line, index) => {
+            const last = index === lines.length - 1;
+            const hardBreak = !last && isHardBreak(line);
+            current.push(line.trim());
+            if (last || hardBreak) {
+                segments.push({ lines: current, suffix: hardBreak && / $/.test(line) ? '  ' : '' });
+                current = [];
+            }
+        });
+
+        return segments.flatMap(({ lines: segment, suffix }) => {
+            let result;
+            if (this.context.wrap === 'preserve') {
+                result = segment;
+            } else {
+                const words = splitWords(segment.join('\n'));
+                result = this.context.wrap === 'unwrap' ? [words.join(' ')] : this.wrapWords(words, width);
+            }
+            result[result.length - 1] += suffix;
+            return result;
+        }).map((line, index) => (
+            // A continuation line that would start a block is indented, which keeps it in the paragraph
+            index > 0 && reBlockStart.test(line) ? `    ${line}` : line
+        )).join('\n');
+    }
+
+    // Fill lines up to the width; words that would start a block stay on the previous line
+    wrapWords(words, width) {
+        const lines = [];
+        words.forEach(word => {
+            const index = lines.length - 1;
+            if (index >= 0 && (lines[index].length + 1 + word.length <= width || reBlockStart.test(word))) {
+                lines[index] += ` ${word}`;
+            } else {
+                lines.push(word);
+            }
+        });
+        return lines.length > 0 ? lines : [''];
+    }
+
+    // ATX heading, or a setext one when its text spans lines or ends with "#"s that ATX would drop
+    formatHeading(node) {
+        const text = this.formatInline(node.content);
+        if (text.includes('\n') || /(^|[ \t])#+$/.test(text)) {
+            return `${text}\n${(node.level === 1 ? '=' : '-').repeat(3)}`;
+        }
+        return text ? `${'#'.repeat(node.level)} ${text}` : '#'.repeat(node.level);
+    }
+
+    // Code block with its content as is: fenced with its original fence, or indented.
+    // Indented code right after a list would continue its last item, so it gets a fence there.
+    formatCode(node, previous) {
+        const content = node.content.replace(/\n$/, '');
+        if (node.fenced || (previous && previous.type === 'list')) {
+            const longest = Math.max(2, ...(content.match(/^[ \t]*`+/gm) || []).map(run => run.trim().length));
+            const fence = node.markup || '`'.repeat(longest + 1);
+            return `${fence}${node.info}\n${content ? `${content}\n` : ''}${fence}`;
+        }
+        return content.split('\n').map(line => (line ? `    ${line}` : '')).join('\n');
+    }
+
+    // List with one bullet or renumbered items
+    formatList(node, previous, state) {
+        const [primary, alternate] = node.ordered
+            ? ['.', ')']
+            : [this.options.bullet, this.options.bullet === '-' ? '*' : '-'];
+        // A list right after another one of its kind needs a different marker, or they would merge
+        const previousMarker = previous && previous.type === 'list' && previous.ordered === node.ordered
+            ? this.context.listMarkers.get(previous)
+            : null;
+        const marker = previousMarker === primary ? alternate : primary;
+        this.context.listMarkers.set(node, marker);
+
+        return node.children.map((item, index) => (
+            this.formatListItem(item, node.ordered ? `${node.start + index}${marker}` : marker, node.tight, state)
+        )).join(node.tight ? '\n' : '\n\n');
+    }
+
+    // List item with its blocks indented under the marker
+    formatListItem(item, marker, tight, state) {
+        const indent = ' '.repeat(marker.length + 1);
+        let body = this.formatBlocks(item.children, { ...state, width: state.width - indent.length, tight });
+        if (item.task) {
+            body = `[${item.checked ? 'x' : ' '}] ${body}`.trimEnd();
+        }
+        if (!body) return marker;
+
+        // "- ---" is a thematic break, not an item with one
+        if (marker === '-' && body.split('\n')[0] === '---') {
+            body = `***${body.slice(3)}`;
+        }
+        return prefixLines(body, `${marker} `, indent);
+    }
+
+    // Table with aligned pipes
+    formatTable(node) {
+        const [header, ...rows] = node.children.map(row => row.children.map(cell => escapePipes(this.formatInline(cell.content))));
+        return new MarkdownTable({ header, align: node.align, rows }).format();
+    }
+
+    // Terms and their ": definition" blocks; a loose definition is separated from its term by a blank line
+    formatDefinitionList(node, state) {
+        return node.children.map((child, index) => {
+            const previous = node.children[index - 1];
+            const text = child.type === 'dt'
+                ? this.formatInline(child.content)
+                : prefixLines(this.formatBlocks(child.children, { ...state, width: state.width - 2, tight: child.tight }), ': ', '  ');
+            if (!previous) return text;
+
+            const together = child.type === 'dt' ? previous.type === 'dt' : child.tight;
+            return (together ? '\n' : '\n\n') + text;
+        }).join('');
+    }
+
+    // Inline text with emphasis markers changed to the chosen character, where that keeps its meaning
+    formatInline(content) {
+        const char = this.options.emphasis;
+        const lead = content.length - content.trimStart().length;
+        const edits = [];
+        this.parseInline(content).forEach(root => walk(root, node => {
+            if ((node.type === 'em' || node.type === 'strong') && node.markupOffsets && node.markup[0] !== char) {
+                edits.push(node.markupOffsets.map(offset => ({ from: lead + offset, text: char.repeat(node.markup.length) })));
+            }
+        }));
+        if (edits.length === 0) return content;
+
+        // Markers keep their length, so offsets stay valid while edits are applied
+        const apply = (text, changes) => changes.reduce(
+            (result, change) => result.slice(0, change.from) + change.text + result.slice(change.from + change.text.length),
+            text
+        );
+
+        const result = apply(content, edits.flat());
+        if (this.sameInline(result, content)) return result;
+
+        // Some markers cannot change (e.g. "_" inside a word): keep those one by one
+        return edits.reduce((text, changes) => {
+            const changed = apply(text, changes);
+            return this.sameInline(changed, text) ? changed : text;
+        }, content);
+    }
+
+    // Inline parse with copied footnotes, so trial parses do not count footnote references
+    parseInline(content) {
+        const { env } = this.context;
+        const footnotes = new Map([...env.footnotes].map(([label, footnote]) => [label, { ...footnote }]));
+        return this.parser.inlineParser.parse(content, { ...env, footnotes, footnoteOrder: [] });
+    }
+
+    // Whether two inline texts render the same, line breaks counting as spaces
+    sameInline(a, b) {
+        const render = text => this.parser.renderer.renderInline(this.parseInline(text)).replace(/[ \t]*\n[ \t]*/g, ' ');
+        return a === b || render(a) === render(b);
+    }
+}
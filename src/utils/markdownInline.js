@@ -0,0 +1,780 @@
+// Inline Markdown parser for MarkMirror Mobile
+// Turns the text of paragraphs, headings and table cells into inline nodes
+// (CommonMark delimiter algorithm for emphasis and reference links, plus GFM strikethrough and autolinks,
+// math and footnote references)
+
+import {
+    reHtmlTag,
+    reEscapable,
+    reEntity,
+    unescapeString,
+    normalizeURI,
+    normalizeLabel
+} from './markdownCommon.js';
+
+const reMain = /^[^\n`[\]\\!<&*_~$]+/;
+const reInlineMath = /^\$((?:\\[\s\S]|[^\\$\s])(?:(?:\\[\s\S]|[^\\$])*?(?:\\[\s\S]|[^\\$\s]))?)\$(?!\d)/;
+const reDisplayMath = /^\$\$((?:\\[\s\S]|[^\\$]|\$(?!\$))+?)\$\$/;
+const reLinkTitle = /^(?:"(?:\\[\s\S]|[^\\"\x00])*"|'(?:\\[\s\S]|[^\\'\x00])*'|\((?:\\[\s\S]|[^\\()\x00])*\))/;
+const reLinkDestinationBraces = /^<(?:[^<>\n\\\x00]|\\.)*>/;
+const reWhitespaceChar = /^[ \t\n\x0b\x0c\x0d]/;
+const reUnicodeWhitespace = /^\s/u;
+const rePunctuation = /^[\p{P}\p{S}]/u;
+const reSpnl = /^ *(?:\n *)?/;
+// Parentheses nesting allowed in link destinations (as in cmark); keeps failed scans short
+const MAX_LINK_PAREN_DEPTH = 32;
+const reLinkLabel = /^\[(?:[^\\[\]]|\\[\s\S]){0,999}\]/;
+const reAutolink = /^<[A-Za-z][A-Za-z0-9.+-]{1,31}:[^<>\x00-\x20]*>/;
+const reEmailAutolink = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+// GFM extended autolinks: bare http(s)://, ftp:// and www. URLs and email addresses
+const reExtendedAutolink = /(?<=^|[\s*_~(])(?:(?:https?:\/\/|ftp:\/\/|www\.)[\w-]+(?:\.[\w-]+)*[^\s<]*|[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// Create a text node
+function text(content) {
+    return { type: 'text', content };
+}
+
+// Drop trailing punctuation, unbalanced ")" and entity-like endings from a bare URL
+function trimAutolink(url) {
+    let result = url;
+    let previous;
+    do {
+        previous = result;
+        result = result.replace(/[?!.,:*_~'"]+$/, '').replace(/&[A-Za-z0-9]+;$/, '');
+        if (result.endsWith(')') && result.split('(').length < result.split(')').length) {
+            result = result.slice(0, -1);
+        }
+    } while (result !== previous);
+    return result;
+}
+
+// Turn bare URLs and email addresses in text nodes into links, leaving existing links alone
+function linkify(nodes) {
+    return nodes.flatMap(node => {
+        if (node.type === 'link' || node.type === 'image') return [node];
+        if (node.children) {
+            node.children = linkify(node.children);
+            return [node];
+        }
+        if (node.type !== 'text') return [node];
+
+        const parts = [];
+        let last = 0;
+        for (const match of node.content.matchAll(reExtendedAutolink)) {
+            const email = !/^(?:https?:\/\/|ftp:\/\/|www\.)/.test(match[0]);
+            const url = email ? match[0].replace(/\.+$/, '') : trimAutolink(match[0]);
+            if (!url || (email && /[-_]$/.test(url))) continue;
+
+            const href = email ? `mailto:${url}` : url.startsWith('www.') ? `http://${url}` : url;
+            if (match.index > last) parts.push(text(node.content.slice(last, match.index)));
+            parts.push({ type: 'link', href: normalizeURI(href), title: '', markup: 'linkify', children: [text(url)] });
+            last = match.index + url.length;
+        }
+
+        if (parts.length === 0) return [node];
+        if (last < node.content.length) parts.push(text(node.content.slice(last)));
+        return parts;
+    });
+}
+
+// Merge adjacent text nodes
+function mergeText(nodes) {
+    const result = [];
+    nodes.forEach(node => {
+        const last = result[result.length - 1];
+        if (node.type === 'text' && last && last.type === 'text') {
+            last.content += node.content;
+        } else {
+            if (node.children) {
+                node.children = mergeText(node.children);
+            }
+            result.push(node);
+        }
+    });
+    return result.filter(node => node.type !== 'text' || node.content !== '');
+}
+
+export class InlineParser {
+    constructor(options = {}) {
+        this.options = {
+            maxNesting: 100, // Deeper emphasis, links and images stay literal text, like markdown-it
+            ...options
+        };
+        this.rules = new Map(); // trigger character -> plugin rules
+        this.reMain = reMain;
+        this.depths = new WeakMap(); // emphasis/link node -> nesting depth of its subtree
+    }
+
+    // Register an inline rule from a plugin: { trigger, parse(parser, children) }.
+    // `parse` runs when the current character is `trigger` (one character or a list of them) before
+    // the built-in rules; it returns true after pushing nodes to `children` and advancing `parser.pos`.
+    addRule({ trigger, parse }) {
+        [].concat(trigger).forEach(char => {
+            this.rules.set(char, [...(this.rules.get(char) || []), parse]);
+        });
+
+        // Plain text stops at trigger characters too
+        const triggers = [...this.rules.keys()].map(char => char.replace(/[\]\\^-]/g, '\\$&')).join('');
+        this.reMain = new RegExp(`^[^\\n\`[\\]\\\\!<&*_~$${triggers}]+`);
+    }
+
+    // Parse inline content into a list of inline nodes.
+    // `env` holds document-wide data: link references, footnote definitions and their numbering.
+    parse(content, env = {}) {
+        this.env = env;
+        this.subject = content.trim();
+        this.pos = 0;
+        this.delimiters = null;
+        this.brackets = null;
+
+        const children = [];
+        while (this.parseInline(children)) {
+            // keep parsing
+        }
+        this.processEmphasis(null, children);
+
+        const nodes = mergeText(children);
+        return this.options.autolinks ? linkify(nodes) : nodes;
+    }
+
+    // Link reference definition at the start of `content`: "[label]: destination 'title'".
+    // Returns { label, href, title, length } or null; `length` covers the definition and its line break.
+    parseReference(content) {
+        this.subject = content;
+        this.pos = 0;
+        this.match(/^ {0,3}/);
+
+        const rawLabel = this.match(reLinkLabel);
+        if (rawLabel === null || this.peek() !== ':') return null;
+        const label = rawLabel.slice(1, -1);
+        if (!normalizeLabel(label)) return null;
+
+        this.pos += 1;
+        this.match(reSpnl);
+        const href = this.parseLinkDestination();
+        if (href === null) return null;
+
+        // The title is optional but must be followed by the end of the line
+        const beforeTitle = this.pos;
+        this.match(reSpnl);
+        let title = this.pos !== beforeTitle ? this.parseLinkTitle() : null;
+        if (title === null || this.match(/^[ \t]*(?:\n|$)/) === null) {
+            title = '';
+            this.pos = beforeTitle;
+            if (this.match(/^[ \t]*(?:\n|$)/) === null) return null;
+        }
+
+        return { label, href, title, length: this.pos };
+    }
+
+    // Current character or undefined at the end
+    peek() {
+        return this.subject[this.pos];
+    }
+
+    // Match a regex at the current position, advancing past it
+    match(re) {
+        const m = re.exec(this.subject.slice(this.pos));
+        if (m === null) return null;
+
+        this.pos += m.index + m[0].length;
+        return m[0];
+    }
+
+    // Parse the next inline element; returns false at the end of input
+    parseInline(children) {
+        const char = this.peek();
+        if (char === undefined) return false;
+
+        const rules = this.rules.get(char);
+        if (rules && rules.some(rule => rule(this, children))) return true;
+
+        let handled;
+        switch (char) {
+            case '\n':
+                handled = this.parseNewline(children);
+                break;
+            case '\\':
+                handled = this.parseBackslash(children);
+                break;
+            case '`':
+                handled = this.parseBackticks(children);
+                break;
+            case '*':
+            case '_':
+            case '~':
+                handled = this.handleDelimiter(char, children);
+                break;
+            case '[':
+                handled = this.parseOpenBracket(children);
+                break;
+            case '!':
+                handled = this.parseBang(children);
+                break;
+            case ']':
+                handled = this.parseCloseBracket(children);
+                break;
+            case '<':
+                handled = this.parseAutolink(children) || this.parseHtmlTag(children);
+                break;
+            case '&':
+                handled = this.parseEntity(children);
+                break;
+            case '$':
+                handled = this.parseMath(children);
+                break;
+            default:
+                handled = this.parseString(children);
+                break;
+        }
+
+        if (!handled) {
+            this.pos += 1;
+            children.push(text(char));
+        }
+        return true;
+    }
+
+    // Plain text up to the next special character
+    parseString(children) {
+        const m = this.match(this.reMain);
+        if (m === null) return false;
+
+        children.push(text(m));
+        return true;
+    }
+
+    // Line break: hard if preceded by two or more spaces, soft otherwise
+    parseNewline(children) {
+        this.pos += 1;
+
+        const last = children[children.length - 1];
+        if (last && last.type === 'text' && last.content.endsWith(' ')) {
+            const hard = last.content.endsWith('  ');
+            last.content = last.content.replace(/ +$/, '');
+            children.push({ type: hard ? 'hardbreak' : 'softbreak' });
+        } else {
+            children.push({ type: 'softbreak' });
+        }
+
+        // Leading spaces of the next line are ignored
+        this.match(/^ */);
+        return true;
+    }
+
+    // Backslash escape or hard line break
+    parseBackslash(children) {
+        this.pos += 1;
+
+        if (this.peek() === '\n') {
+            this.pos += 1;
+            children.push({ type: 'hardbreak' });
+        } else if (this.peek() !== undefined && reEscapable.test(this.peek())) {
+            children.push(text(this.peek()));
+            this.pos += 1;
+        } else {
+            children.push(text('\\'));
+        }
+        return true;
+    }
+
+    // Code span delimited by matching backtick runs
+    parseBackticks(children) {
+        const ticks = this.match(/^`+/);
+        if (ticks === null) return false;
+
+        const afterOpenTicks = this.pos;
+        let matched;
+        while ((matched = this.match(/`+/)) !== null) {
+            if (matched === ticks) {
+                let content = this.subject.slice(afterOpenTicks, this.pos - ticks.length).replace(/\n/g, ' ');
+                if (/[^ ]/.test(content) && content[0] === ' ' && content[content.length - 1] === ' ') {
+                    content = content.slice(1, -1);
+                }
+                children.push({ type: 'code_inline', content });
+                return true;
+            }
+        }
+
+        // No matching run: the backticks are literal
+        this.pos = afterOpenTicks;
+        children.push(text(ticks));
+        return true;
+    }
+
+    // Autolink: <scheme:...> or <email>
+    parseAutolink(children) {
+        let m = this.match(reEmailAutolink);
+        let href;
+        if (m !== null) {
+            href = `mailto:${m.slice(1, -1)}`;
+        } else if ((m = this.match(reAutolink)) !== null) {
+            href = m.slice(1, -1);
+        } else {
+            return false;
+        }
+
+        children.push({ type: 'link', href: normalizeURI(href), title: '', markup: 'autolink', children: [text(m.slice(1, -1))] });
+        return true;
+    }
+
+    // Raw inline HTML
+    parseHtmlTag(children) {
+        const m = this.match(reHtmlTag);
+        if (m === null) return false;
+
+        children.push({ type: 'html_inline', content: m });
+        return true;
+    }
+
+    // Math: $...$ inline, $$...$$ display; "$" next to spaces or before a digit stays literal
+    parseMath(children) {
+        if (!this.options.math) return false;
+
+        const rest = this.subject.slice(this.pos);
+        const display = rest.match(reDisplayMath);
+        const inline = !display && rest.match(reInlineMath);
+        const m = display || inline;
+        if (!m || !m[1].trim()) {
+            // Keep a run of dollars together so "$$" is not reread as inline math
+            children.push(text(this.match(/^\$+/)));
+            return true;
+        }
+
+        this.pos += m[0].length;
+        children.push({ type: 'math_inline', content: m[1].trim(), display: Boolean(display) });
+        return true;
+    }
+
+    // Entity or numeric character reference
+    parseEntity(children) {
+        const m = this.match(reEntity);
+        if (m === null) return false;
+
+        children.push({ type: 'entity', content: m });
+        return true;
+    }
+
+    // Scan a delimiter run and determine whether it can open or close emphasis
+    scanDelimiters(char) {
+        const startPos = this.pos;
+        let count = 0;
+        while (this.peek() === char) {
+            count++;
+            this.pos++;
+        }
+        if (count === 0) return null;
+
+        const charBefore = startPos === 0 ? '\n' : this.subject[startPos - 1];
+        const charAfter = this.pos < this.subject.length ? this.subject[this.pos] : '\n';
+        this.pos = startPos;
+
+        const afterIsWhitespace = reUnicodeWhitespace.test(charAfter);
+        const afterIsPunctuation = rePunctuation.test(charAfter);
+        const beforeIsWhitespace = reUnicodeWhitespace.test(charBefore);
+        const beforeIsPunctuation = rePunctuation.test(charBefore);
+
+        const leftFlanking = !afterIsWhitespace &&
+            (!afterIsPunctuation || beforeIsWhitespace || beforeIsPunctuation);
+        const rightFlanking = !beforeIsWhitespace &&
+            (!beforeIsPunctuation || afterIsWhitespace || afterIsPunctuation);
+
+        if (char === '_') {
+            return {
+                count,
+                canOpen: leftFlanking && (!rightFlanking || beforeIsPunctuation),
+                canClose: rightFlanking && (!leftFlanking || afterIsPunctuation)
+            };
+        }
+        return { count, canOpen: leftFlanking, canClose: rightFlanking };
+    }
+
+    // Push a delimiter run as text and remember it on the delimiter stack
+    handleDelimiter(char, children) {
+        const result = this.scanDelimiters(char);
+        if (!result) return false;
+
+        const position = this.pos;
+        const node = text(this.subject.slice(position, position + result.count));
+        this.pos += result.count;
+        children.push(node);
+
+        // Strikethrough uses runs of one or two tildes only
+        if ((result.canOpen || result.canClose) && (char !== '~' || result.count <= 2)) {
+            this.delimiters = {
+                char,
+                count: result.count,
+                originalCount: result.count,
+                position,
+                node,
+                previous: this.delimiters,
+                next: null,
+                canOpen: result.canOpen,
+                canClose: result.canClose
+            };
+            if (this.delimiters.previous) {
+                this.delimiters.previous.next = this.delimiters;
+            }
+        }
+        return true;
+    }
+
+    // Remove a delimiter from the stack
+    removeDelimiter(delimiter) {
+        if (delimiter.previous) {
+            delimiter.previous.next = delimiter.next;
+        }
+        if (delimiter.next) {
+            delimiter.next.previous = delimiter.previous;
+        } else {
+            this.delimiters = delimiter.previous;
+        }
+    }
+
+    // Nesting depth of a list of inline nodes; emphasis, links and images count one level each
+    nestingDepth(nodes) {
+        return nodes.reduce((depth, node) => Math.max(depth, this.depths.get(node) || 0), 0);
+    }
+
+    // Match emphasis openers and closers above stackBottom, wrapping the nodes in between
+    processEmphasis(stackBottom, children) {
+        const openersBottom = {};
+
+        let closer = this.delimiters;
+        while (closer && closer.previous !== stackBottom) {
+            closer = closer.previous;
+        }
+
+        while (closer) {
+            if (!closer.canClose) {
+                closer = closer.next;
+                continue;
+            }
+
+            const bottomKey = `${closer.char}${(closer.canOpen ? 3 : 0) + (closer.originalCount % 3)}`;
+            const bottom = openersBottom[bottomKey] !== undefined ? openersBottom[bottomKey] : stackBottom;
+
+            let opener = closer.previous;
+            let openerFound = false;
+            while (opener && opener !== stackBottom && opener !== bottom) {
+                if (opener.char === closer.char && opener.canOpen) {
+                    if (closer.char === '~') {
+                        if (opener.count === closer.count) {
+                            openerFound = true;
+                            break;
+                        }
+                    } else {
+                        // "Rule of three" for runs that can both open and close
+                        const oddMatch = (closer.canOpen || opener.canClose) &&
+                            closer.originalCount % 3 !== 0 &&
+                            (opener.originalCount + closer.originalCount) % 3 === 0;
+                        if (!oddMatch) {
+                            openerFound = true;
+                            break;
+                        }
+                    }
+                }
+                opener = opener.previous;
+            }
+
+            // Emphasis nested past the limit stays literal, so rendering cannot overflow the stack
+            let openerIndex = -1;
+            let closerIndex = -1;
+            let depth = 0;
+            if (openerFound) {
+                openerIndex = children.indexOf(opener.node);
+                closerIndex = children.indexOf(closer.node);
+                depth = this.nestingDepth(children.slice(openerIndex + 1, closerIndex)) + 1;
+                openerFound = depth <= this.options.maxNesting;
+            }
+
+            const oldCloser = closer;
+
+            if (openerFound) {
+                const used = closer.char === '~'
+                    ? closer.count
+                    : (closer.count >= 2 && opener.count >= 2 ? 2 : 1);
+                const type = closer.char === '~' ? 'del' : (used === 2 ? 'strong' : 'em');
+                // Openers lose their innermost characters from the end of the run, closers from the start
+                const closerOffset = closer.position + closer.originalCount - closer.count;
+
+                opener.count -= used;
+                closer.count -= used;
+                opener.node.content = opener.node.content.slice(0, opener.node.content.length - used);
+                closer.node.content = closer.node.content.slice(0, closer.node.content.length - used);
+
+                // Wrap everything between opener and closer
+                const wrapper = {
+                    type,
+                    markup: closer.char.repeat(used),
+                    // Offsets of the opening and closing markup in the trimmed content, for source rewrites
+                    markupOffsets: [opener.position + opener.count, closerOffset],
+                    children: children.splice(openerIndex + 1, closerIndex - openerIndex - 1)
+                };
+                children.splice(openerIndex + 1, 0, wrapper);
+                this.depths.set(wrapper, depth);
+
+                // Delimiters between opener and closer are now inside the wrapper
+                let delimiter = closer.previous;
+                while (delimiter && delimiter !== opener) {
+                    const previous = delimiter.previous;
+                    this.removeDelimiter(delimiter);
+                    delimiter = previous;
+                }
+
+                if (opener.count === 0) {
+                    children.splice(children.indexOf(opener.node), 1);
+                    this.removeDelimiter(opener);
+                }
+
+                if (closer.count === 0) {
+                    children.splice(children.indexOf(closer.node), 1);
+                    const next = closer.next;
+                    this.removeDelimiter(closer);
+                    closer = next;
+                }
+            } else {
+                closer = closer.next;
+                // No opener below this point can match closers of this kind
+                openersBottom[bottomKey] = oldCloser.previous;
+                if (!oldCloser.canOpen) {
+                    this.removeDelimiter(oldCloser);
+                }
+            }
+        }
+
+        // Remove the remaining delimiters above stackBottom
+        while (this.delimiters && this.delimiters !== stackBottom) {
+            this.removeDelimiter(this.delimiters);
+        }
+    }
+
+    // Link opener
+    parseOpenBracket(children) {
+        if (this.parseFootnoteRef(children)) return true;
+
+        const node = text('[');
+        this.pos += 1;
+        children.push(node);
+        this.addBracket(node, false);
+        return true;
+    }
+
+    // Footnote reference "[^label]" to a defined footnote; numbered in order of first use
+    parseFootnoteRef(children) {
+        if (!this.options.footnotes || !this.env.footnotes) return false;
+
+        const m = this.subject.slice(this.pos).match(/^\[\^([^\]\s]+)\]/);
+        const footnote = m && this.env.footnotes.get(m[1].toLowerCase());
+        if (!footnote) return false;
+
+        if (!footnote.number) {
+            this.env.footnoteOrder.push(footnote);
+            footnote.number = this.env.footnoteOrder.length;
+        }
+        footnote.refs += 1;
+
+        this.pos += m[0].length;
+        children.push({ type: 'footnote_ref', label: footnote.label, number: footnote.number, refIndex: footnote.refs });
+        return true;
+    }
+
+    // Image opener or a literal "!"
+    parseBang(children) {
+        this.pos += 1;
+
+        if (this.peek() === '[') {
+            const node = text('![');
+            this.pos += 1;
+            children.push(node);
+            this.addBracket(node, true);
+        } else {
+            children.push(text('!'));
+        }
+        return true;
+    }
+
+    // Remember a link/image opener
+    addBracket(node, image) {
+        if (this.brackets) {
+            // "[a][b]": "[a]" cannot be a shortcut reference
+            this.brackets.bracketAfter = true;
+        }
+        this.brackets = {
+            node,
+            previous: this.brackets,
+            previousDelimiter: this.delimiters,
+            position: this.pos,
+            image,
+            active: true,
+            bracketAfter: false
+        };
+    }
+
+    // Close a link or image if the brackets are followed by a destination
+    parseCloseBracket(children) {
+        this.pos += 1;
+        const startPos = this.pos;
+        const opener = this.brackets;
+
+        if (!opener) {
+            children.push(text(']'));
+            return true;
+        }
+
+        if (!opener.active) {
+            children.push(text(']'));
+            this.brackets = opener.previous;
+            return true;
+        }
+
+        const isImage = opener.image;
+        let destination = null;
+        let title = '';
+        let matched = false;
+        let reference = null;
+        let referenceType = null;
+
+        // Inline link: [text](destination "title")
+        if (this.peek() === '(') {
+            const savePos = this.pos;
+            this.pos += 1;
+            this.match(reSpnl);
+
+            if ((destination = this.parseLinkDestination()) !== null) {
+                this.match(reSpnl);
+                if (reWhitespaceChar.test(this.subject.charAt(this.pos - 1))) {
+                    const parsedTitle = this.parseLinkTitle();
+                    if (parsedTitle !== null) {
+                        title = parsedTitle;
+                    }
+                }
+                this.match(reSpnl);
+
+                if (this.peek() === ')') {
+                    this.pos += 1;
+                    matched = true;
+                }
+            }
+
+            if (!matched) {
+                this.pos = savePos;
+            }
+        }
+
+        // Reference link: [text][label], [label][] or [label]
+        if (!matched) {
+            const beforeLabel = this.pos;
+            const label = this.match(reLinkLabel);
+
+            if (label !== null && label.length > 2) {
+                reference = label.slice(1, -1);
+                referenceType = 'full';
+            } else if (!opener.bracketAfter) {
+                // Collapsed or shortcut: the link text is the label
+                reference = this.subject.slice(opener.position, startPos - 1);
+                referenceType = label === null ? 'shortcut' : 'collapsed';
+            }
+            if (label === null) {
+                this.pos = beforeLabel;
+            }
+
+            const definition = reference !== null && this.env.references &&
+                this.env.references.get(normalizeLabel(reference));
+            if (definition) {
+                destination = definition.href;
+                title = definition.title;
+                matched = true;
+            }
+        }
+
+        // Links and images nested past the limit stay literal, like emphasis. The openers below enclose
+        // the same nodes, so they are deactivated too.
+        // The opener is usually near the end, so searching from there keeps long paragraphs linear
+        const openerIndex = matched ? children.lastIndexOf(opener.node) : -1;
+        if (matched && this.nestingDepth(children.slice(openerIndex + 1)) >= this.options.maxNesting) {
+            matched = false;
+            for (let bracket = opener.previous; bracket; bracket = bracket.previous) {
+                bracket.active = false;
+            }
+        }
+
+        if (!matched) {
+            // Not a link: the brackets are literal text
+            this.brackets = opener.previous;
+            this.pos = startPos;
+            children.push(text(']'));
+            return true;
+        }
+
+        const node = isImage
+            ? { type: 'image', src: destination, title, children: [] }
+            : { type: 'link', href: destination, title, children: [] };
+        if (referenceType) {
+            // Keep the reference so the source form can be reproduced
+            node.reference = reference;
+            node.referenceType = referenceType;
+        }
+
+        node.children = children.splice(openerIndex + 1);
+        children.splice(openerIndex, 1, node);
+
+        this.processEmphasis(opener.previousDelimiter, node.children);
+        this.depths.set(node, this.nestingDepth(node.children) + 1);
+        this.brackets = opener.previous;
+
+        // Links cannot contain other links: deactivate earlier link openers
+        if (!isImage) {
+            for (let bracket = this.brackets; bracket; bracket = bracket.previous) {
+                if (!bracket.image) {
+                    bracket.active = false;
+                }
+            }
+        }
+        return true;
+    }
+
+    // Link destination: <...> or a run without spaces and with balanced parentheses
+    parseLinkDestination() {
+        const braced = this.match(reLinkDestinationBraces);
+        if (braced !== null) {
+            return normalizeURI(unescapeString(braced.slice(1, -1)));
+        }
+
+        if (this.peek() === '<') return null;
+
+        const savePos = this.pos;
+        let openParens = 0;
+        let char;
+        while ((char = this.peek()) !== undefined) {
+            if (char === '\\' && reEscapable.test(this.subject.charAt(this.pos + 1))) {
+                this.pos += 2;
+            } else if (char === '(') {
+                this.pos += 1;
+                openParens += 1;
+                if (openParens > MAX_LINK_PAREN_DEPTH) break;
+            } else if (char === ')') {
+                if (openParens < 1) break;
+                this.pos += 1;
+                openParens -= 1;
+            } else if (reWhitespaceChar.test(char) || /[\x00-\x1f]/.test(char)) {
+                break;
+            } else {
+                this.pos += 1;
+            }
+        }
+
+        if ((this.pos === savePos && char !== ')') || openParens !== 0) {
+            this.pos = savePos;
+            return null;
+        }
+
+        return normalizeURI(unescapeString(this.subject.slice(savePos, this.pos)));
+    }
+
+    // Link title in quotes or parentheses
+    parseLinkTitle() {
+        const title = this.match(reLinkTitle);
+        return title === null ? null : unescapeString(title.slice(1, -1));
+    }
+}
@@ -0,0 +1,400 @@
+// Markdown linter for MarkMirror Mobile
+// markdownlint-style rules checked on the parsed document. DOM-free, like the parser.
+//
+// A problem is { rule, name, message, line, from, to, fix } where `from`/`to` are source offsets and
+// `fix` (optional) is a quick-fix { from, to, text } replacing that part of the source.
+
+import { createMarkdownParser } from './markdownPlugins.js';
+import { walk, getPlainText, slugify } from './markdownCommon.js';
+
+// Blocks whose lines are not Markdown text
+const VERBATIM_TYPES = ['code', 'html', 'math_block', 'front_matter'];
+
+const HARD_BREAK_SPACES = 2; // Trailing spaces that make a line break
+const TAB_SIZE = 4;
+
+// Replace tabs with spaces up to the next tab stop
+function expandTabs(text) {
+    let column = 0;
+    return text.replace(/[^\t]*\t/g, chunk => {
+        column += chunk.length - 1;
+        const spaces = TAB_SIZE - (column % TAB_SIZE);
+        column += spaces;
+        return chunk.slice(0, -1) + ' '.repeat(spaces);
+    });
+}
+
+// Inline nodes of the given type with the block they belong to, in document order
+function findInlines(ast, inlineContainers, type) {
+    const found = [];
+    walk(ast, block => {
+        if (!inlineContainers.includes(block.type)) return true;
+
+        (block.children || []).forEach(root => walk(root, node => {
+            if (node.type === type) {
+                found.push({ node, block });
+            }
+        }));
+        return false;
+    });
+    return found;
+}
+
+// Rules: `check(context, report)` reports { line, start, end, message, fix } with columns on that line;
+// a fix spanning lines sets `startLine`/`endLine` for its columns. `enabled` is the default, overridden
+// by the linter's `rules` option.
+export const LINT_RULES = [
+    {
+        id: 'MD001',
+        name: 'heading-increment',
+        description: 'Уровни заголовков не пропускаются',
+        enabled: true,
+        check: ({ headings, lines }, report) => {
+            headings.forEach((heading, index) => {
+                const previous = headings[index - 1];
+                if (!previous || heading.level <= previous.level + 1) return;
+
+                const level = previous.level + 1;
+                const marker = lines[heading.line].match(/^( {0,3})(#{1,6})(?=[ \t]|$)/);
+                report({
+                    line: heading.line,
+                    message: `Заголовок уровня ${heading.level} после уровня ${previous.level}`,
+                    fix: marker && {
+                        start: marker[1].length,
+                        end: marker[0].length,
+                        text: '#'.repeat(level),
+                        label: `Сделать уровнем ${level}`
+                    }
+                });
+            });
+        }
+    },
+    {
+        id: 'MD009',
+        name: 'no-trailing-spaces',
+        description: 'Нет пробелов в конце строк',
+        enabled: true,
+        check: ({ lines, isVerbatim }, report) => {
+            lines.forEach((text, line) => {
+                const match = text.match(/[ \t]+$/);
+                if (!match || isVerbatim(line)) return;
+                // Two spaces after text are a line break
+                if (match[0] === ' '.repeat(HARD_BREAK_SPACES) && match.index > 0) return;
+
+                report({
+                    line,
+                    start: match.index,
+                    end: text.length,
+                    message: 'Пробелы в конце строки',
+                    fix: { start: match.index, end: text.length, text: '', label: 'Удалить пробелы' }
+                });
+            });
+        }
+    },
+    {
+        id: 'MD010',
+        name: 'no-hard-tabs',
+        description: 'Нет символов табуляции',
+        enabled: true,
+        check: ({ lines, isVerbatim }, report) => {
+            lines.forEach((text, line) => {
+                const start = text.indexOf('\t');
+                if (start === -1 || isVerbatim(line)) return;
+
+                report({
+                    line,
+                    start,
+                    end: start + 1,
+                    message: 'Табуляция вместо пробелов',
+                    fix: { start: 0, end: text.length, text: expandTabs(text), label: 'Заменить пробелами' }
+                });
+            });
+        }
+    },
+    {
+        id: 'MD012',
+        name: 'no-multiple-blanks',
+        description: 'Не больше одной пустой строки подряд',
+        enabled: true,
+        check: ({ lines, isVerbatim }, report) => {
+            let first = null; // First blank line of the current run
+            lines.forEach((text, line) => {
+                const blank = text.trim() === '' && !isVerbatim(line);
+                if (blank && first === null) {
+                    first = line;
+                }
+                const last = blank && (line + 1 === lines.length || lines[line + 1].trim() !== '' || isVerbatim(line + 1));
+                if (last && line > first) {
+                    report({
+                        line: first + 1,
+                        message: `Пустых строк подряд: ${line - first + 1}`,
+                        // From the end of the first blank line to the end of the last one
+                        fix: { startLine: first, start: lines[first].length, endLine: line, end: text.length, text: '', label: 'Оставить одну' }
+                    });
+                }
+                if (!blank) {
+                    first = null;
+                }
+            });
+        }
+    },
+    {
+        id: 'MD024',
+        name: 'no-duplicate-heading',
+        description: 'Заголовки не повторяются',
+        enabled: true,
+        check: ({ headings }, report) => {
+            const seen = new Set();
+            headings.forEach(heading => {
+                if (seen.has(heading.text)) {
+                    report({ line: heading.line, message: `Повторяющийся заголовок «${heading.text}»` });
+                }
+                seen.add(heading.text);
+            });
+        }
+    },
+    {
+        id: 'MD042',
+        name: 'no-empty-links',
+        description: 'У ссылок есть адрес',
+        enabled: true,
+        check: ({ ast, inlineContainers, locate }, report) => {
+            findInlines(ast, inlineContainers, 'link').forEach(({ node, block }) => {
+                if (node.href !== '' && node.href !== '#') return;
+                report({ ...locate(block, /\]\(\s*#?\s*\)/), message: 'Пустая ссылка' });
+            });
+        }
+    },
+    {
+        id: 'MD045',
+        name: 'no-alt-text',
+        description: 'У изображений есть альтернативный текст',
+        enabled: true,
+        check: ({ ast, inlineContainers, locate }, report) => {
+            findInlines(ast, inlineContainers, 'image').forEach(({ node, block }) => {
+                if (getPlainText(node.children).trim()) return;
+                report({ ...locate(block, /!\[\s*\]/), message: 'Изображение без альтернативного текста' });
+            });
+        }
+    },
+    {
+        id: 'MD047',
+        name: 'single-trailing-newline',
+        description: 'Файл заканчивается переводом строки',
+        enabled: false,
+        check: ({ lines }, report) => {
+            const last = lines.length - 1;
+            if (lines[last] === '' && last > 0) return;
+
+            report({
+                line: last,
+                start: lines[last].length,
+                message: 'Нет перевода строки в конце файла',
+                fix: { start: lines[last].length, end: lines[last].length, text: '\n', label: 'Добавить' }
+            });
+        }
+    },
+    {
+        id: 'MD051',
+        name: 'link-fragments',
+        description: 'Ссылки #якорь ведут на существующие заголовки',
+        enabled: true,
+        check: ({ ast, headings, inlineContainers, locate }, report) => {
+            const ids = new Set(headings.map(heading => heading.id));
+            // Anchors of raw HTML: <a name="..."> or id="..."
+            walk(ast, node => {
+                if (node.type === 'html' || node.type === 'html_inline') {
+                    for (const match of node.content.matchAll(/\b(?:id|name)\s*=\s*["']([^"']+)["']/gi)) {
+                        ids.add(match[1]);
+                    }
+                }
+            });
+
+            findInlines(ast, inlineContainers, 'link').forEach(({ node, block }) => {
+                if (!node.href.startsWith('#') || node.href === '#') return;
+
+                let fragment = node.href.slice(1);
+                try {
+                    fragment = decodeURIComponent(fragment);
+                } catch (error) {
+                    // Not encoded
+                }
+                if (ids.has(fragment) || /^fn(ref)?-\d/.test(fragment)) return;
+
+                // "#Setup" or "#Setup step" probably mean the "setup-step" heading
+                const id = slugify(fragment);
+                const position = locate(block, `#${fragment}`);
+                report({
+                    ...position,
+                    message: `Нет заголовка с якорем #${fragment}`,
+                    fix: ids.has(id) && position.end > position.start && {
+                        start: position.start + 1,
+                        end: position.end,
+                        text: id,
+                        label: `Заменить на #${id}`
+                    }
+                });
+            });
+        }
+    },
+    {
+        id: 'MM001',
+        name: 'relative-links',
+        description: 'Относительные ссылки на .md ведут на документы рабочей области',
+        enabled: true,
+        check: ({ ast, documents, inlineContainers, locate }, report) => {
+            if (!documents) return;
+
+            // Documents are stored flat, by title: "docs/Setup Guide.md" links to the "Setup Guide" document
+            const titles = new Set(documents.map(title => title.toLowerCase()));
+            findInlines(ast, inlineContainers, 'link').forEach(({ node, block }) => {
+                const path = node.href.split(/[?#]/)[0];
+                if (!/\.(md|markdown)$/i.test(path) || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(path)) return;
+
+                let target = path;
+                try {
+                    target = decodeURIComponent(path);
+                } catch (error) {
+                    // Not encoded
+                }
+                const name = target.split('/').pop().replace(/\.(md|markdown)$/i, '');
+                if (titles.has(name.toLowerCase())) return;
+
+                // The destination as written, or as the parser encoded it
+                const position = locate(block, target);
+                report({
+                    ...(position.end === undefined ? locate(block, path) : position),
+                    message: `Нет документа «${name}» для ссылки ${target}`
+                });
+            });
+        }
+    }
+];
+
+// Quick-fixes of the problems as one edit: [{ from, to, insert }] in offsets of the linted text, from the end.
+// Overlapping fixes (e.g. tabs and trailing spaces on one line) are left for the next run.
+export function getFixChanges(problems) {
+    const changes = [];
+    let limit = Infinity;
+    problems
+        .filter(problem => problem.fix)
+        .map(problem => problem.fix)
+        .sort((a, b) => b.from - a.from)
+        .forEach(fix => {
+            if (fix.to > limit) return;
+            changes.push({ from: fix.from, to: fix.to, insert: fix.text });
+            limit = fix.from;
+        });
+    return changes;
+}
+
+export class MarkdownLinter {
+    constructor(options = {}) {
+        this.options = {
+            rules: {}, // Rule id -> enabled, overrides the rule defaults
+            parserOptions: {}, // Options of the parser, so the linter reads the document as the preview does
+            documents: null, // Titles of the workspace documents that relative .md links may point to; null skips the check
+            ...options
+        };
+        this.parser = createMarkdownParser(this.options.parserOptions);
+    }
+
+    // Change enabled rules or parser options
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+        if (options.parserOptions) {
+            this.parser = createMarkdownParser(this.options.parserOptions);
+        }
+    }
+
+    // Whether a rule is checked
+    isEnabled(rule) {
+        return this.options.rules[rule.id] ?? rule.enabled;
+    }
+
+    // Problems of a document, sorted by position
+    lint(markdown) {
+        const source = String(markdown || '').replace(/\r\n?/g, '\n');
+        const lines = source.split('\n');
+        const offsets = [];
+        lines.reduce((offset, text, index) => {
+            offsets[index] = offset;
+            return offset + text.length + 1;
+        }, 0);
+
+        const ast = this.parser.tokenize(source);
+        const verbatim = new Set();
+        walk(ast, node => {
+            if (VERBATIM_TYPES.includes(node.type) && node.map) {
+                for (let line = node.map[0]; line < node.map[1]; line++) {
+                    verbatim.add(line);
+                }
+            }
+        });
+
+        // Position of the n-th match of a pattern inside a block, n counted per block and pattern
+        const located = new Map();
+        const locate = (block, pattern) => {
+            const [startLine, endLine] = block.map || [0, 1];
+            const text = lines.slice(startLine, endLine).join('\n');
+            const key = `${startLine}:${pattern}`;
+            const from = located.get(key) || 0;
+
+            let index;
+            let length;
+            if (typeof pattern === 'string') {
+                index = text.indexOf(pattern, from);
+                length = pattern.length;
+            } else {
+                const re = new RegExp(pattern.source, 'g');
+                re.lastIndex = from;
+                const match = re.exec(text);
+                index = match ? match.index : -1;
+                length = match ? match[0].length : 0;
+            }
+
+            if (index === -1) {
+                return { line: startLine };
+            }
+            located.set(key, index + length);
+
+            const before = text.slice(0, index).split('\n');
+            const line = startLine + before.length - 1;
+            const start = before[before.length - 1].length;
+            return { line, start, end: start + length };
+        };
+
+        const context = {
+            ast,
+            lines,
+            headings: ast.headings,
+            documents: this.options.documents,
+            inlineContainers: this.parser.inlineContainers,
+            isVerbatim: line => verbatim.has(line),
+            locate
+        };
+
+        const problems = [];
+        LINT_RULES.filter(rule => this.isEnabled(rule)).forEach(rule => {
+            rule.check(context, ({ line, start = 0, end, message, fix }) => {
+                const lineStart = offsets[line];
+                problems.push({
+                    rule: rule.id,
+                    name: rule.name,
+                    message,
+                    line,
+                    from: lineStart + start,
+                    to: lineStart + (end ?? lines[line].length),
+                    fix: fix ? {
+                        from: offsets[fix.startLine ?? line] + fix.start,
+                        to: offsets[fix.endLine ?? line] + fix.end,
+                        text: fix.text,
+                        label: fix.label
+                    } : null
+                });
+            });
+        });
+
+        return problems.sort((a, b) => a.from - b.from || a.rule.localeCompare(b.rule));
+    }
+}
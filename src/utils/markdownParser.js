@@ -1,422 +1,361 @@
 // Custom Markdown Parser for MarkMirror Mobile
-// Supports CommonMark + extensions: tables, task-lists, fenced code blocks, inline HTML
+// Supports CommonMark + extensions: tables, task-lists, autolinks, fenced code blocks, inline HTML, math,
+// YAML front matter, footnotes, definition lists and abbreviations
+//
+// Pipeline: source -> block tokens (with source line ranges) -> inline tokens -> HTML.
+// `tokenize()` returns the AST so other features can walk it; `parse()` renders it to HTML.
+
+import { BlockParser } from './markdownBlocks.js';
+import { InlineParser } from './markdownInline.js';
+import { HtmlRenderer } from './markdownRenderer.js';
+import { walk, normalizeLabel, getPlainText, slugify, HEADING_ID_PREFIX } from './markdownCommon.js';
+import { splitFrontMatter } from './frontMatter.js';
+import { countElements } from './contentStats.js';
+
+export { walk };
+
+// Block node types whose `content` holds inline Markdown
+const INLINE_CONTAINERS = ['paragraph', 'heading', 'table_cell', 'dt'];
+
+const VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+// Opened minus closed tags in a piece of raw HTML
+function tagBalance(html) {
+    let balance = 0;
+    for (const [tag, name] of html.matchAll(/<\/?([A-Za-z][A-Za-z0-9-]*)[^>]*>/g)) {
+        if (VOID_TAGS.includes(name.toLowerCase()) || tag.endsWith('/>')) continue;
+        balance += tag.startsWith('</') ? -1 : 1;
+    }
+    return balance;
+}
+
+const headingIdPurifiers = new WeakSet();
+
+// DOMPurify drops ids that name document properties ("title", "links", "images"), which are common
+// heading slugs; generated heading ids are kept so anchors to them work. Their prefix means they
+// cannot clobber document properties, so ids written in raw HTML are still checked as usual.
+function keepHeadingIds(purifier) {
+    if (headingIdPurifiers.has(purifier)) return;
+    purifier.addHook('uponSanitizeAttribute', (node, data) => {
+        if (data.attrName === 'id' && /^H[1-6]$/.test(node.nodeName) && data.attrValue.startsWith(HEADING_ID_PREFIX)) {
+            data.forceKeepAttr = true;
+        }
+    });
+    headingIdPurifiers.add(purifier);
+}
 
 export class MarkdownParser {
     constructor(options = {}) {
         this.options = {
             sanitizeHTML: true,
-            allowedTags: ['p', 'br', 'strong', 'em', 'code', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 
+            purifier: null, // DOMPurify instance; defaults to the global one loaded by the page
+            autolinks: true, // Bare http(s)://, www. and email addresses become links (GFM)
+            math: true, // $...$ and $$...$$ become math nodes, rendered by KaTeX in the preview
+            frontMatter: true, // Leading `---` YAML block becomes a front_matter node
+            footnotes: true, // [^1] references and "[^1]: text" definitions
+            definitionLists: true, // "Term" followed by ": definition"
+            abbreviations: true, // "*[HTML]: Hyper Text Markup Language" wraps HTML in <abbr>
+            sourceMap: false, // Block elements get data-line with their first source line
+            headingIds: false, // Headings get GitHub-style slug ids and a "[TOC]" paragraph becomes a table of contents
+            maxNesting: 100, // Deeper block quotes, lists, emphasis and links stay text instead of overflowing the stack
+            allowedTags: ['p', 'br', 'strong', 'em', 'code', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
                          'ul', 'ol', 'li', 'blockquote', 'a', 'img', 'table', 'thead', 'tbody', 'tr', 'th', 'td',
-                         'details', 'summary', 'kbd', 'mark', 'del', 'ins'],
+                         'details', 'summary', 'kbd', 'mark', 'del', 'ins', 'hr', 'input', 'span', 'div',
+                         'sup', 'section', 'dl', 'dt', 'dd', 'abbr'],
             ...options
         };
-    }
-
-    // Main parse method
-    parse(markdown) {
-        if (!markdown || typeof markdown !== 'string') {
-            return '';
-        }
 
-        // Normalize line endings
-        const normalized = markdown.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        
-        // Split into lines for processing
-        const lines = normalized.split('\n');
-        
-        // Process the markdown
-        const html = this.processLines(lines);
-        
-        // Sanitize if enabled
-        return this.options.sanitizeHTML ? this.sanitizeHTML(html) : html;
+        this.blockParser = new BlockParser(this.options);
+        this.inlineParser = new InlineParser(this.options);
+        this.renderer = new HtmlRenderer(this.options);
+        this.inlineContainers = [...INLINE_CONTAINERS];
+        this.statTypes = {}; // Plugin node types counted in content statistics
+        this.blockCache = { signature: null, entries: new Map() }; // block source -> { line, html, counts }
     }
 
-    // Process lines of markdown
-    processLines(lines) {
-        const result = [];
-        let i = 0;
-        
-        while (i < lines.length) {
-            const line = lines[i];
-            
-            // Skip empty lines at the start
-            if (line.trim() === '' && result.length === 0) {
-                i++;
-                continue;
-            }
-            
-            // Check for block elements
-            const blockResult = this.processBlockElement(lines, i);
-            if (blockResult) {
-                result.push(blockResult.html);
-                i = blockResult.nextIndex;
-                continue;
+    // Register a plugin and return the parser, so calls can be chained:
+    // {
+    //   block: { type, start, continue, finalize, ... } or a list, see BlockParser.addBlock
+    //          (`inline: true` parses the block's `content` as inline Markdown),
+    //   inline: { trigger, parse } or a list, see InlineParser.addRule,
+    //   render: { type: (node, renderer) => html }, new or overridden node types,
+    //   allowedTags: ['aside'], extra tags kept by sanitization,
+    //   stats: { type: 'links' }, counts plugin nodes as headers/links/images/... in content statistics
+    // }
+    use(plugin) {
+        [].concat(plugin.block || []).forEach(block => {
+            this.blockParser.addBlock(block);
+            if (block.inline) {
+                this.inlineContainers.push(block.type);
             }
-            
-            // Process as paragraph
-            const paragraphResult = this.processParagraph(lines, i);
-            result.push(paragraphResult.html);
-            i = paragraphResult.nextIndex;
-        }
-        
-        return result.join('\n');
-    }
+        });
+        [].concat(plugin.inline || []).forEach(rule => this.inlineParser.addRule(rule));
 
-    // Process block elements (headers, lists, code blocks, etc.)
-    processBlockElement(lines, startIndex) {
-        const line = lines[startIndex];
-        
-        // Headers
-        const headerMatch = line.match(/^(#{1,6})\s+(.+)$/);
-        if (headerMatch) {
-            const level = headerMatch[1].length;
-            const text = this.processInlineElements(headerMatch[2]);
-            return {
-                html: `<h${level}>${text}</h${level}>`,
-                nextIndex: startIndex + 1
-            };
-        }
-        
-        // Fenced code blocks
-        if (line.match(/^```/)) {
-            return this.processFencedCodeBlock(lines, startIndex);
-        }
-        
-        // Tables
-        if (this.isTableRow(line) && startIndex + 1 < lines.length && this.isTableSeparator(lines[startIndex + 1])) {
-            return this.processTable(lines, startIndex);
+        if (plugin.render) {
+            this.renderer.addRules(plugin.render);
         }
-        
-        // Lists
-        if (line.match(/^\s*[-*+]\s/) || line.match(/^\s*\d+\.\s/)) {
-            return this.processList(lines, startIndex);
+        if (plugin.allowedTags) {
+            this.options.allowedTags = [...this.options.allowedTags, ...plugin.allowedTags];
+            this.renderer.options.allowedTags = this.options.allowedTags;
         }
-        
-        // Blockquotes
-        if (line.match(/^\s*>\s/)) {
-            return this.processBlockquote(lines, startIndex);
-        }
-        
-        // Horizontal rules
-        if (line.match(/^\s*[-*_]{3,}\s*$/)) {
-            return {
-                html: '<hr>',
-                nextIndex: startIndex + 1
-            };
-        }
-        
-        return null;
-    }
+        Object.assign(this.statTypes, plugin.stats);
 
-    // Process fenced code blocks
-    processFencedCodeBlock(lines, startIndex) {
-        const startLine = lines[startIndex];
-        const langMatch = startLine.match(/^```(\w+)?/);
-        const language = langMatch && langMatch[1] ? langMatch[1] : '';
-        
-        let i = startIndex + 1;
-        const codeLines = [];
-        
-        while (i < lines.length && !lines[i].match(/^```\s*$/)) {
-            codeLines.push(lines[i]);
-            i++;
-        }
-        
-        const code = this.escapeHTML(codeLines.join('\n'));
-        const langClass = language ? ` class="language-${language}"` : '';
-        
-        return {
-            html: `<pre><code${langClass}>${code}</code></pre>`,
-            nextIndex: i + 1
-        };
+        // Cached blocks were rendered without the plugin
+        this.blockCache = { signature: null, entries: new Map() };
+        return this;
     }
 
-    // Process tables
-    processTable(lines, startIndex) {
-        const tableLines = [];
-        let i = startIndex;
-        
-        // Collect table lines
-        while (i < lines.length && this.isTableRow(lines[i])) {
-            tableLines.push(lines[i]);
-            i++;
+    // Main parse method
+    parse(markdown) {
+        if (!markdown || typeof markdown !== 'string') {
+            return '';
         }
-        
-        if (tableLines.length < 2) return null;
-        
-        const headerRow = this.parseTableRow(tableLines[0]);
-        const separatorRow = tableLines[1];
-        const dataRows = tableLines.slice(2).map(row => this.parseTableRow(row));
-        
-        let html = '<table>\n<thead>\n<tr>\n';
-        headerRow.forEach(cell => {
-            html += `<th>${this.processInlineElements(cell)}</th>\n`;
-        });
-        html += '</tr>\n</thead>\n<tbody>\n';
-        
-        dataRows.forEach(row => {
-            html += '<tr>\n';
-            row.forEach(cell => {
-                html += `<td>${this.processInlineElements(cell)}</td>\n`;
-            });
-            html += '</tr>\n';
-        });
-        
-        html += '</tbody>\n</table>';
-        
-        return {
-            html,
-            nextIndex: i
-        };
-    }
 
-    // Process lists
-    processList(lines, startIndex) {
-        const listItems = [];
-        let i = startIndex;
-        let listType = null;
-        
-        while (i < lines.length) {
-            const line = lines[i];
-            const unorderedMatch = line.match(/^(\s*)([-*+])\s+(.+)$/);
-            const orderedMatch = line.match(/^(\s*)(\d+)\.\s+(.+)$/);
-            const taskMatch = line.match(/^(\s*)([-*+])\s+\[([ x])\]\s+(.+)$/);
-            
-            if (taskMatch) {
-                const indent = taskMatch[1].length;
-                const checked = taskMatch[3] === 'x';
-                const content = this.processInlineElements(taskMatch[4]);
-                listItems.push({
-                    type: 'task',
-                    indent,
-                    content,
-                    checked
-                });
-                if (!listType) listType = 'ul';
-            } else if (unorderedMatch) {
-                const indent = unorderedMatch[1].length;
-                const content = this.processInlineElements(unorderedMatch[3]);
-                listItems.push({
-                    type: 'unordered',
-                    indent,
-                    content
-                });
-                if (!listType) listType = 'ul';
-            } else if (orderedMatch) {
-                const indent = orderedMatch[1].length;
-                const content = this.processInlineElements(orderedMatch[3]);
-                listItems.push({
-                    type: 'ordered',
-                    indent,
-                    content
-                });
-                if (!listType) listType = 'ol';
-            } else {
-                break;
-            }
-            i++;
-        }
-        
-        let html = `<${listType}>\n`;
-        listItems.forEach(item => {
-            if (item.type === 'task') {
-                const checkedAttr = item.checked ? ' checked' : '';
-                html += `<li class="task-list-item"><input type="checkbox"${checkedAttr} disabled> ${item.content}</li>\n`;
-            } else {
-                html += `<li>${item.content}</li>\n`;
-            }
-        });
-        html += `</${listType}>`;
-        
-        return {
-            html,
-            nextIndex: i
-        };
+        return this.sanitize(this.render(this.tokenize(markdown)));
     }
 
-    // Process blockquotes
-    processBlockquote(lines, startIndex) {
-        const quoteLines = [];
-        let i = startIndex;
-        
-        while (i < lines.length && lines[i].match(/^\s*>\s/)) {
-            const content = lines[i].replace(/^\s*>\s?/, '');
-            quoteLines.push(content);
-            i++;
+    // Build the document AST: block nodes with `map` line ranges, inline nodes in `children`
+    tokenize(markdown) {
+        // Normalize line endings
+        const normalized = String(markdown || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+
+        const ast = this.blockParser.parse(normalized);
+        const env = this.createEnv(ast);
+        ast.headings = this.collectHeadings(ast, env);
+        this.parseInlines(ast, env);
+
+        // Referenced footnotes in order of first use, rendered after the document
+        ast.footnotes = env.footnoteOrder;
+        if (env.abbreviations.size > 0) {
+            this.applyAbbreviations(ast, env.abbreviations);
         }
-        
-        const content = this.processInlineElements(quoteLines.join('\n'));
-        
-        return {
-            html: `<blockquote>${content}</blockquote>`,
-            nextIndex: i
-        };
+        return ast;
     }
 
-    // Process paragraph
-    processParagraph(lines, startIndex) {
-        const paragraphLines = [];
-        let i = startIndex;
+    // Render top-level blocks separately for incremental preview updates.
+    // Returns { blocks: [{ key, line, html }], footnotes, counts, headings } where `key` is the block source
+    // (plus the heading ids it renders), `counts` the element counts and `headings` the outline of the document:
+    // blocks whose key did not change since the previous call reuse their inline parse, HTML and counts.
+    renderBlocks(markdown) {
+        const normalized = String(markdown || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+        const lines = normalized.split('\n');
 
-        while (i < lines.length) {
-            const line = lines[i];
+        const ast = this.blockParser.parse(normalized);
+        const env = this.createEnv(ast);
+        const headings = this.collectHeadings(ast, env);
 
-            // Stop at empty line or block element
-            if (line.trim() === '' || this.processBlockElement(lines, i)) {
-                break;
-            }
-
-            paragraphLines.push(line);
-            i++;
+        // Inlines depend on definitions anywhere in the document, footnote numbers on the order of all references
+        const signature = JSON.stringify([[...env.references], [...env.abbreviations]]);
+        if (signature !== this.blockCache.signature || env.footnotes.size > 0) {
+            this.blockCache = { signature, entries: new Map() };
         }
 
-        if (paragraphLines.length === 0) {
-            return { html: '', nextIndex: i + 1 };
-        }
+        const entries = new Map();
+        const counts = {};
+        const blocks = this.groupBlocks(ast.children).map(nodes => {
+            const line = nodes[0].map[0];
+            const key = lines.slice(line, nodes[nodes.length - 1].map[1]).join('\n') + this.getHeadingContext(nodes);
+            let entry = this.blockCache.entries.get(key);
+
+            if (!entry) {
+                const html = nodes.map(node => {
+                    this.parseInlines(node, env);
+                    if (env.abbreviations.size > 0) {
+                        this.applyAbbreviations(node, env.abbreviations);
+                    }
+                    return this.render(node);
+                }).join('');
+                entry = { line, html: this.sanitize(html), counts: this.countElements(nodes) };
+            }
+            entries.set(key, entry);
+            Object.entries(entry.counts).forEach(([name, count]) => {
+                counts[name] = (counts[name] || 0) + count;
+            });
 
-        // First escape HTML, then process inline elements
-        let content = paragraphLines.join(' ');
-        content = this.escapeHTMLInText(content);
-        content = this.processInlineElements(content);
+            // Cached HTML of a block that moved carries its old line numbers
+            const shift = line - entry.line;
+            const html = shift === 0
+                ? entry.html
+                : entry.html.replace(/ data-line="(\d+)"/g, (_, start) => ` data-line="${Number(start) + shift}"`);
 
-        return {
-            html: `<p>${content}</p>`,
-            nextIndex: i
-        };
-    }
-
-    // Process inline elements (bold, italic, code, links, etc.)
-    processInlineElements(text) {
-        if (!text) return '';
+            return { key, line, html };
+        });
 
-        // Process in order of precedence - images before links!
-        text = this.processInlineCode(text);
-        text = this.processImages(text);  // Images first
-        text = this.processLinks(text);   // Then links
-        text = this.processBoldItalic(text);
-        text = this.processStrikethrough(text);
-        text = this.processInlineHTML(text);
+        // Only blocks of the current document stay cached
+        this.blockCache.entries = entries;
 
-        return text;
+        return { blocks, footnotes: this.sanitize(this.renderer.renderFootnotes(env.footnoteOrder)), counts, headings };
     }
 
-    // Process inline code
-    processInlineCode(text) {
-        return text.replace(/`([^`]+)`/g, (match, code) => {
-            return `<code>${this.escapeHTML(code)}</code>`;
-        });
-    }
+    // Ids of the headings in some nodes and the outline shown by their tables of contents: a duplicate
+    // heading elsewhere changes the id suffixes, so blocks with the same source may render differently
+    getHeadingContext(nodes) {
+        const context = [];
+        nodes.forEach(root => walk(root, node => {
+            if (node.type === 'heading' && node.id) {
+                context.push(node.id);
+            } else if (node.type === 'toc') {
+                context.push(JSON.stringify(node.headings.map(({ level, id, text }) => [level, id, text])));
+            }
+            return !this.inlineContainers.includes(node.type);
+        }));
 
-    // Process links
-    processLinks(text) {
-        return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match, linkText, url) => {
-            return `<a href="${this.escapeHTML(url)}">${this.escapeHTML(linkText)}</a>`;
-        });
+        return context.length > 0 ? `\0${context.join('\0')}` : '';
     }
 
-    // Process images
-    processImages(text) {
-        return text.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match, alt, src) => {
-            return `<img src="${this.escapeHTML(src)}" alt="${this.escapeHTML(alt)}">`;
-        });
+    // Count headers, links, images, code and list items in parsed nodes, including plugin node types
+    countElements(nodes) {
+        return countElements(nodes, this.statTypes);
     }
 
-    // Process bold and italic
-    processBoldItalic(text) {
-        // Bold
-        text = text.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-        text = text.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-        
-        // Italic
-        text = text.replace(/\*([^*]+)\*/g, '<em>$1</em>');
-        text = text.replace(/_([^_]+)_/g, '<em>$1</em>');
-        
-        return text;
-    }
+    // Split top-level nodes into independently rendered groups. Raw HTML that opens a tag
+    // (e.g. <details>) wraps the following blocks until it is closed, so they stay together.
+    groupBlocks(nodes) {
+        const groups = [];
+        let depth = 0;
 
-    // Process strikethrough
-    processStrikethrough(text) {
-        return text.replace(/~~([^~]+)~~/g, '<del>$1</del>');
-    }
+        nodes.forEach(node => {
+            if (depth > 0) {
+                groups[groups.length - 1].push(node);
+            } else {
+                groups.push([node]);
+            }
 
-    // Process inline HTML (limited set)
-    processInlineHTML(text) {
-        // Allow specific HTML tags
-        const allowedInlineTags = ['kbd', 'mark', 'details', 'summary'];
-        
-        allowedInlineTags.forEach(tag => {
-            const regex = new RegExp(`<${tag}([^>]*)>([^<]*)</${tag}>`, 'gi');
-            text = text.replace(regex, (match, attrs, content) => {
-                return `<${tag}${attrs}>${content}</${tag}>`;
-            });
+            if (node.type === 'html' && this.renderer.isAllowedHTML(node.content)) {
+                depth = Math.max(0, depth + tagBalance(node.content));
+            }
         });
-        
-        return text;
-    }
 
-    // Helper methods
-    isTableRow(line) {
-        return line.includes('|') && line.trim().length > 0;
+        return groups;
     }
 
-    isTableSeparator(line) {
-        return /^\s*\|?[\s\-\|:]+\|?\s*$/.test(line);
-    }
-
-    parseTableRow(line) {
-        return line.split('|').map(cell => cell.trim()).filter(cell => cell !== '');
-    }
+    // Collect document-wide definitions used while parsing inlines
+    createEnv(ast) {
+        const env = { references: new Map(), footnotes: new Map(), footnoteOrder: [], abbreviations: new Map() };
+
+        walk(ast, node => {
+            if (node.type === 'link_definition') {
+                // The first definition of a label wins
+                const label = normalizeLabel(node.label);
+                if (!env.references.has(label)) {
+                    env.references.set(label, { href: node.href, title: node.title });
+                }
+            } else if (node.type === 'footnote_definition') {
+                const label = node.label.toLowerCase();
+                if (!env.footnotes.has(label)) {
+                    env.footnotes.set(label, { label: node.label, node, number: 0, refs: 0 });
+                }
+            } else if (node.type === 'abbreviation') {
+                env.abbreviations.set(node.label, node.title);
+            }
+            return !this.inlineContainers.includes(node.type);
+        });
 
-    escapeHTML(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return env;
     }
 
-    // Escape HTML in text while preserving Markdown syntax
-    escapeHTMLInText(text) {
-        // Temporarily replace Markdown syntax to protect it
-        const protectedElements = [];
-        let protectedText = text;
-
-        // Protect inline code
-        protectedText = protectedText.replace(/`([^`]+)`/g, (match) => {
-            const index = protectedElements.length;
-            protectedElements.push(match);
-            return `__PROTECTED_${index}__`;
+    // Outline of a document: [{ level, id, text, line }] with GitHub-style ids, "-1", "-2"... added to repeated ones.
+    // With `headingIds` the heading nodes get their ids with HEADING_ID_PREFIX and "[TOC]" paragraphs become toc nodes.
+    collectHeadings(ast, env) {
+        const headings = [];
+        const tocs = [];
+        const used = new Map(); // id -> suffixes used
+        // Footnote references are counted when the document is parsed, not here
+        const footnotes = new Map([...env.footnotes].map(([label, footnote]) => [label, { ...footnote }]));
+        const headingEnv = { ...env, footnotes, footnoteOrder: [] };
+
+        walk(ast, node => {
+            if (node.type === 'heading') {
+                const text = getPlainText(this.inlineParser.parse(node.content, headingEnv)).trim();
+                const slug = slugify(text);
+                let id = slug;
+                // Skips ids already taken, including generated ones: "a", "a-1", "a" gives "a-2"
+                while (used.has(id)) {
+                    used.set(slug, used.get(slug) + 1);
+                    id = `${slug}-${used.get(slug)}`;
+                }
+                used.set(id, 0);
+
+                headings.push({ level: node.level, id, text, line: node.map[0] });
+                if (this.options.headingIds) {
+                    node.id = HEADING_ID_PREFIX + id;
+                }
+            } else if (node.type === 'paragraph' && this.options.headingIds && /^\[TOC\]$/i.test(node.content)) {
+                node.type = 'toc';
+                tocs.push(node);
+            }
+            return !this.inlineContainers.includes(node.type);
         });
 
-        // Protect links
-        protectedText = protectedText.replace(/\[([^\]]+)\]\(([^)]+)\)/g, (match) => {
-            const index = protectedElements.length;
-            protectedElements.push(match);
-            return `__PROTECTED_${index}__`;
+        tocs.forEach(node => {
+            node.headings = headings;
         });
+        return headings;
+    }
 
-        // Protect images
-        protectedText = protectedText.replace(/!\[([^\]]*)\]\(([^)]+)\)/g, (match) => {
-            const index = protectedElements.length;
-            protectedElements.push(match);
-            return `__PROTECTED_${index}__`;
-        });
+    // Front matter of a document ({ raw, data, length, lineCount }) without parsing the rest
+    getFrontMatter(markdown) {
+        if (!this.options.frontMatter) return null;
+        return splitFrontMatter(String(markdown || '').replace(/\r\n/g, '\n').replace(/\r/g, '\n'));
+    }
 
-        // Escape HTML in the remaining text
-        protectedText = protectedText.replace(/<[^>]+>/g, (match) => {
-            return this.escapeHTML(match);
+    // Parse inline content of paragraphs, headings, table cells and terms
+    parseInlines(ast, env = {}) {
+        walk(ast, node => {
+            if (this.inlineContainers.includes(node.type)) {
+                node.children = this.inlineParser.parse(node.content, env);
+                return false;
+            }
+            return true;
         });
+    }
 
-        // Restore protected elements
-        protectedElements.forEach((element, index) => {
-            protectedText = protectedText.replace(`__PROTECTED_${index}__`, element);
+    // Wrap whole-word occurrences of defined abbreviations in abbr nodes
+    applyAbbreviations(ast, abbreviations) {
+        const labels = [...abbreviations.keys()]
+            .sort((a, b) => b.length - a.length)
+            .map(label => label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const re = new RegExp(`(^|[^\\p{L}\\p{N}_])(${labels.join('|')})(?![\\p{L}\\p{N}_])`, 'gu');
+
+        walk(ast, node => {
+            if (node.type === 'abbr' || !node.children) return false;
+
+            node.children = node.children.flatMap(child => {
+                if (child.type !== 'text') return [child];
+
+                const parts = [];
+                let last = 0;
+                for (const match of child.content.matchAll(re)) {
+                    const start = match.index + match[1].length;
+                    if (start > last) parts.push({ type: 'text', content: child.content.slice(last, start) });
+                    parts.push({ type: 'abbr', title: abbreviations.get(match[2]), children: [{ type: 'text', content: match[2] }] });
+                    last = start + match[2].length;
+                }
+
+                if (parts.length === 0) return [child];
+                if (last < child.content.length) parts.push({ type: 'text', content: child.content.slice(last) });
+                return parts;
+            });
+            return true;
         });
+    }
 
-        return protectedText;
+    // Render an AST to HTML
+    render(ast) {
+        return this.renderer.render(ast);
+    }
+
+    // Sanitize if enabled
+    sanitize(html) {
+        return this.options.sanitizeHTML ? this.sanitizeHTML(html) : html;
     }
 
     // Basic HTML sanitization
     sanitizeHTML(html) {
-        if (typeof DOMPurify !== 'undefined') {
-            return DOMPurify.sanitize(html, {
+        const purifier = this.options.purifier || (typeof DOMPurify !== 'undefined' ? DOMPurify : null);
+        if (purifier) {
+            keepHeadingIds(purifier);
+            return purifier.sanitize(html, {
                 ALLOWED_TAGS: this.options.allowedTags
             });
         }
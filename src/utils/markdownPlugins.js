@@ -0,0 +1,66 @@
+// Markdown plugins of MarkMirror Mobile
+// Every parser the app creates uses the plugins listed here and those added with registerPlugin():
+// the preview (main thread and worker), HTML export, statistics, the linter and the CLI.
+// Plugins must be DOM-free, since they also run in the worker and in Node.
+// See MarkdownParser.use() for the plugin shape.
+
+import { MarkdownParser } from './markdownParser.js';
+
+export const plugins = [];
+
+const registered = []; // { plugin, url } added at runtime
+const listeners = new Set();
+
+// Add a plugin without editing this file; parsers created afterwards use it and listeners rebuild theirs.
+// `url` is the module whose default export is the plugin (usually its import.meta.url): the parser worker
+// imports it from there. Plugins without a url make the preview parse on the main thread.
+// Returns a function that removes the plugin again.
+export function registerPlugin(plugin, url = null) {
+    const entry = { plugin, url: url ? String(url) : null };
+    registered.push(entry);
+    notify();
+
+    return () => {
+        const index = registered.indexOf(entry);
+        if (index !== -1) {
+            registered.splice(index, 1);
+            notify();
+        }
+    };
+}
+
+// Module urls of the registered plugins, for the parser worker
+export function getPluginModules() {
+    return registered.map(entry => entry.url).filter(Boolean);
+}
+
+// Whether the parser worker can load every registered plugin
+export function pluginsSupportWorker() {
+    return registered.every(entry => entry.url);
+}
+
+// Import plugin modules by url and register those not registered yet (in the worker and the CLI)
+export async function loadPluginModules(urls) {
+    for (const url of urls) {
+        if (registered.some(entry => entry.url === String(url))) continue;
+
+        const module = await import(url);
+        registerPlugin(module.default, url);
+    }
+}
+
+// Call `listener` whenever plugins are registered or removed; returns a function that stops it
+export function onPluginsChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notify() {
+    listeners.forEach(listener => listener());
+}
+
+// Create a parser with the app's plugins
+export function createMarkdownParser(options = {}) {
+    return [...plugins, ...registered.map(entry => entry.plugin)]
+        .reduce((parser, plugin) => parser.use(plugin), new MarkdownParser(options));
+}
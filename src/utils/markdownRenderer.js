@@ -0,0 +1,242 @@
+// HTML renderer for the MarkMirror Markdown AST
+// Each node type has a rule in `rules`, so features can override or add node types
+
+import { escapeHTML, getPlainText, HEADING_ID_PREFIX } from './markdownCommon.js';
+
+export class HtmlRenderer {
+    constructor(options = {}) {
+        this.options = {
+            allowedTags: [], // Raw HTML with other tags is shown as text
+            sourceMap: false, // Add data-line="<first source line>" to block elements (scroll sync)
+            ...options
+        };
+
+        this.rules = {
+            document: node => this.renderBlocks(node.children) + this.renderFootnotes(node.footnotes),
+            paragraph: node => `<p${this.lineAttr(node)}>${this.renderInline(node.children)}</p>\n`,
+            heading: node => `<h${node.level}${node.id ? ` id="${escapeHTML(node.id)}"` : ''}${this.lineAttr(node)}>${this.renderInline(node.children)}</h${node.level}>\n`,
+            code: node => this.renderCode(node),
+            html: node => (this.isAllowedHTML(node.content)
+                ? `${node.content}\n`
+                : `<p>${escapeHTML(node.content)}</p>\n`),
+            blockquote: node => `<blockquote${this.lineAttr(node)}>\n${this.renderBlocks(node.children)}</blockquote>\n`,
+            list: node => this.renderList(node),
+            hr: node => `<hr${this.lineAttr(node)}>\n`,
+            front_matter: () => '', // shown by the preview as a metadata card
+            footnote_definition: () => '', // rendered in the footnotes section
+            abbreviation: () => '',
+            link_definition: () => '', // resolved into the links that use it
+            dl: node => `<dl${this.lineAttr(node)}>\n${this.renderBlocks(node.children)}</dl>\n`,
+            dt: node => `<dt${this.lineAttr(node)}>${this.renderInline(node.children)}</dt>\n`,
+            dd: node => this.renderDefinition(node),
+            table: node => this.renderTable(node),
+            toc: node => this.renderToc(node),
+            math_block: node => `<div class="math math-display"${this.lineAttr(node)}>${escapeHTML(node.content)}</div>\n`,
+
+            text: node => escapeHTML(node.content),
+            entity: node => node.content,
+            code_inline: node => `<code>${escapeHTML(node.content)}</code>`,
+            em: node => `<em>${this.renderInline(node.children)}</em>`,
+            strong: node => `<strong>${this.renderInline(node.children)}</strong>`,
+            del: node => `<del>${this.renderInline(node.children)}</del>`,
+            link: node => `<a href="${escapeHTML(node.href)}"${this.renderTitle(node)}>${this.renderInline(node.children)}</a>`,
+            image: node => `<img src="${escapeHTML(node.src)}" alt="${escapeHTML(getPlainText(node.children))}"${this.renderTitle(node)}>`,
+            math_inline: node => `<span class="math math-${node.display ? 'display' : 'inline'}">${escapeHTML(node.content)}</span>`,
+            footnote_ref: node => `<sup class="footnote-ref"><a href="#fn-${node.number}" id="${this.footnoteRefId(node.number, node.refIndex)}">${node.number}</a></sup>`,
+            abbr: node => `<abbr title="${escapeHTML(node.title)}">${this.renderInline(node.children)}</abbr>`,
+            html_inline: node => (this.isAllowedHTML(node.content) ? node.content : escapeHTML(node.content)),
+            softbreak: () => '\n',
+            hardbreak: () => '<br>\n'
+        };
+    }
+
+    // Add or override render rules: { type: (node, renderer) => html }
+    addRules(rules) {
+        Object.entries(rules).forEach(([type, rule]) => {
+            this.rules[type] = node => rule(node, this);
+        });
+    }
+
+    // Render a node (usually the document) to HTML
+    render(node) {
+        const rule = this.rules[node.type];
+        if (!rule) {
+            console.warn(`No render rule for node type "${node.type}"`);
+            return node.children ? this.renderBlocks(node.children) : '';
+        }
+        return rule(node);
+    }
+
+    // Render block children
+    renderBlocks(children) {
+        return children.map(child => this.render(child)).join('');
+    }
+
+    // Render inline children
+    renderInline(children = []) {
+        return children.map(child => this.render(child)).join('');
+    }
+
+    // Render a code block
+    renderCode(node) {
+        const langClass = node.lang ? ` class="language-${escapeHTML(node.lang)}"` : '';
+        return `<pre${this.lineAttr(node)}><code${langClass}>${escapeHTML(node.content)}</code></pre>\n`;
+    }
+
+    // Render a list; items of tight lists render paragraphs without <p>
+    renderList(node) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const start = node.ordered && node.start !== null && node.start !== 1 ? ` start="${node.start}"` : '';
+        const items = node.children.map(item => this.renderListItem(item, node.tight)).join('');
+        return `<${tag}${start}${this.lineAttr(node)}>\n${items}</${tag}>\n`;
+    }
+
+    // Render a list item
+    renderListItem(item, tight) {
+        const checkbox = item.task
+            ? `<input type="checkbox"${item.checked ? ' checked' : ''} disabled> `
+            : '';
+
+        // Link reference definitions produce no output and do not count as content
+        const children = item.children.filter(child => child.type !== 'link_definition');
+
+        let html = '';
+        children.forEach((child, index) => {
+            const prefix = index === 0 ? checkbox : '';
+
+            if (child.type === 'paragraph' && tight) {
+                html += prefix + this.renderInline(child.children);
+                if (index < children.length - 1) html += '\n';
+            } else if (child.type === 'paragraph') {
+                html += (index === 0 ? '\n' : '') + `<p>${prefix}${this.renderInline(child.children)}</p>\n`;
+            } else {
+                html += (index === 0 ? '\n' : '') + this.render(child);
+            }
+        });
+
+        // With a source map, task items give the line of their "[ ]" marker so the preview can toggle it
+        const attrs = item.task
+            ? ` class="task-list-item"${this.options.sourceMap ? ` data-line="${item.children[0].map[0]}"` : ''}`
+            : this.lineAttr(item);
+        return `<li${attrs}>${html}</li>\n`;
+    }
+
+    // Render a definition; tight definitions render paragraphs without <p>
+    renderDefinition(node) {
+        const html = node.children.map((child, index) => {
+            if (child.type === 'paragraph' && node.tight) {
+                return this.renderInline(child.children) + (index < node.children.length - 1 ? '\n' : '');
+            }
+            return (index === 0 ? '\n' : '') + this.render(child);
+        }).join('');
+
+        return `<dd${this.lineAttr(node)}>${html}</dd>\n`;
+    }
+
+    // Render referenced footnotes with links back to each reference
+    renderFootnotes(footnotes = []) {
+        if (footnotes.length === 0) return '';
+
+        const items = footnotes.map(footnote => {
+            const backrefs = Array.from({ length: footnote.refs }, (_, i) => (
+                `<a href="#${this.footnoteRefId(footnote.number, i + 1)}" class="footnote-backref">\u21a9\ufe0e${i > 0 ? `<sup>${i + 1}</sup>` : ''}</a>`
+            )).join(' ');
+
+            // Back-references go at the end of the last paragraph when there is one
+            const children = footnote.node.children;
+            const last = children[children.length - 1];
+            const html = last && last.type === 'paragraph'
+                ? this.renderBlocks(children.slice(0, -1)) + `<p>${this.renderInline(last.children)} ${backrefs}</p>\n`
+                : this.renderBlocks(children) + `<p>${backrefs}</p>\n`;
+
+            return `<li id="fn-${footnote.number}">\n${html}</li>\n`;
+        }).join('');
+
+        return `<section class="footnotes">\n<hr>\n<ol>\n${items}</ol>\n</section>\n`;
+    }
+
+    // Render a table of contents: nested lists of links to the document headings
+    renderToc(node) {
+        const headings = node.headings || [];
+        const top = Math.min(...headings.map(heading => heading.level));
+        let html = '';
+        let depth = 0;
+
+        headings.forEach(heading => {
+            const level = heading.level - top + 1;
+            if (level > depth) {
+                // Skipped levels get empty items, so nesting follows the heading levels
+                while (depth < level) {
+                    html += `${depth > 0 ? '\n' : ''}<ul>\n<li>`;
+                    depth++;
+                }
+            } else {
+                while (depth > level) {
+                    html += '</li>\n</ul>\n';
+                    depth--;
+                }
+                html += '</li>\n<li>';
+            }
+            html += `<a href="#${escapeHTML(HEADING_ID_PREFIX + heading.id)}">${escapeHTML(heading.text)}</a>`;
+        });
+
+        while (depth > 0) {
+            html += '</li>\n</ul>\n';
+            depth--;
+        }
+
+        return `<div class="toc"${this.lineAttr(node)}>\n${html}</div>\n`;
+    }
+
+    // Id of the n-th reference to a footnote
+    footnoteRefId(number, refIndex) {
+        return refIndex > 1 ? `fnref-${number}-${refIndex}` : `fnref-${number}`;
+    }
+
+    // Render a GFM table
+    renderTable(node) {
+        const [header, ...rows] = node.children;
+
+        let html = `<table${this.lineAttr(node)}>\n<thead>\n`;
+        html += this.renderTableRow(header, 'th');
+        html += '</thead>\n';
+
+        if (rows.length > 0) {
+            html += '<tbody>\n';
+            rows.forEach(row => {
+                html += this.renderTableRow(row, 'td');
+            });
+            html += '</tbody>\n';
+        }
+
+        return html + '</table>\n';
+    }
+
+    // Render a table row
+    renderTableRow(row, tag) {
+        const cells = row.children.map(cell => {
+            const align = cell.align ? ` align="${cell.align}"` : '';
+            return `<${tag}${align}>${this.renderInline(cell.children)}</${tag}>\n`;
+        }).join('');
+        return `<tr${this.lineAttr(row)}>\n${cells}</tr>\n`;
+    }
+
+    // Source line attribute of a block, when source maps are enabled
+    lineAttr(node) {
+        return this.options.sourceMap && node.map ? ` data-line="${node.map[0]}"` : '';
+    }
+
+    // Render the optional title attribute of links and images
+    renderTitle(node) {
+        return node.title ? ` title="${escapeHTML(node.title)}"` : '';
+    }
+
+    // Raw HTML is kept only for allowed tags, comments and declarations
+    isAllowedHTML(html) {
+        const match = html.match(/^<\/?([A-Za-z][A-Za-z0-9-]*)/);
+        if (!match) {
+            return /^<(?:!--|!\[CDATA\[|[?!])/.test(html);
+        }
+        return this.options.allowedTags.includes(match[1].toLowerCase());
+    }
+}
@@ -0,0 +1,233 @@
+// Markdown table model for MarkMirror Mobile
+// Finds the GFM table under the cursor, edits rows/columns/alignment and formats it back with aligned pipes
+
+import { walk } from './markdownParser.js';
+import { createMarkdownParser, onPluginsChange } from './markdownPlugins.js';
+import { splitTableRow, parseTableAlignment } from './markdownBlocks.js';
+import { codeSpanEnd } from './markdownCommon.js';
+
+const reFirstLinePrefix = /^(?:[ \t]*>)*[ \t]*(?:(?:[-+*]|\d{1,9}[.)])[ \t]+)?/;
+const reLinePrefix = /^(?:[ \t]*>)*[ \t]*/;
+
+let blockParser = null;
+
+// Plugin blocks change where tables are found
+onPluginsChange(() => {
+    blockParser = null;
+});
+
+// Escape the pipes of a table cell, except inside code spans, which table rows keep whole
+export function escapePipes(text) {
+    let result = '';
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\' && i + 1 < text.length) {
+            result += char + text[i + 1];
+            i++;
+        } else if (char === '`') {
+            const end = codeSpanEnd(text, i);
+            const run = end === -1 ? text.slice(i).match(/^`+/)[0] : text.slice(i, end);
+            result += run;
+            i += run.length - 1;
+        } else {
+            result += char === '|' ? '\\|' : char;
+        }
+    }
+    return result;
+}
+
+// Find the table containing a 0-based source line.
+// Returns { table, from, to, startLine, endLine } with character offsets of the table source, or null.
+export function findTable(source, line) {
+    if (!blockParser) {
+        blockParser = createMarkdownParser().blockParser;
+    }
+
+    let found = null;
+    walk(blockParser.parse(source), node => {
+        if (found) return false;
+        if (node.type === 'table' && node.map[0] <= line && line < node.map[1]) {
+            found = node;
+        }
+        return !['table', 'paragraph', 'heading', 'code'].includes(node.type);
+    });
+    if (!found) return null;
+
+    const lines = source.split('\n');
+    const [startLine, endLine] = found.map;
+    const from = lines.slice(0, startLine).reduce((offset, text) => offset + text.length + 1, 0);
+    const text = lines.slice(startLine, endLine).join('\n');
+
+    return {
+        table: MarkdownTable.parse(text),
+        from,
+        to: from + text.length,
+        startLine,
+        endLine
+    };
+}
+
+export class MarkdownTable {
+    constructor({ header = [], align = [], rows = [], prefix = '', rowPrefix = '' } = {}) {
+        this.header = header;
+        this.align = align;
+        this.rows = rows;
+        // Blockquote markers, list marker or indentation in front of the header and the other lines
+        this.prefix = prefix;
+        this.rowPrefix = rowPrefix;
+        this.normalize();
+    }
+
+    // Parse the source lines of a table (header, delimiter row, body rows)
+    static parse(text) {
+        const lines = text.split('\n');
+        const prefix = lines[0].match(reFirstLinePrefix)[0];
+        const rowPrefix = lines.length > 1 ? lines[1].match(reLinePrefix)[0] : prefix;
+        const strip = (line, index) => line.slice(index === 0 ? prefix.length : line.match(reLinePrefix)[0].length);
+
+        return new MarkdownTable({
+            header: splitTableRow(strip(lines[0], 0)),
+            align: lines.length > 1 ? parseTableAlignment(strip(lines[1], 1)) : [],
+            rows: lines.slice(2).map((line, index) => splitTableRow(strip(line, index + 2))),
+            prefix,
+            rowPrefix
+        });
+    }
+
+    // Number of columns (the header width)
+    get columnCount() {
+        return this.header.length;
+    }
+
+    // Pad or cut alignment and rows to the header width
+    normalize() {
+        const columns = this.columnCount;
+        this.align = Array.from({ length: columns }, (_, column) => this.align[column] || null);
+        this.rows = this.rows.map(row => Array.from({ length: columns }, (_, column) => row[column] || ''));
+    }
+
+    // Set the text of a cell; row -1 is the header. Pipes typed into a cell are escaped.
+    setCell(row, column, value) {
+        const text = escapePipes(String(value).replace(/\n/g, ' ').trim());
+        if (row < 0) {
+            this.header[column] = text;
+        } else {
+            this.rows[row][column] = text;
+        }
+    }
+
+    // Insert an empty body row before `index`
+    insertRow(index) {
+        const position = Math.max(0, Math.min(index, this.rows.length));
+        this.rows.splice(position, 0, new Array(this.columnCount).fill(''));
+        return position;
+    }
+
+    // Remove a body row
+    removeRow(index) {
+        if (index < 0 || index >= this.rows.length) return false;
+        this.rows.splice(index, 1);
+        return true;
+    }
+
+    // Move a body row by `delta` positions; returns its new index
+    moveRow(index, delta) {
+        const target = index + delta;
+        if (index < 0 || index >= this.rows.length || target < 0 || target >= this.rows.length) return index;
+
+        const [row] = this.rows.splice(index, 1);
+        this.rows.splice(target, 0, row);
+        return target;
+    }
+
+    // Insert an empty column before `index`
+    insertColumn(index) {
+        const position = Math.max(0, Math.min(index, this.columnCount));
+        this.header.splice(position, 0, '');
+        this.align.splice(position, 0, null);
+        this.rows.forEach(row => row.splice(position, 0, ''));
+        return position;
+    }
+
+    // Remove a column; the last column is kept
+    removeColumn(index) {
+        if (this.columnCount <= 1 || index < 0 || index >= this.columnCount) return false;
+
+        this.header.splice(index, 1);
+        this.align.splice(index, 1);
+        this.rows.forEach(row => row.splice(index, 1));
+        return true;
+    }
+
+    // Move a column by `delta` positions; returns its new index
+    moveColumn(index, delta) {
+        const target = index + delta;
+        if (index < 0 || index >= this.columnCount || target < 0 || target >= this.columnCount) return index;
+
+        [this.header, this.align, ...this.rows].forEach(cells => {
+            const [cell] = cells.splice(index, 1);
+            cells.splice(target, 0, cell);
+        });
+        return target;
+    }
+
+    // Set column alignment: 'left', 'center', 'right' or null
+    setAlignment(column, align) {
+        this.align[column] = align || null;
+    }
+
+    // Sort body rows by a column; numbers compare numerically, text with the locale
+    sortBy(column, descending = false) {
+        const number = value => Number(value.replace(/\s/g, '').replace(',', '.'));
+        this.rows.sort((a, b) => {
+            const numeric = a[column] !== '' && b[column] !== '' &&
+                !Number.isNaN(number(a[column])) && !Number.isNaN(number(b[column]));
+            const result = numeric
+                ? number(a[column]) - number(b[column])
+                : a[column].localeCompare(b[column], undefined, { numeric: true, sensitivity: 'base' });
+            return descending ? -result : result;
+        });
+    }
+
+    // Format the table with padded cells and aligned pipes
+    format() {
+        const widths = this.header.map((cell, column) => Math.max(
+            3,
+            textWidth(cell),
+            ...this.rows.map(row => textWidth(row[column]))
+        ));
+
+        const formatRow = cells => `| ${cells.map((cell, column) => pad(cell, widths[column], this.align[column])).join(' | ')} |`;
+        const delimiter = `| ${widths.map((width, column) => delimiterCell(width, this.align[column])).join(' | ')} |`;
+
+        return [
+            this.prefix + formatRow(this.header),
+            this.rowPrefix + delimiter,
+            ...this.rows.map(row => this.rowPrefix + formatRow(row))
+        ].join('\n');
+    }
+}
+
+// Displayed length of a cell, counting code points
+function textWidth(text) {
+    return Array.from(text).length;
+}
+
+// Pad a cell to the column width according to its alignment
+function pad(text, width, align) {
+    const space = width - textWidth(text);
+    if (align === 'right') return ' '.repeat(space) + text;
+    if (align === 'center') {
+        const left = Math.floor(space / 2);
+        return ' '.repeat(left) + text + ' '.repeat(space - left);
+    }
+    return text + ' '.repeat(space);
+}
+
+// Delimiter row cell with alignment colons
+function delimiterCell(width, align) {
+    if (align === 'center') return `:${'-'.repeat(width - 2)}:`;
+    if (align === 'right') return `${'-'.repeat(width - 1)}:`;
+    if (align === 'left') return `:${'-'.repeat(width - 1)}`;
+    return '-'.repeat(width);
+}
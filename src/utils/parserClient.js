@@ -0,0 +1,119 @@
+// Parser worker client for MarkMirror Mobile
+// Sends documents to the parser worker one at a time, to render or to lint. Only the newest document
+// is handled: requests overtaken by newer content resolve with null instead of a stale result.
+
+import { getPluginModules } from './markdownPlugins.js';
+
+export class ParserClient {
+    constructor(options = {}) {
+        this.options = {
+            parserOptions: {}, // Options of the MarkdownParser in the worker
+            ...options
+        };
+        this.worker = null;
+        this.nextId = 0;
+        this.active = null; // { id, resolve, reject } of the request the worker is parsing
+        this.queued = null; // { message, resolve, reject } waiting for the active request
+
+        this.start();
+    }
+
+    // Start the worker; without module worker support the client stays unavailable
+    start() {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.worker = new Worker(new URL('./parserWorker.js', import.meta.url), { type: 'module' });
+        } catch (error) {
+            console.warn('Parser worker is not available:', error);
+            return;
+        }
+
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', (e) => this.handleError(e));
+        this.setOptions(this.options.parserOptions);
+    }
+
+    // Whether documents can be rendered in the worker
+    get available() {
+        return this.worker !== null;
+    }
+
+    // Recreate the worker's parser with new options and the registered plugins
+    setOptions(parserOptions) {
+        this.options.parserOptions = parserOptions;
+        this.worker?.postMessage({ type: 'options', options: parserOptions, plugins: getPluginModules() });
+    }
+
+    // Render a document; resolves with { blocks, footnotes, stats } or null when newer content was requested
+    render(content) {
+        return this.request({ type: 'render', content });
+    }
+
+    // Lint a document with MarkdownLinter options ({ rules, documents, parserOptions }); resolves with
+    // its problems or null when newer content was requested
+    lint(content, options = {}) {
+        return this.request({ type: 'lint', content, options });
+    }
+
+    // Queue a request for the worker, replacing the one waiting
+    request(message) {
+        return new Promise((resolve, reject) => {
+            if (!this.worker) {
+                reject(new Error('Parser worker is not available'));
+                return;
+            }
+
+            // Only the newest document waits for the worker
+            this.queued?.resolve(null);
+            this.queued = { message, resolve, reject };
+            if (!this.active) {
+                this.sendQueued();
+            }
+        });
+    }
+
+    // Send the waiting request to the worker
+    sendQueued() {
+        const { message, resolve, reject } = this.queued;
+        this.queued = null;
+        this.active = { id: ++this.nextId, resolve, reject };
+        this.worker.postMessage({ ...message, id: this.active.id });
+    }
+
+    // Answer the active request, unless newer content arrived while it was parsed
+    handleMessage({ id, result, error }) {
+        if (!this.active || id !== this.active.id) return;
+
+        const { resolve, reject } = this.active;
+        this.active = null;
+
+        if (this.queued) {
+            resolve(null);
+            this.sendQueued();
+        } else if (error) {
+            reject(new Error(error));
+        } else {
+            resolve(result);
+        }
+    }
+
+    // The worker failed to load or crashed: fail pending requests so the caller can parse on the main thread
+    handleError(event) {
+        event.preventDefault();
+        console.warn('Parser worker failed:', event.message);
+
+        const error = new Error(event.message || 'Parser worker failed');
+        [this.active, this.queued].forEach(request => request?.reject(error));
+        this.terminate();
+    }
+
+    // Stop the worker; pending requests resolve with null
+    terminate() {
+        [this.active, this.queued].forEach(request => request?.resolve(null));
+        this.active = null;
+        this.queued = null;
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
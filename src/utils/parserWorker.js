@@ -0,0 +1,49 @@
+// Markdown parser worker for MarkMirror Mobile
+// Renders preview blocks and content statistics and lints documents off the UI thread; see ParserClient for the protocol.
+// The parser keeps its block cache between messages, so unchanged blocks are not parsed again.
+
+import { createMarkdownParser, loadPluginModules } from './markdownPlugins.js';
+import { getContentStats } from './contentStats.js';
+import { MarkdownLinter } from './markdownLint.js';
+
+let parser = createMarkdownParser();
+let linter = null; // Created by the first lint request
+let ready = Promise.resolve(); // Plugin modules being imported; messages are handled after them, in order
+
+self.addEventListener('message', ({ data }) => {
+    ready = ready.then(() => handleMessage(data));
+});
+
+async function handleMessage(data) {
+    switch (data.type) {
+        case 'options':
+            try {
+                await loadPluginModules(data.plugins || []);
+            } catch (error) {
+                console.warn('Parser plugin could not be loaded:', error);
+            }
+            parser = createMarkdownParser(data.options);
+            linter = null; // Plugins may have changed
+            break;
+        case 'render':
+            try {
+                const { blocks, footnotes, counts, headings } = parser.renderBlocks(data.content);
+                self.postMessage({ id: data.id, result: { blocks, footnotes, headings, stats: getContentStats(data.content, counts) } });
+            } catch (error) {
+                self.postMessage({ id: data.id, error: error.message || String(error) });
+            }
+            break;
+        case 'lint':
+            try {
+                if (linter) {
+                    linter.setOptions(data.options);
+                } else {
+                    linter = new MarkdownLinter(data.options);
+                }
+                self.postMessage({ id: data.id, result: linter.lint(data.content) });
+            } catch (error) {
+                self.postMessage({ id: data.id, error: error.message || String(error) });
+            }
+            break;
+    }
+}
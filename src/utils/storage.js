@@ -1,49 +1,404 @@
 // Storage utilities for MarkMirror Mobile
-// Handles localStorage operations and data persistence
+// Handles data persistence through an in-memory cache backed by IndexedDB (or localStorage)
+
+import { IndexedDBEngine, LocalStorageEngine, isQuotaExceededError } from './storageEngines.js';
 
 export class Storage {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            engine: null, // Custom engine, otherwise IndexedDB with localStorage fallback
+            onQuotaExceeded: null,
+            onError: null,
+            ...options
+        };
+
+        this.engine = null;
+        this.cache = new Map();
+        this.pendingWrites = new Set();
+        this.migratedKey = 'markmirror-migrated';
         this.storageKey = 'markmirror-data';
         this.settingsKey = 'markmirror-settings';
+        this.documentsKey = 'markmirror-documents';
+        this.activeDocumentKey = 'markmirror-active-document';
+        this.documentPrefix = 'markmirror-doc-';
+        this.historyPrefix = 'markmirror-history-';
+        this.backupKey = 'markmirror-unsaved';
     }
 
-    // Save editor content
-    saveContent(content) {
+    // Open the storage engine, migrate localStorage data and fill the cache
+    async init() {
+        this.engine = this.options.engine;
+
+        if (!this.engine) {
+            try {
+                this.engine = new IndexedDBEngine();
+                await this.engine.open();
+            } catch (error) {
+                console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+                this.engine = new LocalStorageEngine();
+                await this.engine.open();
+            }
+        } else {
+            await this.engine.open();
+        }
+
+        const entries = await this.engine.getAll();
+
+        if (this.engine.name !== 'localStorage' && !entries.has(this.migratedKey)) {
+            await this.migrateFromLocalStorage(entries);
+        }
+
+        this.cache = entries;
+        await this.restoreBackup();
+        console.log(`Storage initialized (${this.engine.name}, ${this.cache.size} entries)`);
+    }
+
+    // Check whether a key is managed by Storage (other modules keep their own localStorage keys)
+    isOwnKey(key) {
+        return key === this.storageKey ||
+            key === this.settingsKey ||
+            key === this.documentsKey ||
+            key === this.activeDocumentKey ||
+            key.startsWith(this.documentPrefix) ||
+            key.startsWith(this.historyPrefix);
+    }
+
+    // Move existing localStorage values into the current engine (first run only)
+    async migrateFromLocalStorage(entries) {
+        if (typeof localStorage === 'undefined') return;
+
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && this.isOwnKey(key) && !entries.has(key)) {
+                keys.push(key);
+            }
+        }
+
         try {
-            localStorage.setItem(this.storageKey, content);
-            return true;
+            for (const key of keys) {
+                const value = localStorage.getItem(key);
+                await this.engine.set(key, value);
+                entries.set(key, value);
+            }
+            const migratedAt = String(Date.now());
+            await this.engine.set(this.migratedKey, migratedAt);
+            entries.set(this.migratedKey, migratedAt);
         } catch (error) {
-            console.error('Failed to save content:', error);
-            return false;
+            // Leave localStorage untouched so the migration is retried next time
+            this.handleWriteError(error);
+            return;
         }
+
+        keys.forEach(key => localStorage.removeItem(key));
+        if (keys.length > 0) {
+            console.log(`Migrated ${keys.length} entries from localStorage`);
+        }
+    }
+
+    // Read a value from the cache
+    getItem(key) {
+        return this.cache.has(key) ? this.cache.get(key) : null;
+    }
+
+    // Write a value to the cache and persist it in the background; resolves to whether the write succeeded
+    setItem(key, value) {
+        this.cache.set(key, value);
+        return this.persist(() => this.engine.set(key, value));
+    }
+
+    // Remove a value from the cache and the engine; resolves to whether the removal succeeded
+    removeItem(key) {
+        this.cache.delete(key);
+        return this.persist(() => this.engine.remove(key));
+    }
+
+    // Run an engine write, reporting failures; resolves to whether it succeeded
+    persist(write) {
+        if (!this.engine) return Promise.resolve(false);
+
+        const pending = Promise.resolve()
+            .then(write)
+            .then(() => true, (error) => {
+                this.handleWriteError(error);
+                return false;
+            })
+            .finally(() => this.pendingWrites.delete(pending));
+        this.pendingWrites.add(pending);
+        return pending;
     }
 
-    // Load editor content
+    // Report write failures, surfacing quota problems to the user
+    handleWriteError(error) {
+        console.error('Failed to write to storage:', error);
+
+        if (isQuotaExceededError(error)) {
+            if (this.options.onQuotaExceeded) {
+                this.options.onQuotaExceeded(error);
+            }
+        } else if (this.options.onError) {
+            this.options.onError(error);
+        }
+    }
+
+    // Wait for all pending writes
+    async flush() {
+        await Promise.all([...this.pendingWrites]);
+    }
+
+    // Save editor content of the active document
+    saveContent(content) {
+        const id = this.getActiveDocumentId();
+        return id ? this.saveDocument(id, { content }) : Promise.resolve(false);
+    }
+
+    // Load editor content of the active document
     loadContent() {
+        const id = this.getActiveDocumentId();
+        const doc = id ? this.getDocument(id) : null;
+        return doc ? doc.content : '';
+    }
+
+    // Generate unique document ID
+    generateDocumentId() {
+        return 'doc_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    // List document metadata, most recently modified first
+    listDocuments() {
         try {
-            return localStorage.getItem(this.storageKey) || '';
+            const index = this.getItem(this.documentsKey);
+            const documents = index ? JSON.parse(index) : [];
+            return documents.sort((a, b) => b.updatedAt - a.updatedAt);
         } catch (error) {
-            console.error('Failed to load content:', error);
-            return '';
+            console.error('Failed to load document list:', error);
+            return [];
         }
     }
 
-    // Save settings
-    saveSettings(settings) {
+    // Persist document metadata list; resolves to whether it was written to the engine
+    saveDocumentIndex(documents) {
+        return this.setItem(this.documentsKey, JSON.stringify(documents));
+    }
+
+    // Get full document (metadata, content, cursor and scroll position)
+    getDocument(id) {
+        const meta = this.listDocuments().find(doc => doc.id === id);
+        if (!meta) return null;
+
         try {
-            localStorage.setItem(this.settingsKey, JSON.stringify(settings));
-            return true;
+            const stored = this.getItem(this.documentPrefix + id);
+            const data = stored ? JSON.parse(stored) : {};
+            return {
+                ...meta,
+                content: data.content || '',
+                cursor: data.cursor || 0,
+                scrollTop: data.scrollTop || 0
+            };
         } catch (error) {
-            console.error('Failed to save settings:', error);
+            console.error('Failed to load document:', error);
+            return { ...meta, content: '', cursor: 0, scrollTop: 0 };
+        }
+    }
+
+    // Create a new document. It is in the cache at once, so its metadata is returned
+    // without waiting for the engine; write failures are reported through onError / onQuotaExceeded.
+    createDocument(title, content = '') {
+        const now = Date.now();
+        const meta = {
+            id: this.generateDocumentId(),
+            title: title || this.getUntitledTitle(),
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const documents = this.listDocuments();
+        documents.push(meta);
+
+        this.setItem(this.documentPrefix + meta.id, JSON.stringify({ content, cursor: 0, scrollTop: 0 }));
+        this.saveDocumentIndex(documents);
+        return meta;
+    }
+
+    // Save document content and view state; only content changes bump the modification time.
+    // Resolves to whether the document was written to the engine.
+    async saveDocument(id, { content, cursor, scrollTop } = {}) {
+        const documents = this.listDocuments();
+        const meta = documents.find(doc => doc.id === id);
+        if (!meta) return false;
+
+        try {
+            const stored = this.getItem(this.documentPrefix + id);
+            const data = stored ? JSON.parse(stored) : { content: '', cursor: 0, scrollTop: 0 };
+            const contentChanged = content !== undefined && content !== data.content;
+
+            if (content !== undefined) data.content = content;
+            if (cursor !== undefined) data.cursor = cursor;
+            if (scrollTop !== undefined) data.scrollTop = scrollTop;
+
+            const writes = [this.setItem(this.documentPrefix + id, JSON.stringify(data))];
+
+            if (contentChanged) {
+                meta.updatedAt = Date.now();
+                writes.push(this.setItem(this.documentsKey, JSON.stringify(documents)));
+            }
+            return (await Promise.all(writes)).every(Boolean);
+        } catch (error) {
+            console.error('Failed to save document:', error);
             return false;
         }
     }
 
+    // Save a document while the page is being hidden or unloaded. The browser does not wait for IndexedDB,
+    // so the content is also kept in localStorage until the write completes, and restored on the next start.
+    async saveDocumentBeforeUnload(id, fields) {
+        const backup = fields.content !== undefined && this.engine && this.engine.name !== 'localStorage';
+        if (backup) {
+            try {
+                localStorage.setItem(this.backupKey, JSON.stringify({ id, content: fields.content }));
+            } catch (error) {
+                console.warn('Failed to keep an unsaved copy of the document:', error);
+            }
+        }
+
+        const saved = await this.saveDocument(id, fields);
+        if (backup && saved) {
+            localStorage.removeItem(this.backupKey);
+        }
+        return saved;
+    }
+
+    // Apply the document copy of a page unload whose engine write did not complete
+    async restoreBackup() {
+        if (typeof localStorage === 'undefined' || this.engine.name === 'localStorage') return;
+
+        const stored = localStorage.getItem(this.backupKey);
+        if (!stored) return;
+
+        try {
+            const { id, content } = JSON.parse(stored);
+            if (!this.getDocument(id) || await this.saveDocument(id, { content })) {
+                localStorage.removeItem(this.backupKey);
+            }
+        } catch (error) {
+            console.error('Failed to restore unsaved document:', error);
+            localStorage.removeItem(this.backupKey);
+        }
+    }
+
+    // Rename document; resolves to whether the new title was written to the engine
+    renameDocument(id, title) {
+        const documents = this.listDocuments();
+        const meta = documents.find(doc => doc.id === id);
+        if (!meta || !title) return Promise.resolve(false);
+
+        meta.title = title;
+        meta.updatedAt = Date.now();
+        return this.saveDocumentIndex(documents);
+    }
+
+    // Duplicate document, returns metadata of the copy
+    duplicateDocument(id) {
+        const source = this.getDocument(id);
+        if (!source) return null;
+
+        return this.createDocument(`${source.title} (копия)`, source.content);
+    }
+
+    // Delete document; resolves to whether every removal was written to the engine
+    async deleteDocument(id) {
+        const documents = this.listDocuments().filter(doc => doc.id !== id);
+        const writes = [
+            this.removeItem(this.documentPrefix + id),
+            this.removeItem(this.historyPrefix + id)
+        ];
+
+        if (this.getActiveDocumentId() === id) {
+            writes.push(this.setActiveDocumentId(documents.length > 0 ? documents[0].id : null));
+        }
+        writes.push(this.saveDocumentIndex(documents));
+        return (await Promise.all(writes)).every(Boolean);
+    }
+
+    // Load revision snapshots of a document
+    loadHistory(id) {
+        try {
+            const history = this.getItem(this.historyPrefix + id);
+            return history ? JSON.parse(history) : [];
+        } catch (error) {
+            console.error('Failed to load history:', error);
+            return [];
+        }
+    }
+
+    // Save revision snapshots of a document; resolves to whether they were written to the engine
+    saveHistory(id, snapshots) {
+        return this.setItem(this.historyPrefix + id, JSON.stringify(snapshots));
+    }
+
+    // Get active document ID
+    getActiveDocumentId() {
+        try {
+            return this.getItem(this.activeDocumentKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Set active document ID; resolves to whether it was written to the engine
+    setActiveDocumentId(id) {
+        return id ? this.setItem(this.activeDocumentKey, id) : this.removeItem(this.activeDocumentKey);
+    }
+
+    // Make sure there is an active document, migrating the legacy single-document key
+    ensureActiveDocument(defaultContent = '') {
+        let documents = this.listDocuments();
+
+        if (documents.length === 0) {
+            let content = defaultContent;
+            try {
+                const legacy = this.getItem(this.storageKey);
+                if (legacy) {
+                    content = legacy;
+                }
+            } catch (error) {
+                console.error('Failed to read legacy content:', error);
+            }
+
+            this.createDocument(null, content);
+            this.removeItem(this.storageKey);
+            documents = this.listDocuments();
+        }
+
+        const activeId = this.getActiveDocumentId();
+        if (!documents.some(doc => doc.id === activeId)) {
+            this.setActiveDocumentId(documents.length > 0 ? documents[0].id : null);
+        }
+
+        return this.getActiveDocumentId();
+    }
+
+    // Generate a title that isn't used by another document yet
+    getUntitledTitle() {
+        const titles = new Set(this.listDocuments().map(doc => doc.title));
+        let n = titles.size + 1;
+        while (titles.has(`Документ ${n}`)) {
+            n++;
+        }
+        return `Документ ${n}`;
+    }
+
+    // Save settings; resolves to whether they were written to the engine
+    saveSettings(settings) {
+        return this.setItem(this.settingsKey, JSON.stringify(settings));
+    }
+
     // Load settings
     loadSettings() {
         try {
-            const settings = localStorage.getItem(this.settingsKey);
-            return settings ? JSON.parse(settings) : this.getDefaultSettings();
+            const settings = this.getItem(this.settingsKey);
+            // Settings saved by older versions lack newer keys
+            return settings ? { ...this.getDefaultSettings(), ...JSON.parse(settings) } : this.getDefaultSettings();
         } catch (error) {
             console.error('Failed to load settings:', error);
             return this.getDefaultSettings();
@@ -59,15 +414,25 @@ export class Storage {
             useExternalParser: false,
             embedStyles: true,
             previewZoom: 100,
-            markdownHighlight: true // Enable Markdown highlighting in plain text
+            markdownHighlight: true, // Enable Markdown highlighting in plain text
+            markdownExtensions: true, // Footnotes, definition lists and abbreviations
+            lint: true, // Markdown linter problems in the editor
+            lintRules: {}, // Linter rule id -> enabled, overrides the rule defaults
+            format: { bullet: '-', emphasis: '*', wrap: 'preserve', width: 80 } // Style of "Format document"
         };
     }
 
     // Clear all data
     clearAll() {
         try {
-            localStorage.removeItem(this.storageKey);
-            localStorage.removeItem(this.settingsKey);
+            this.listDocuments().forEach(doc => {
+                this.removeItem(this.documentPrefix + doc.id);
+                this.removeItem(this.historyPrefix + doc.id);
+            });
+            this.removeItem(this.documentsKey);
+            this.removeItem(this.activeDocumentKey);
+            this.removeItem(this.storageKey);
+            this.removeItem(this.settingsKey);
             return true;
         } catch (error) {
             console.error('Failed to clear data:', error);
@@ -75,15 +440,8 @@ export class Storage {
         }
     }
 
-    // Check if localStorage is available
+    // Check if a storage engine is available
     isAvailable() {
-        try {
-            const test = '__storage_test__';
-            localStorage.setItem(test, test);
-            localStorage.removeItem(test);
-            return true;
-        } catch (error) {
-            return false;
-        }
+        return this.engine !== null;
     }
 }
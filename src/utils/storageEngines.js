@@ -0,0 +1,133 @@
+// Storage engines for MarkMirror Mobile
+// Key/value backends used by Storage: IndexedDB (default) and localStorage (fallback)
+
+// Check whether an error means the storage quota is exhausted
+export function isQuotaExceededError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+// localStorage-backed engine, used when IndexedDB is unavailable
+export class LocalStorageEngine {
+    constructor(prefix = 'markmirror-') {
+        this.name = 'localStorage';
+        this.prefix = prefix;
+    }
+
+    // Nothing to open, but keep the async interface of the other engines
+    async open() {
+        const test = '__storage_test__';
+        localStorage.setItem(test, test);
+        localStorage.removeItem(test);
+    }
+
+    // Load all entries owned by the app
+    async getAll() {
+        const entries = new Map();
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(this.prefix)) {
+                entries.set(key, localStorage.getItem(key));
+            }
+        }
+        return entries;
+    }
+
+    async get(key) {
+        return localStorage.getItem(key);
+    }
+
+    async set(key, value) {
+        localStorage.setItem(key, value);
+    }
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    }
+}
+
+// IndexedDB-backed engine: asynchronous and not limited by the ~5MB localStorage quota
+export class IndexedDBEngine {
+    constructor(dbName = 'markmirror', storeName = 'keyval') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.db = null;
+    }
+
+    // Open (and create if needed) the database
+    open() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not supported'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open request is blocked'));
+        });
+    }
+
+    // Run a single request inside a transaction and resolve when the transaction completes
+    transaction(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(this.storeName, mode);
+            const store = tx.objectStore(this.storeName);
+            const request = callback(store);
+
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    // Load all entries
+    getAll() {
+        return new Promise((resolve, reject) => {
+            const entries = new Map();
+            const tx = this.db.transaction(this.storeName, 'readonly');
+            const request = tx.objectStore(this.storeName).openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    entries.set(cursor.key, cursor.value);
+                    cursor.continue();
+                }
+            };
+
+            tx.oncomplete = () => resolve(entries);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    get(key) {
+        return this.transaction('readonly', store => store.get(key));
+    }
+
+    set(key, value) {
+        return this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.transaction('readwrite', store => store.delete(key));
+    }
+}
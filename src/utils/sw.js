@@ -1,9 +1,9 @@
 // Service Worker for MarkMirror Mobile PWA
 // Provides offline functionality and caching
 
-const CACHE_NAME = 'markmirror-v2.1.0';
-const STATIC_CACHE_NAME = 'markmirror-static-v2.1.0';
-const DYNAMIC_CACHE_NAME = 'markmirror-dynamic-v2.1.0';
+const CACHE_NAME = 'markmirror-v2.2.0';
+const STATIC_CACHE_NAME = 'markmirror-static-v2.2.0';
+const DYNAMIC_CACHE_NAME = 'markmirror-dynamic-v2.2.0';
 
 // Files to cache for offline use
 const STATIC_FILES = [
@@ -16,9 +16,31 @@ const STATIC_FILES = [
   '/src/ui/simpleEditor.js',
   '/src/ui/preview.js',
   '/src/ui/analyticsPanel.js',
+  '/src/ui/documentsPanel.js',
+  '/src/ui/historyPanel.js',
+  '/src/ui/outlinePanel.js',
+  '/src/ui/problemsPanel.js',
+  '/src/ui/formatToolbar.js',
+  '/src/ui/tableEditorPanel.js',
   '/src/utils/markdownParser.js',
+  '/src/utils/markdownLint.js',
+  '/src/utils/markdownFormat.js',
+  '/src/utils/markdownCommands.js',
+  '/src/utils/markdownCommon.js',
+  '/src/utils/markdownBlocks.js',
+  '/src/utils/markdownInline.js',
+  '/src/utils/markdownRenderer.js',
+  '/src/utils/frontMatter.js',
+  '/src/utils/markdownTable.js',
+  '/src/utils/contentStats.js',
+  '/src/utils/markdownPlugins.js',
+  '/src/utils/parserClient.js',
+  '/src/utils/parserWorker.js',
   '/src/utils/storage.js',
+  '/src/utils/storageEngines.js',
+  '/src/utils/history.js',
   '/src/utils/fileHandler.js',
+  '/src/utils/exportStyles.js',
   '/src/utils/analytics.js',
   '/src/utils/editor-actions.js',
   '/src/style/editor-actions.css',
@@ -32,6 +54,29 @@ const EXTERNAL_RESOURCES = [
   'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/default.min.css',
   'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/styles/github-dark.min.css',
   'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.css',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/katex.min.js',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_AMS-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Caligraphic-Bold.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Caligraphic-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Fraktur-Bold.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Fraktur-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Main-Bold.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Main-BoldItalic.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Main-Italic.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Main-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Math-BoldItalic.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Math-Italic.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_SansSerif-Bold.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_SansSerif-Italic.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_SansSerif-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Script-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Size1-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Size2-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Size3-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Size4-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/katex@0.16.9/dist/fonts/KaTeX_Typewriter-Regular.woff2',
+  'https://cdn.jsdelivr.net/npm/mermaid@10.6.1/dist/mermaid.min.js',
   'https://cdn.jsdelivr.net/npm/dompurify@3.0.5/dist/purify.min.js',
   'https://cdn.jsdelivr.net/npm/marked@9.1.6/marked.min.js'
 ];